@@ -4,26 +4,59 @@
  */
 
 import { EXTENSION_CONFIG, RULE_CONFIG } from '../core/config.js';
-import { backgroundLogger } from '../core/logger.js';
-import { debounce, PerformanceTimer } from '../core/utilities.js';
+import { backgroundLogger, loadLogLevel, saveLogLevel, isValidLogLevel } from '../core/logger.js';
+import { debounce, PerformanceTimer, parseDomainEntry } from '../core/utilities.js';
+import { isSubdomainOf } from '../core/registrable-domain.js';
 import { blockerEngine } from '../core/blocker-engine.js';
+import { filterListManager } from '../core/filter-lists.js';
+import { ruleProvenance } from '../core/rule-provenance.js';
+import { blockedRequestCounter, formatBadgeCount, DYNAMIC_RULESET_ID } from '../core/blocked-counter.js';
+import { blockingStats } from '../core/blocking-stats.js';
+import { customRulesManager, compileCustomRules } from '../core/custom-rules.js';
 
 /**
  * Pre-calculated resource types for dynamic allow rules (excluding main_frame).
  * @const {string[]}
  */
 const DYNAMIC_RESOURCE_TYPES = (RULE_CONFIG.RESOURCE_TYPES || []).filter(t => t !== 'main_frame');
+
 /**
- * Set of pre-calculated resource types for efficient lookups.
+ * Set of allowed message commands.
  * @const {Set<string>}
  */
-const DYNAMIC_RESOURCE_TYPES_SET = new Set(DYNAMIC_RESOURCE_TYPES);
+const ALLOWED_COMMANDS = new Set([
+    'getPopupData',
+    'getState',
+    'toggleDomainState',
+    'getFilterLists',
+    'setFilterListEnabled',
+    'getMatchedRules',
+    'setBlockingEnabled',
+    'getDashboardData',
+    'editDisabledDomains',
+    'setCustomRules',
+    'setLogLevel'
+]);
 
 /**
- * Set of allowed message commands.
+ * Commands only the extension's own pages (popup, options page) may send, never content scripts.
+ * @const {Set<string>}
+ */
+const EXTENSION_PAGE_COMMANDS = new Set([
+    'setFilterListEnabled',
+    'setBlockingEnabled',
+    'getDashboardData',
+    'editDisabledDomains',
+    'setCustomRules',
+    'setLogLevel'
+]);
+
+/**
+ * Scopes a pause can apply to: the exact domain (with its subdomains), the whole site (eTLD+1)
+ * or a single tab.
  * @const {Set<string>}
  */
-const ALLOWED_COMMANDS = new Set(['getPopupData', 'getState', 'toggleDomainState']);
+const PAUSE_SCOPES = new Set(['domain', 'site', 'tab']);
 
 /**
  * Checks if a message sender is trusted.
@@ -38,6 +71,21 @@ function isTrustedSender(sender) {
     }
 }
 
+/**
+ * Checks if a message comes from a page of the extension itself. Options pages opened in a tab
+ * have a sender.tab as well, so the sender URL decides.
+ * @param {object} sender - The sender of the message.
+ * @returns {boolean} True if the sender is an extension page.
+ */
+function isExtensionPageSender(sender) {
+    try {
+        return sender?.id === chrome.runtime.id && typeof sender.url === 'string' &&
+            sender.url.startsWith(chrome.runtime.getURL('/'));
+    } catch (_) {
+        return false;
+    }
+}
+
 /**
  * Validates the payload for a toggle command.
  * @param {object} message - The message payload to validate.
@@ -47,13 +95,62 @@ function validateTogglePayload(message) {
     if (typeof message !== 'object' || message === null) {
         throw new Error('Invalid message payload');
     }
-    const { domain, isPaused } = message;
-    if (typeof domain !== 'string' || !blockerEngine.isValidDomain(domain)) {
+    const { domain, isPaused, scope } = message;
+    if (typeof domain !== 'string' || !blockerEngine.isValidDomainEntry(domain)) {
         throw new Error('Invalid domain provided');
     }
     if (typeof isPaused !== 'boolean') {
         throw new Error('Invalid isPaused flag');
     }
+    if (!PAUSE_SCOPES.has(scope)) {
+        throw new Error('Invalid pause scope');
+    }
+    if (scope === 'tab' && !Number.isInteger(message.tabId)) {
+        throw new Error('Invalid tab id');
+    }
+    const { duration } = message;
+    const isValidMinutes = Number.isInteger(duration) && duration > 0 &&
+        duration <= EXTENSION_CONFIG.LIMITS.MAX_PAUSE_MINUTES;
+    if (duration !== null && duration !== 'session' && !isValidMinutes) {
+        throw new Error('Invalid pause duration');
+    }
+}
+
+/**
+ * Validates the payload for an allowlist edit.
+ * @param {object} message - The message payload to validate.
+ * @throws {Error} If the payload is invalid.
+ */
+function validateEditDisabledDomainsPayload(message) {
+    if (typeof message !== 'object' || message === null) {
+        throw new Error('Invalid message payload');
+    }
+    for (const entries of [message.add, message.remove]) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Invalid domain list');
+        }
+        if (entries.some(entry => typeof entry !== 'string' || !blockerEngine.isValidDomainEntry(entry))) {
+            throw new Error('Invalid domain provided');
+        }
+    }
+}
+
+/**
+ * Validates the payload for a filter list command.
+ * @param {object} message - The message payload to validate.
+ * @throws {Error} If the payload is invalid.
+ */
+function validateFilterListPayload(message) {
+    if (typeof message !== 'object' || message === null) {
+        throw new Error('Invalid message payload');
+    }
+    const { id, enabled } = message;
+    if (typeof id !== 'string' || !/^[A-Za-z0-9][\w-]*$/.test(id)) {
+        throw new Error('Invalid filter list id');
+    }
+    if (typeof enabled !== 'boolean') {
+        throw new Error('Invalid enabled flag');
+    }
 }
 
 /**
@@ -71,29 +168,60 @@ class BackgroundState {
      */
     constructor() {
         this.precompiledFilterCount = 0;
-        this.isInitialized = false;
+        this.initPromise = null;
         this.activeOperations = new Set();
         this.iconUpdateQueue = new Map();
         this.tabIconCache = new Map(); // tabId -> { domain, iconPath, badgeText }
+        this.iconUpdaters = new Map(); // tabId -> debounced icon update
+        this.pausedTabs = new Set(); // tabIds paused on their own ("this tab only")
+        this.blockingEnabled = true;
     }
 
     /**
-     * Initializes the background state.
+     * Initializes the background state. The service worker start and onStartup/onInstalled all
+     * call this; they share one run, so the set-up never races with itself.
      * @returns {Promise<void>}
      */
-    async initialize() {
-        if (this.isInitialized) return;
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.runInitialization().catch((error) => {
+                // A failed run may be retried by the next caller
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
 
+    /**
+     * Runs the initialization steps once.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async runInitialization() {
         const timer = new PerformanceTimer('Background initialization');
 
         try {
+            await loadLogLevel();
             await blockerEngine.initialize();
+            // The kill switch survives restarts and extension updates, which re-enable the manifest rulesets
+            this.blockingEnabled = await blockerEngine.isBlockingEnabled();
+            if (this.blockingEnabled) {
+                await filterListManager.restoreEnabledRulesets();
+            } else {
+                await filterListManager.suspendRulesets();
+            }
 
             await this.initializeFilterCount();
             await this.initializeStorage();
             await this.updateDynamicRules();
+            await this.restoreCustomRules();
+            // Chrome dropped the session rules with a new browser session; "until restart" pauses end here
+            await this.restoreTemporaryPauses(await this.startSession());
+            await this.restoreTabPauses();
+            await this.configureBadgeCount();
+            await this.scheduleStatsSweep();
 
-            this.isInitialized = true;
             backgroundLogger.info('Background script initialized successfully');
 
             const stats = await blockerEngine.getStats();
@@ -107,16 +235,26 @@ class BackgroundState {
     }
 
     /**
-     * Initializes the filter count from the pre-compiled rules.
+     * Initializes the filter count from the pre-compiled rules of all enabled lists.
      * @returns {Promise<void>}
      */
     async initializeFilterCount() {
         try {
-            const resp = await fetch(chrome.runtime.getURL('/filter_lists/filter_precompiled.json'));
-            if (resp.ok) {
+            const lists = (await filterListManager.getFilterLists()).filter(list => list.enabled);
+            const counts = await Promise.all(lists.map(async (list) => {
+                const resp = await fetch(chrome.runtime.getURL(`/${list.path}`));
+                if (!resp.ok) {
+                    throw new Error(`Failed to load ${list.path}`);
+                }
                 const json = await resp.json();
-                this.precompiledFilterCount = Array.isArray(json) ? json.length : 0;
-                backgroundLogger.info('Filter count initialized from JSON', { count: this.precompiledFilterCount });
+                return Array.isArray(json) ? json.length : 0;
+            }));
+            if (lists.length > 0) {
+                this.precompiledFilterCount = counts.reduce((sum, count) => sum + count, 0);
+                backgroundLogger.info('Filter count initialized from JSON', {
+                    count: this.precompiledFilterCount,
+                    lists: lists.length
+                });
                 return;
             }
         } catch (e) {
@@ -132,6 +270,109 @@ class BackgroundState {
         }
     }
 
+    /**
+     * Lets Chrome count the blocked requests on the badge in packed builds, which have no live
+     * match events. Unpacked builds keep their own live counter, so Chrome's count is turned off.
+     * @returns {Promise<void>}
+     */
+    async configureBadgeCount() {
+        if (typeof chrome.declarativeNetRequest.setExtensionActionOptions !== 'function') {
+            return;
+        }
+        try {
+            await chrome.declarativeNetRequest.setExtensionActionOptions({
+                displayActionCountAsBadgeText: !blockedRequestCounter.supportsLiveMatches()
+            });
+        } catch (error) {
+            backgroundLogger.warn('Failed to configure the badge count', { error: error.message });
+        }
+    }
+
+    /**
+     * Starts the periodic statistics sweep in packed builds, which have no live match events.
+     * The alarm outlives service worker restarts, so an existing one is kept.
+     * @returns {Promise<void>}
+     */
+    async scheduleStatsSweep() {
+        if (blockedRequestCounter.supportsLiveMatches()) {
+            return;
+        }
+        const name = EXTENSION_CONFIG.ALARMS.STATS_SWEEP;
+        if (!(await chrome.alarms.get(name))) {
+            await chrome.alarms.create(name, { periodInMinutes: EXTENSION_CONFIG.PERFORMANCE.STATS_SWEEP_MINUTES });
+        }
+    }
+
+    /**
+     * Reinstalls the custom filter rules. A failure is logged, so the rest of the extension still starts.
+     * @returns {Promise<void>}
+     */
+    async restoreCustomRules() {
+        try {
+            await this.updateCustomRules();
+        } catch (error) {
+            backgroundLogger.error('Failed to restore custom rules', { error: error.message });
+        }
+    }
+
+    /**
+     * Drops expired temporary pauses and restores the session rules and the expiry alarm for the others.
+     * @param {boolean} [includeSession=false] - Also drop "until restart" pauses (on browser startup).
+     * @returns {Promise<string[]>} A promise that resolves to the entries of the dropped pauses.
+     */
+    async restoreTemporaryPauses(includeSession = false) {
+        try {
+            const removed = await blockerEngine.removeExpiredTemporaryPauses({ includeSession });
+            await this.updateSessionRules();
+            await this.schedulePauseExpiry();
+            return removed.map(pause => pause.entry);
+        } catch (error) {
+            backgroundLogger.error('Failed to restore temporary pauses', { error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * Marks the browser session as set up. Session storage is cleared together with the session
+     * rules (browser restart, extension update), so an unmarked session has lost them.
+     * @returns {Promise<boolean>} A promise that resolves to true on the first call of a new session.
+     */
+    async startSession() {
+        const key = EXTENSION_CONFIG.STORAGE_KEYS.SESSION_STARTED;
+        try {
+            const { [key]: started = false } = await chrome.storage.session.get(key);
+            if (started) {
+                return false;
+            }
+            await chrome.storage.session.set({ [key]: true });
+            return true;
+        } catch (error) {
+            backgroundLogger.warn('Failed to read the session state', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Rebuilds the paused tabs from the session rules, which outlive a service worker restart
+     * (but not a browser restart), and drops the rules of tabs that no longer exist.
+     * @returns {Promise<void>}
+     */
+    async restoreTabPauses() {
+        try {
+            const { FIRST, LAST } = EXTENSION_CONFIG.SESSION_RULE_IDS.TAB_PAUSES;
+            const rules = await chrome.declarativeNetRequest.getSessionRules();
+            const openTabIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+
+            this.pausedTabs = new Set(rules
+                .filter(rule => rule.id >= FIRST && rule.id <= LAST)
+                .flatMap(rule => rule.condition?.tabIds || [])
+                .filter(tabId => openTabIds.has(tabId)));
+            await this.updateTabPauseRules();
+        } catch (error) {
+            backgroundLogger.error('Failed to restore tab pauses', { error: error.message });
+        }
+    }
+
     /**
      * Initializes the storage for disabled domains.
      * @returns {Promise<void>}
@@ -150,107 +391,235 @@ class BackgroundState {
 const state = new BackgroundState();
 
 /**
- * Manages dynamic rules in a diff-based manner to avoid full replacement.
- * @returns {Promise<void>}
+ * Resource types of top-level navigations to paused domains.
+ * @const {string[]}
  */
-const updateDynamicRules = async () => {
-    const operationId = 'updateDynamicRules';
+const NAVIGATION_RESOURCE_TYPES = ['main_frame'];
 
-    if (state.activeOperations.has(operationId)) {
-        backgroundLogger.debug('Dynamic rules update already in progress');
-        return;
+/**
+ * Returns how many allowlist rules a number of paused domains needs: every group of
+ * domains gets one rule for requests the pages make and one for navigations to them.
+ * @param {number} domainCount - The number of paused domains.
+ * @returns {number} The number of dynamic rules.
+ */
+function countAllowlistRules(domainCount) {
+    return 2 * Math.ceil(domainCount / EXTENSION_CONFIG.LIMITS.MAX_DOMAINS_PER_DYNAMIC_RULE);
+}
+
+/**
+ * Returns the number of rules reserved for an allowlist.
+ * @param {{FIRST: number, LAST: number}} [range=EXTENSION_CONFIG.DYNAMIC_RULE_IDS.ALLOWLIST] - The reserved ID range.
+ * @param {number} [maxRules=EXTENSION_CONFIG.LIMITS.MAX_DYNAMIC_RULES] - Chrome's limit for the rule type.
+ * @returns {number} The size of the ID range.
+ */
+function getAllowlistCapacity(range = EXTENSION_CONFIG.DYNAMIC_RULE_IDS.ALLOWLIST,
+    maxRules = EXTENSION_CONFIG.LIMITS.MAX_DYNAMIC_RULES) {
+    return Math.min(range.LAST - range.FIRST + 1, maxRules);
+}
+
+/**
+ * Throws if the allowlist rules for a number of paused domains do not fit into the reserved rules.
+ * @param {number} domainCount - The number of paused domains.
+ * @param {{FIRST: number, LAST: number}} [range] - The reserved ID range (the permanent allowlist by default).
+ * @param {number} [maxRules] - Chrome's limit for the rule type.
+ * @throws {Error} If the limit is reached.
+ */
+function assertAllowlistCapacity(domainCount, range, maxRules) {
+    const capacity = getAllowlistCapacity(range, maxRules);
+    if (countAllowlistRules(domainCount) > capacity) {
+        const maxDomains = Math.floor(capacity / 2) * EXTENSION_CONFIG.LIMITS.MAX_DOMAINS_PER_DYNAMIC_RULE;
+        throw new Error(`Allowlist limit reached: at most ${maxDomains} paused domains are supported`);
     }
+}
 
-    state.activeOperations.add(operationId);
-    const timer = new PerformanceTimer('Update dynamic rules');
+/**
+ * Builds the grouped allow rules (without IDs) for the paused domains.
+ * @param {string[]} domains - The paused domains.
+ * @returns {object[]} The allow rules.
+ */
+function buildAllowlistRules(domains) {
+    const sorted = [...new Set(domains)].sort();
+    const groupSize = EXTENSION_CONFIG.LIMITS.MAX_DOMAINS_PER_DYNAMIC_RULE;
+    const rules = [];
+
+    for (let i = 0; i < sorted.length; i += groupSize) {
+        const group = sorted.slice(i, i + groupSize);
+        rules.push({
+            priority: EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW },
+            condition: {
+                initiatorDomains: group,
+                resourceTypes: DYNAMIC_RESOURCE_TYPES
+            }
+        }, {
+            priority: EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW },
+            condition: {
+                requestDomains: group,
+                resourceTypes: NAVIGATION_RESOURCE_TYPES
+            }
+        });
+    }
+    return rules;
+}
 
-    try {
-        const disabledDomains = await blockerEngine.getDisabledDomains();
+/**
+ * Returns a copy of a value with the keys of all nested objects sorted.
+ * @param {*} value - The value.
+ * @returns {*} The copy.
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+}
 
-        const validDomains = disabledDomains
-            .filter(domain => blockerEngine.isValidDomain(domain))
-            .slice(0, EXTENSION_CONFIG.LIMITS.MAX_DYNAMIC_RULES);
+/**
+ * Returns a comparison key for a rule that ignores its ID, the order of fields and the
+ * order of condition list values.
+ * @param {object} rule - The rule.
+ * @returns {string} The key.
+ */
+function getRuleKey(rule) {
+    const condition = {};
+    for (const [field, value] of Object.entries(rule?.condition || {}).sort(([a], [b]) => a.localeCompare(b))) {
+        condition[field] = Array.isArray(value) ? [...value].sort() : value;
+    }
+    return JSON.stringify([rule?.priority, sortKeys(rule?.action), condition]);
+}
 
-        if (validDomains.length !== disabledDomains.length) {
-            backgroundLogger.warn('Invalid domains filtered out', {
-                original: disabledDomains.length,
-                valid: validDomains.length
-            });
+/**
+ * Maps disabled-domain entries to the domains of their allow rules. Wildcard entries
+ * ("*.corp.example") become their domain; DNR domain conditions match subdomains.
+ * @param {string[]} entries - The entries.
+ * @param {string} kind - What the entries are, for the log message.
+ * @returns {string[]} The distinct, valid domains.
+ */
+function getRuleDomains(entries, kind) {
+    const entryDomains = entries
+        .map(entry => parseDomainEntry(entry)?.domain)
+        .filter(Boolean);
+
+    if (entryDomains.length !== entries.length) {
+        backgroundLogger.warn(`Invalid ${kind} filtered out`, {
+            original: entries.length,
+            valid: entryDomains.length
+        });
+    }
+
+    return [...new Set(entryDomains)];
+}
+
+/**
+ * Diffs the existing rules of a reserved ID range against the wanted rules.
+ * Unchanged rules keep their IDs; the IDs of outdated rules are reused for new ones.
+ * Rules outside the range are left alone.
+ * @param {object[]} existingRules - All current rules of the rule type (dynamic or session).
+ * @param {object[]} wantedRules - The wanted rules without IDs.
+ * @param {{FIRST: number, LAST: number}} range - The reserved ID range.
+ * @returns {{removeRuleIds: number[], addRules: object[]}} The update to apply.
+ * @throws {Error} If the new rules do not fit into the free IDs of the range.
+ */
+function diffReservedRules(existingRules, wantedRules, { FIRST, LAST }) {
+    const usedIds = new Set();
+    const existingByKey = new Map();
+
+    for (const rule of existingRules) {
+        usedIds.add(rule.id);
+        if (rule.id >= FIRST && rule.id <= LAST) {
+            existingByKey.set(getRuleKey(rule), rule);
         }
+    }
 
-        const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-        const domainToRule = new Map();
-        const usedIds = new Set();
-
-        for (const rule of existingRules) {
-            usedIds.add(rule.id);
-            const initiators = rule?.condition?.initiatorDomains;
-            const actionType = rule?.action?.type;
-            const priority = rule?.priority;
-            if (
-                Array.isArray(initiators) &&
-                initiators.length === 1 &&
-                actionType === RULE_CONFIG.ACTIONS.ALLOW &&
-                priority === EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE
-            ) {
-                domainToRule.set(initiators[0], rule);
-            }
+    const addRules = [];
+    const keptIds = new Set();
+
+    const nextFreeId = () => {
+        let id = FIRST;
+        while (usedIds.has(id)) id++;
+        // Past LAST the rule would take an ID of another range
+        if (id > LAST) {
+            throw new Error(`No free rule ID left in the reserved range ${FIRST}-${LAST}`);
+        }
+        usedIds.add(id);
+        return id;
+    };
+
+    for (const rule of wantedRules) {
+        const existing = existingByKey.get(getRuleKey(rule));
+        if (existing && !keptIds.has(existing.id)) {
+            keptIds.add(existing.id);
+        } else {
+            addRules.push(rule);
         }
+    }
 
-        const desired = new Set(validDomains);
-        const existing = new Set(domainToRule.keys());
+    // Free the IDs of outdated rules first, so the new groups can reuse them
+    const removeRuleIds = [...existingByKey.values()]
+        .map(rule => rule.id)
+        .filter(id => !keptIds.has(id));
+    for (const id of removeRuleIds) {
+        usedIds.delete(id);
+    }
+    for (const rule of addRules) {
+        rule.id = nextFreeId();
+    }
 
-        const dynamicResourceTypes = DYNAMIC_RESOURCE_TYPES;
+    return { removeRuleIds, addRules };
+}
 
-        const rulesToRemove = [];
-        for (const domain of existing) {
-            if (!desired.has(domain)) {
-                rulesToRemove.push(domainToRule.get(domain).id);
-            } else {
-                const rule = domainToRule.get(domain);
-                const rt = Array.isArray(rule?.condition?.resourceTypes) ? rule.condition.resourceTypes : [];
-                const rtSet = new Set(rt);
-                const sameRT = rtSet.size === DYNAMIC_RESOURCE_TYPES_SET.size && [...DYNAMIC_RESOURCE_TYPES_SET].every(t => rtSet.has(t));
-                if (!sameRT) {
-                    rulesToRemove.push(rule.id);
-                    existing.delete(domain);
-                }
-            }
-        }
+/**
+ * Wraps a rule update so that its runs never overlap: each run diffs against the rules the
+ * previous one installed. A call made during a run waits for it and then runs with the latest
+ * state, so a newer change is never lost.
+ * @param {function(): Promise<*>} update - The update.
+ * @returns {function(): Promise<*>} The serialized update, resolving to the result of its own run.
+ */
+function serialized(update) {
+    let queue = Promise.resolve();
+    return () => {
+        const run = queue.then(() => update());
+        // A failed run must not block the following ones
+        queue = run.catch(() => {});
+        return run;
+    };
+}
+
+/**
+ * Manages dynamic rules in a diff-based manner to avoid full replacement.
+ * Paused domains are packed into grouped allow rules inside the reserved allowlist ID range;
+ * unchanged groups keep their rules, and dynamic rules outside the range are left alone.
+ * While the global kill switch is off, the range is emptied.
+ * @returns {Promise<void>}
+ * @throws {Error} If the paused domains exceed the allowlist limit or the update fails.
+ */
+const updateDynamicRules = serialized(async () => {
+    const timer = new PerformanceTimer('Update dynamic rules');
 
-        const rulesToAdd = [];
+    try {
+        const disabledDomains = await blockerEngine.getDisabledDomains();
+        const validDomains = getRuleDomains(disabledDomains, 'domains');
 
-        const nextFreeId = () => {
-            let id = 1;
-            while (usedIds.has(id)) id++;
-            usedIds.add(id);
-            return id;
-        };
+        assertAllowlistCapacity(validDomains.length);
 
-        for (const domain of desired) {
-            if (!existing.has(domain)) {
-                rulesToAdd.push({
-                    id: nextFreeId(),
-                    priority: EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE,
-                    action: { type: RULE_CONFIG.ACTIONS.ALLOW },
-                    condition: {
-                        initiatorDomains: [domain],
-                        resourceTypes: dynamicResourceTypes
-                    }
-                });
-            }
-        }
+        const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+        // While the kill switch is off the reserved range stays empty
+        const wantedRules = state.blockingEnabled ? buildAllowlistRules(validDomains) : [];
+        const { removeRuleIds, addRules } = diffReservedRules(existingRules, wantedRules,
+            EXTENSION_CONFIG.DYNAMIC_RULE_IDS.ALLOWLIST);
 
-        if (rulesToRemove.length > 0 || rulesToAdd.length > 0) {
-            await chrome.declarativeNetRequest.updateDynamicRules({
-                removeRuleIds: rulesToRemove,
-                addRules: rulesToAdd
-            });
+        if (removeRuleIds.length > 0 || addRules.length > 0) {
+            await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
         }
 
         backgroundLogger.info('Dynamic rules updated', {
-            removed: rulesToRemove.length,
-            added: rulesToAdd.length
+            domains: validDomains.length,
+            removed: removeRuleIds.length,
+            added: addRules.length
         });
 
     } catch (error) {
@@ -260,19 +629,223 @@ const updateDynamicRules = async () => {
         });
         throw error;
     } finally {
-        state.activeOperations.delete(operationId);
         timer.end();
     }
+});
+
+/**
+ * Syncs the session allow rules with the temporary pauses. Session rules vanish when the
+ * browser restarts, so "until restart" pauses need no cleanup rules of their own.
+ * @returns {Promise<void>}
+ * @throws {Error} If the temporary pauses exceed the limit or the update fails.
+ */
+const updateSessionRules = serialized(async () => {
+    try {
+        const pauses = await blockerEngine.getTemporaryPauses();
+        const now = Date.now();
+        const activePauses = pauses.filter(pause => pause.expiresAt === null || pause.expiresAt > now);
+        const validDomains = getRuleDomains(activePauses.map(pause => pause.entry), 'temporary pauses');
+
+        const range = EXTENSION_CONFIG.SESSION_RULE_IDS.TEMPORARY_PAUSES;
+        assertAllowlistCapacity(validDomains.length, range, EXTENSION_CONFIG.LIMITS.MAX_SESSION_RULES);
+
+        const existingRules = await chrome.declarativeNetRequest.getSessionRules();
+        const wantedRules = state.blockingEnabled ? buildAllowlistRules(validDomains) : [];
+        const { removeRuleIds, addRules } = diffReservedRules(existingRules, wantedRules, range);
+
+        if (removeRuleIds.length > 0 || addRules.length > 0) {
+            await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds, addRules });
+        }
+
+        backgroundLogger.info('Session rules updated', {
+            domains: validDomains.length,
+            removed: removeRuleIds.length,
+            added: addRules.length
+        });
+    } catch (error) {
+        backgroundLogger.error('Failed to update session rules', { error: error.message });
+        throw error;
+    }
+});
+
+/**
+ * Syncs the session allow rule for the tabs paused on their own. One rule lists all paused
+ * tabs in condition.tabIds and allows every request they make, navigations included.
+ * @returns {Promise<void>}
+ * @throws {Error} If the update fails.
+ */
+const updateTabPauseRules = serialized(async () => {
+    const tabIds = [...state.pausedTabs].sort((a, b) => a - b);
+    const wantedRules = state.blockingEnabled && tabIds.length > 0
+        ? [{
+            priority: EXTENSION_CONFIG.PRIORITIES.ALLOW_RULE,
+            action: { type: RULE_CONFIG.ACTIONS.ALLOW },
+            condition: {
+                tabIds,
+                resourceTypes: RULE_CONFIG.RESOURCE_TYPES
+            }
+        }]
+        : [];
+
+    const existingRules = await chrome.declarativeNetRequest.getSessionRules();
+    const { removeRuleIds, addRules } = diffReservedRules(existingRules, wantedRules,
+        EXTENSION_CONFIG.SESSION_RULE_IDS.TAB_PAUSES);
+
+    if (removeRuleIds.length > 0 || addRules.length > 0) {
+        await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds, addRules });
+        backgroundLogger.info('Tab pause rules updated', { tabs: tabIds.length });
+    }
+});
+
+/**
+ * Installs the custom filter rules as dynamic rules in their reserved ID range. Lines that
+ * cannot be compiled are skipped; while the kill switch is off the range stays empty.
+ * @returns {Promise<Array<{line: number, text: string, message: string}>>} A promise that resolves
+ * to the errors of the skipped lines.
+ * @throws {Error} If the update fails.
+ */
+const updateCustomRules = serialized(async () => {
+    const { rules, errors } = compileCustomRules(await customRulesManager.getText());
+
+    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+    const wantedRules = state.blockingEnabled ? rules : [];
+    const { removeRuleIds, addRules } = diffReservedRules(existingRules, wantedRules,
+        EXTENSION_CONFIG.DYNAMIC_RULE_IDS.CUSTOM_RULES);
+
+    if (removeRuleIds.length > 0 || addRules.length > 0) {
+        await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+        // The badge counts blocks by rule ID
+        blockedRequestCounter.forgetRuleset(DYNAMIC_RULESET_ID);
+        backgroundLogger.info('Custom rules updated', {
+            rules: wantedRules.length,
+            removed: removeRuleIds.length,
+            added: addRules.length,
+            skippedLines: errors.length
+        });
+    }
+    return errors;
+});
+
+/**
+ * Schedules the alarm for the next expiring temporary pause, or clears it if none is left.
+ * A single alarm is enough: each expiry schedules the following one.
+ * @returns {Promise<void>}
+ */
+const schedulePauseExpiry = async () => {
+    const pauses = await blockerEngine.getTemporaryPauses();
+    const expiries = pauses.map(pause => pause.expiresAt).filter(expiresAt => expiresAt !== null);
+    const alarmName = EXTENSION_CONFIG.ALARMS.PAUSE_EXPIRY;
+
+    if (expiries.length === 0) {
+        await chrome.alarms.clear(alarmName);
+        return;
+    }
+    // Chrome fires alarms in the past right away
+    await chrome.alarms.create(alarmName, { when: Math.min(...expiries) });
 };
 
 state.updateDynamicRules = updateDynamicRules;
+state.updateSessionRules = updateSessionRules;
+state.updateTabPauseRules = updateTabPauseRules;
+state.updateCustomRules = updateCustomRules;
+state.schedulePauseExpiry = schedulePauseExpiry;
+
+/**
+ * Returns the site a host is counted under in the statistics.
+ * @param {string|null} host - The host name.
+ * @returns {string|null} The registrable domain, the host itself for public suffixes, or null.
+ */
+function getStatsSite(host) {
+    return host ? (blockerEngine.getSiteDomain(host) || host) : null;
+}
+
+/**
+ * Returns the number of requests blocked in a tab since its last navigation.
+ * Live counts are used as they are; without live events the count is read from getMatchedRules.
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<number>} A promise that resolves to the blocked-request count.
+ */
+async function getBlockedCount(tabId) {
+    const count = blockedRequestCounter.getCount(tabId);
+    if (count !== null && blockedRequestCounter.supportsLiveMatches()) {
+        return count;
+    }
+    return blockedRequestCounter.refreshTab(tabId);
+}
+
+/**
+ * Returns the domain of the page open in a tab.
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<string|null>} A promise that resolves to the domain, or null for closed tabs and non-web pages.
+ */
+async function getTabDomain(tabId) {
+    const cached = state.tabIconCache.get(tabId)?.domain;
+    if (cached) {
+        return cached;
+    }
+    try {
+        return blockerEngine.getDomainFromUrl((await chrome.tabs.get(tabId)).url);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Adds the rule matches getMatchedRules reports since the last sweep to the statistics.
+ * Packed builds get no onRuleMatchedDebug events, so an alarm reads the matches of all tabs
+ * in one rate-limited call. Matches carry no request URL: the site is the tab's page and the
+ * blocked domain comes from the matched rule's condition. The time of the last counted match
+ * is kept in session storage, so a service worker restart counts nothing twice.
+ * @returns {Promise<void>}
+ */
+const recordMatchedRules = async () => {
+    const operationId = 'recordMatchedRules';
+    if (state.activeOperations.has(operationId)) {
+        return;
+    }
+    state.activeOperations.add(operationId);
+
+    try {
+        const key = EXTENSION_CONFIG.STORAGE_KEYS.MATCHES_COUNTED_UNTIL;
+        const { [key]: countedUntil = 0 } = await chrome.storage.session.get(key);
+        const info = await chrome.declarativeNetRequest.getMatchedRules(
+            countedUntil > 0 ? { minTimeStamp: countedUntil } : {});
+        const matches = (Array.isArray(info?.rulesMatchedInfo) ? info.rulesMatchedInfo : [])
+            .filter(match => match?.timeStamp > countedUntil);
+        if (matches.length === 0) {
+            return;
+        }
+
+        const tabDomains = new Map();
+        let recorded = 0;
+        for (const { rule, tabId, timeStamp } of matches) {
+            if (!Number.isInteger(tabId) || tabId < 0 || !(await blockedRequestCounter.isBlockingMatch(rule))) {
+                continue;
+            }
+            if (!tabDomains.has(tabId)) {
+                tabDomains.set(tabId, await getTabDomain(tabId));
+            }
+            blockingStats.record({
+                site: getStatsSite(tabDomains.get(tabId)),
+                domain: getStatsSite(await blockedRequestCounter.getMatchedDomain(rule)),
+                now: timeStamp
+            });
+            recorded++;
+        }
+
+        await chrome.storage.session.set({ [key]: Math.max(...matches.map(match => match.timeStamp)) });
+        backgroundLogger.debug('Rule matches counted', { matches: matches.length, blocked: recorded });
+    } finally {
+        state.activeOperations.delete(operationId);
+    }
+};
 
 /**
- * Updates the extension icon with debouncing.
+ * Updates the extension icon and badge of a tab.
  * @param {number} tabId - The ID of the tab to update the icon for.
  * @returns {Promise<void>}
  */
-const updateIcon = debounce(async (tabId) => {
+const applyIcon = async (tabId) => {
     const operationId = `updateIcon-${tabId}`;
 
     if (state.activeOperations.has(operationId)) {
@@ -290,15 +863,43 @@ const updateIcon = debounce(async (tabId) => {
         const tab = await chrome.tabs.get(tabId);
         const domain = blockerEngine.getDomainFromUrl(tab.url);
 
-        if (!domain) {
+        if (!domain && state.blockingEnabled && !state.pausedTabs.has(tabId)) {
             await chrome.action.setIcon({ path: EXTENSION_CONFIG.ICONS.DEFAULT, tabId });
+            if (state.tabIconCache.get(tabId)?.badgeText) {
+                await chrome.action.setBadgeText({ text: '', tabId });
+            }
+            state.tabIconCache.delete(tabId);
             return;
         }
 
-        const isPausedForDomain = await blockerEngine.isDomainDisabled(domain);
+        // The kill switch turns every tab off, including tabs without a website
+        const pause = state.blockingEnabled && domain ? await blockerEngine.getPause(domain) : null;
+        const isTabPause = state.blockingEnabled && state.pausedTabs.has(tabId);
+        const isPausedForDomain = !state.blockingEnabled || pause !== null || isTabPause;
         const iconPath = isPausedForDomain ? EXTENSION_CONFIG.ICONS.DISABLED : EXTENSION_CONFIG.ICONS.DEFAULT;
-        const badgeText = isPausedForDomain ? '⏸' : '';
-        const badgeBg = isPausedForDomain ? [120, 120, 120, 255] : [0, 0, 0, 0];
+        // Temporary and tab pauses get their own badges, so users see how far the pause reaches;
+        // active tabs show how many requests were blocked since the last navigation. Without live
+        // match events the tab's text is cleared (null), so Chrome's own action count shows instead.
+        let badgeText = '';
+        if (!state.blockingEnabled) {
+            badgeText = 'OFF';
+        } else if (pause) {
+            badgeText = pause.temporary ? '⏱' : '⏸';
+        } else if (isTabPause) {
+            badgeText = 'TAB';
+        } else if (blockedRequestCounter.supportsLiveMatches()) {
+            badgeText = formatBadgeCount(await getBlockedCount(tabId));
+        } else {
+            badgeText = null;
+        }
+        let badgeBg = [0, 0, 0, 0];
+        if (isTabPause && !pause) {
+            badgeBg = [200, 120, 0, 255];
+        } else if (isPausedForDomain) {
+            badgeBg = [120, 120, 120, 255];
+        } else if (badgeText !== '') {
+            badgeBg = [40, 100, 200, 255];
+        }
 
         const prev = state.tabIconCache.get(tabId);
         if (!prev || prev.domain !== domain || prev.iconPath !== iconPath) {
@@ -320,7 +921,72 @@ const updateIcon = debounce(async (tabId) => {
     } finally {
         state.activeOperations.delete(operationId);
     }
-}, ICON_DEBOUNCE_MS);
+};
+
+/**
+ * Updates the extension icon with debouncing. Every tab has its own debounced updater,
+ * so updating all tabs at once (e.g. for the kill switch) does not drop any of them.
+ * @param {number} tabId - The ID of the tab to update the icon for.
+ */
+const updateIcon = (tabId) => {
+    let updater = state.iconUpdaters.get(tabId);
+    if (!updater) {
+        updater = debounce(applyIcon, ICON_DEBOUNCE_MS);
+        state.iconUpdaters.set(tabId, updater);
+    }
+    updater(tabId);
+};
+
+/**
+ * Describes the pause of a domain for the popup and the content script.
+ * @param {{entry: string, temporary: boolean, expiresAt: number|null}|null} pause - The domain pause, if any.
+ * @param {boolean} [isTabPause=false] - Whether the tab is paused on its own.
+ * @returns {{isPaused: boolean, pausedBy: string|null, isTemporaryPause: boolean, pauseExpiresAt: number|null,
+ * isTabPause: boolean}} The pause state; pauseExpiresAt is null for permanent and "until restart" pauses.
+ */
+function describePause(pause, isTabPause = false) {
+    return {
+        isPaused: pause !== null || isTabPause,
+        pausedBy: pause?.entry ?? null,
+        isTemporaryPause: Boolean(pause?.temporary),
+        pauseExpiresAt: pause?.temporary ? pause.expiresAt : null,
+        isTabPause
+    };
+}
+
+/**
+ * Sends the current pause state to the content scripts of all tabs under the given domains
+ * and refreshes the icon of the active ones.
+ * @param {string[]} domains - The domains whose pause state changed.
+ * @returns {Promise<void>}
+ */
+async function notifyPauseState(domains) {
+    if (domains.length === 0) {
+        return;
+    }
+
+    const tabs = await chrome.tabs.query({});
+    const notificationPromises = tabs
+        .filter(tab => domains.some(domain => isSubdomainOf(blockerEngine.getDomainFromUrl(tab.url), domain)))
+        .map(async (tab) => {
+            try {
+                const tabDomain = blockerEngine.getDomainFromUrl(tab.url);
+                const pause = await blockerEngine.getPause(tabDomain);
+                if (tab.active) {
+                    state.tabIconCache.delete(tab.id);
+                    updateIcon(tab.id);
+                }
+                await chrome.tabs.sendMessage(tab.id, {
+                    command: 'updatePauseState',
+                    ...describePause(pause, state.pausedTabs.has(tab.id))
+                });
+            } catch (e) {
+                // Tab may no longer exist or is still loading.
+            }
+        });
+
+    await Promise.allSettled(notificationPromises);
+}
 
 /**
  * Handles incoming messages with improved error handling.
@@ -333,14 +999,34 @@ class MessageHandler {
     static async handleGetPopupData() {
         const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
         const domain = blockerEngine.getDomainFromUrl(activeTab?.url);
-        const isPaused = domain ? await blockerEngine.isDomainDisabled(domain) : false;
-
-        const stats = await blockerEngine.getStats();
+        const pause = domain ? await blockerEngine.getPause(domain) : null;
+        const site = domain ? blockerEngine.getSiteDomain(domain) : null;
+
+        const engineStats = await blockerEngine.getStats();
+        const history = await blockingStats.getSummary();
+        const stats = {
+            initialized: engineStats.initialized,
+            filterCount: engineStats.filterCount,
+            blockedRequests: Number.isInteger(activeTab?.id) && engineStats.initialized
+                ? await getBlockedCount(activeTab.id)
+                : engineStats.blockedRequests,
+            today: history.today,
+            last7Days: history.last7Days,
+            allTime: history.allTime,
+            since: history.since,
+            topSites: history.topSites,
+            topDomains: history.topDomains
+        };
+        const filterLists = await filterListManager.getFilterLists();
 
         return {
-            isPaused,
+            ...describePause(pause, state.pausedTabs.has(activeTab?.id)),
+            tabId: activeTab?.id ?? null,
+            blockingEnabled: state.blockingEnabled,
             domain,
+            site,
             filterCount: state.precompiledFilterCount,
+            filterLists,
             stats
         };
     }
@@ -356,59 +1042,81 @@ class MessageHandler {
             return { isPaused: false };
         }
 
-        const isPaused = await blockerEngine.isDomainDisabled(domain);
-        return { isPaused, domain };
+        const pause = await blockerEngine.getPause(domain);
+        return { ...describePause(pause, state.pausedTabs.has(sender.tab?.id)), domain };
     }
 
     /**
      * Handles the 'toggleDomainState' command.
      * @param {object} options - The options for toggling the domain state.
-     * @param {string} options.domain - The domain to toggle.
+     * @param {string} options.domain - The domain to toggle, or a wildcard entry like "*.corp.example";
+     * internationalized domains are stored in punycode.
      * @param {boolean} options.isPaused - The new paused state.
+     * @param {string} [options.scope='domain'] - 'domain' for the domain and its subdomains,
+     * 'site' for the whole registrable domain (e.g. example.co.uk for www.shop.example.co.uk),
+     * 'tab' for the given tab only.
+     * @param {number|string|null} [options.duration=null] - For a temporary pause, the minutes until blocking
+     * resumes or 'session' for "until the browser restarts"; null pauses permanently.
+     * @param {number|null} [options.tabId=null] - The tab the popup belongs to; required for the 'tab' scope.
+     * Resuming lifts a pause of this tab as well.
      * @returns {Promise<object>} A promise that resolves to an object indicating success.
      */
-    static async handleToggleDomainState({ domain, isPaused }) {
-        if (!domain || !blockerEngine.isValidDomain(domain)) {
+    static async handleToggleDomainState({
+        domain: requestedDomain, isPaused, scope = 'domain', duration = null, tabId = null
+    }) {
+        const parsed = parseDomainEntry(requestedDomain);
+        if (!parsed) {
             throw new Error('Invalid domain provided');
         }
+        if (scope === 'tab') {
+            return MessageHandler.handleToggleTabPause({ tabId, isPaused });
+        }
+        const { domain } = parsed;
+        // Hosts without a registrable domain (e.g. a bare public suffix) fall back to the domain itself
+        const affected = scope === 'site' ? (blockerEngine.getSiteDomain(domain) || domain) : domain;
+        const entry = scope === 'site' ? affected : parsed.entry;
 
-        const timer = new PerformanceTimer(`Toggle domain ${domain}`);
+        const timer = new PerformanceTimer(`Toggle domain ${affected}`);
 
         try {
-            if (isPaused) {
-                await blockerEngine.addDisabledDomain(domain);
+            if (isPaused && duration !== null) {
+                const pauses = await blockerEngine.getTemporaryPauses();
+                if (!pauses.some(p => parseDomainEntry(p.entry)?.domain === affected)) {
+                    assertAllowlistCapacity(pauses.length + 1, EXTENSION_CONFIG.SESSION_RULE_IDS.TEMPORARY_PAUSES,
+                        EXTENSION_CONFIG.LIMITS.MAX_SESSION_RULES);
+                }
+                const expiresAt = duration === 'session' ? null : Date.now() + duration * 60 * 1000;
+                await blockerEngine.addTemporaryPause(entry, expiresAt);
+            } else if (isPaused) {
+                // Refuse before storing, so a domain is never saved without its allow rule
+                const disabledDomains = await blockerEngine.getDisabledDomains();
+                if (!disabledDomains.some(d => parseDomainEntry(d)?.domain === affected)) {
+                    assertAllowlistCapacity(disabledDomains.length + 1);
+                }
+                await blockerEngine.addDisabledDomain(entry);
             } else {
-                await blockerEngine.removeDisabledDomain(domain);
+                // Resuming also lifts a pause that came from a parent domain, the whole site or the tab
+                await blockerEngine.removeCoveringDisabledDomains(domain, scope === 'site' ? affected : null);
+                state.pausedTabs.delete(tabId);
             }
 
             await updateDynamicRules();
+            await updateSessionRules();
+            await updateTabPauseRules();
+            await schedulePauseExpiry();
 
-            const tabs = await chrome.tabs.query({});
-            const notificationPromises = tabs
-                .filter(tab => blockerEngine.getDomainFromUrl(tab.url) === domain)
-                .map(async (tab) => {
-                    try {
-                        await chrome.tabs.sendMessage(tab.id, {
-                            command: 'updatePauseState',
-                            isPaused: isPaused
-                        });
-                    } catch (e) {
-                        // Tab may no longer exist or is still loading.
-                    }
-                });
-
-            await Promise.allSettled(notificationPromises);
+            await notifyPauseState([affected]);
 
             try {
                 const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
                 if (activeTab?.id && activeTab?.url) {
                     const activeTabDomain = blockerEngine.getDomainFromUrl(activeTab.url);
 
-                    if (activeTabDomain === domain) {
+                    if (isSubdomainOf(activeTabDomain, affected)) {
                         await chrome.tabs.reload(activeTab.id);
                         backgroundLogger.info('Active tab reloaded after domain toggle', {
                             tabId: activeTab.id,
-                            domain: domain
+                            domain: affected
                         });
                     }
                 }
@@ -424,6 +1132,215 @@ class MessageHandler {
             timer.end();
         }
     }
+
+    /**
+     * Pauses or resumes blocking in a single tab; other tabs on the same domain stay protected.
+     * The pause lasts until it is resumed or the tab is closed.
+     * @param {object} options - The options.
+     * @param {number} options.tabId - The tab.
+     * @param {boolean} options.isPaused - The new paused state.
+     * @returns {Promise<object>} A promise that resolves to an object indicating success.
+     */
+    static async handleToggleTabPause({ tabId, isPaused }) {
+        const tab = await chrome.tabs.get(tabId);
+        if (isPaused) {
+            state.pausedTabs.add(tab.id);
+        } else {
+            state.pausedTabs.delete(tab.id);
+        }
+
+        await updateTabPauseRules();
+        state.tabIconCache.delete(tab.id);
+        updateIcon(tab.id);
+
+        try {
+            const pause = await blockerEngine.getPause(blockerEngine.getDomainFromUrl(tab.url));
+            await chrome.tabs.sendMessage(tab.id, {
+                command: 'updatePauseState',
+                ...describePause(pause, state.pausedTabs.has(tab.id))
+            });
+        } catch (e) {
+            // Tab may not have a content script.
+        }
+
+        await chrome.tabs.reload(tab.id);
+        backgroundLogger.info('Tab pause toggled', { tabId: tab.id, isPaused });
+        return { success: true };
+    }
+
+    /**
+     * Handles the 'setBlockingEnabled' command: the global kill switch. Switching off disables every
+     * static ruleset and empties the allowlist rules; switching on restores the chosen filter lists
+     * and the pauses. The state is persisted and re-applied on browser restart.
+     * @param {object} options - The options.
+     * @param {boolean} options.enabled - Whether blocking should be enabled.
+     * @returns {Promise<object>} A promise that resolves to the new state.
+     */
+    static async handleSetBlockingEnabled({ enabled }) {
+        const timer = new PerformanceTimer(`Set blocking ${enabled ? 'enabled' : 'disabled'}`);
+
+        try {
+            if (enabled) {
+                await filterListManager.resumeRulesets();
+            } else {
+                await filterListManager.suspendRulesets();
+            }
+            await blockerEngine.setBlockingEnabled(enabled);
+            state.blockingEnabled = enabled;
+
+            await updateDynamicRules();
+            await updateCustomRules();
+            await updateSessionRules();
+            await updateTabPauseRules();
+
+            const tabs = await chrome.tabs.query({});
+            for (const tab of tabs) {
+                if (Number.isInteger(tab.id)) {
+                    updateIcon(tab.id);
+                }
+            }
+
+            backgroundLogger.info('Global blocking state changed', { enabled, tabs: tabs.length });
+            return { success: true, blockingEnabled: enabled };
+        } finally {
+            timer.end();
+        }
+    }
+
+    /**
+     * Handles the 'getFilterLists' command.
+     * @returns {Promise<object>} A promise that resolves to the configured filter lists.
+     */
+    static async handleGetFilterLists() {
+        const filterLists = await filterListManager.getFilterLists();
+        return { filterLists };
+    }
+
+    /**
+     * Handles the 'setFilterListEnabled' command.
+     * @param {object} options - The options for toggling the list.
+     * @param {string} options.id - The ruleset ID of the list.
+     * @param {boolean} options.enabled - Whether the list should be enabled.
+     * @returns {Promise<object>} A promise that resolves to the updated lists and filter count.
+     */
+    static async handleSetFilterListEnabled({ id, enabled }) {
+        await filterListManager.setFilterListEnabled(id, enabled);
+        await state.initializeFilterCount();
+
+        return {
+            success: true,
+            filterCount: state.precompiledFilterCount,
+            filterLists: await filterListManager.getFilterLists()
+        };
+    }
+
+    /**
+     * Handles the 'getDashboardData' command for the options page.
+     * @returns {Promise<object>} A promise that resolves to the allowlist, filter lists, custom rules
+     * with the errors of their skipped lines, statistics with their daily history and the log level.
+     */
+    static async handleGetDashboardData() {
+        const [disabledDomains, temporaryPauses, filterLists, customRules, summary, history] = await Promise.all([
+            blockerEngine.getDisabledDomains(),
+            blockerEngine.getTemporaryPauses(),
+            filterListManager.getFilterLists(),
+            customRulesManager.getText(),
+            blockingStats.getSummary(),
+            blockingStats.getHistory()
+        ]);
+
+        return {
+            blockingEnabled: state.blockingEnabled,
+            disabledDomains: [...disabledDomains],
+            temporaryPauses,
+            filterLists,
+            filterCount: state.precompiledFilterCount,
+            customRules,
+            customRuleErrors: compileCustomRules(customRules).errors,
+            // Packed builds cannot tell which domain of a packed requestDomains rule was blocked
+            stats: { ...summary, history, blockedDomainsComplete: blockedRequestCounter.supportsLiveMatches() },
+            logLevel: backgroundLogger.getLogLevel()
+        };
+    }
+
+    /**
+     * Handles the 'editDisabledDomains' command: adds and removes permanent allowlist entries in one go.
+     * @param {object} options - The changes.
+     * @param {string[]} options.add - Domains or wildcard entries to add; they are stored in canonical form.
+     * @param {string[]} options.remove - Stored entries to remove.
+     * @returns {Promise<object>} A promise that resolves to the updated allowlist.
+     */
+    static async handleEditDisabledDomains({ add, remove }) {
+        const current = await blockerEngine.getDisabledDomains();
+        const removed = new Set(remove);
+        const kept = current.filter(entry => !removed.has(entry)).map(entry => parseDomainEntry(entry)?.domain);
+        const added = [...new Set(add.map(entry => parseDomainEntry(entry).domain))]
+            .filter(domain => !kept.includes(domain));
+        // Refuse before storing, so no domain is saved without its allow rule
+        assertAllowlistCapacity(kept.length + added.length);
+
+        for (const entry of remove) {
+            await blockerEngine.removeDisabledDomain(entry);
+        }
+        for (const entry of add) {
+            await blockerEngine.addDisabledDomain(entry);
+        }
+
+        await updateDynamicRules();
+        await updateSessionRules();
+        await schedulePauseExpiry();
+        await notifyPauseState([...add, ...remove].map(entry => parseDomainEntry(entry)?.domain).filter(Boolean));
+
+        return { success: true, disabledDomains: [...await blockerEngine.getDisabledDomains()] };
+    }
+
+    /**
+     * Handles the 'setCustomRules' command: stores the custom rules and installs every line that compiles.
+     * @param {object} options - The options.
+     * @param {string} options.text - The custom rules, one per line.
+     * @returns {Promise<object>} A promise that resolves to the stored text and the errors of skipped lines.
+     */
+    static async handleSetCustomRules({ text }) {
+        await customRulesManager.setText(text);
+        const customRuleErrors = await updateCustomRules();
+        return { success: true, customRules: text, customRuleErrors };
+    }
+
+    /**
+     * Handles the 'setLogLevel' command. The level is stored, so every extension context follows it.
+     * @param {object} options - The options.
+     * @param {number} options.level - One of LOG_CONFIG.LEVELS.
+     * @returns {Promise<object>} A promise that resolves to the new level.
+     */
+    static async handleSetLogLevel({ level }) {
+        await saveLogLevel(level);
+        return { success: true, logLevel: level };
+    }
+
+    /**
+     * Handles the 'getMatchedRules' command (debugging aid).
+     * @param {object} options - The options for the lookup.
+     * @param {number|null} options.tabId - The tab to inspect; defaults to the active tab.
+     * @returns {Promise<object>} A promise that resolves to the matched rules with their source lines.
+     */
+    static async handleGetMatchedRules({ tabId }) {
+        let targetTabId = tabId;
+        if (targetTabId === null) {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            targetTabId = activeTab?.id;
+        }
+        if (!Number.isInteger(targetTabId)) {
+            return { matchedRules: [] };
+        }
+
+        const info = await chrome.declarativeNetRequest.getMatchedRules({ tabId: targetTabId });
+        const matchedRules = await ruleProvenance.describeMatchedRules(info?.rulesMatchedInfo);
+        for (const match of matchedRules) {
+            backgroundLogger.debug(`Rule matched in tab ${targetTabId}: ${match.description}`);
+        }
+
+        return { tabId: targetTabId, matchedRules };
+    }
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -434,6 +1351,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (!ALLOWED_COMMANDS.has(message?.command) || !isTrustedSender(sender)) {
                 throw new Error('Untrusted or unknown message');
             }
+            if (EXTENSION_PAGE_COMMANDS.has(message.command) && !isExtensionPageSender(sender)) {
+                throw new Error('Untrusted or unknown message');
+            }
 
             switch (message.command) {
                 case 'getPopupData':
@@ -445,11 +1365,60 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 case 'toggleDomainState':
                     const safeMessage = {
                         domain: String(message.domain || ''),
-                        isPaused: Boolean(message.isPaused)
+                        isPaused: Boolean(message.isPaused),
+                        scope: message.scope === undefined ? 'domain' : String(message.scope),
+                        duration: message.duration ?? null,
+                        tabId: Number.isInteger(message.tabId) ? message.tabId : null
                     };
                     validateTogglePayload(safeMessage);
                     result = await MessageHandler.handleToggleDomainState(safeMessage);
                     break;
+                case 'getFilterLists':
+                    result = await MessageHandler.handleGetFilterLists();
+                    break;
+                case 'setFilterListEnabled': {
+                    const listMessage = {
+                        id: String(message.id || ''),
+                        enabled: Boolean(message.enabled)
+                    };
+                    validateFilterListPayload(listMessage);
+                    result = await MessageHandler.handleSetFilterListEnabled(listMessage);
+                    break;
+                }
+                case 'setBlockingEnabled':
+                    result = await MessageHandler.handleSetBlockingEnabled({
+                        enabled: Boolean(message.enabled)
+                    });
+                    break;
+                case 'getDashboardData':
+                    result = await MessageHandler.handleGetDashboardData();
+                    break;
+                case 'editDisabledDomains': {
+                    const editMessage = {
+                        add: message.add ?? [],
+                        remove: message.remove ?? []
+                    };
+                    validateEditDisabledDomainsPayload(editMessage);
+                    result = await MessageHandler.handleEditDisabledDomains(editMessage);
+                    break;
+                }
+                case 'setCustomRules':
+                    if (typeof message.text !== 'string') {
+                        throw new Error('Invalid custom rules');
+                    }
+                    result = await MessageHandler.handleSetCustomRules({ text: message.text });
+                    break;
+                case 'setLogLevel':
+                    if (!isValidLogLevel(message.level)) {
+                        throw new Error('Invalid log level');
+                    }
+                    result = await MessageHandler.handleSetLogLevel({ level: message.level });
+                    break;
+                case 'getMatchedRules':
+                    result = await MessageHandler.handleGetMatchedRules({
+                        tabId: Number.isInteger(message.tabId) ? message.tabId : null
+                    });
+                    break;
                 default:
                     throw new Error(`Unknown command: ${message.command}`);
             }
@@ -487,18 +1456,67 @@ chrome.runtime.onStartup.addListener(async () => {
     }
 });
 
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm?.name === EXTENSION_CONFIG.ALARMS.STATS_SWEEP) {
+        try {
+            await recordMatchedRules();
+        } catch (error) {
+            backgroundLogger.warn('Failed to count rule matches', { error: error.message });
+        }
+        return;
+    }
+    if (alarm?.name !== EXTENSION_CONFIG.ALARMS.PAUSE_EXPIRY) {
+        return;
+    }
+
+    const expired = await state.restoreTemporaryPauses();
+    backgroundLogger.info('Temporary pauses expired', { entries: expired });
+    await notifyPauseState(expired.map(entry => parseDomainEntry(entry)?.domain).filter(Boolean));
+});
+
 chrome.tabs.onActivated.addListener((activeInfo) => {
     updateIcon(activeInfo.tabId);
 });
 
+if (blockedRequestCounter.supportsLiveMatches()) {
+    chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(async (info) => {
+        const tabId = await blockedRequestCounter.recordMatch(info);
+        if (tabId !== null) {
+            // Subresources name their page as initiator; blocked navigations fall back to the tab's last domain
+            const pageDomain = blockerEngine.getDomainFromUrl(info.request.initiator) ||
+                state.tabIconCache.get(tabId)?.domain || null;
+            blockingStats.record({
+                site: getStatsSite(pageDomain),
+                domain: getStatsSite(blockerEngine.getDomainFromUrl(info.request.url))
+            });
+            updateIcon(tabId);
+        }
+    });
+}
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // A new page starts with a new blocked-request count
+    if (changeInfo.status === 'loading') {
+        blockedRequestCounter.resetTab(tabId);
+    }
     if (changeInfo.status === 'complete' || changeInfo.url) {
         updateIcon(tabId);
     }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
     state.tabIconCache.delete(tabId);
+    blockedRequestCounter.removeTab(tabId);
+    state.iconUpdaters.get(tabId)?.cancel();
+    state.iconUpdaters.delete(tabId);
+
+    if (state.pausedTabs.delete(tabId)) {
+        try {
+            await updateTabPauseRules();
+        } catch (error) {
+            backgroundLogger.error('Failed to remove the pause of a closed tab', { tabId, error: error.message });
+        }
+    }
 });
 
 (async () => {
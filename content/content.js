@@ -17,6 +17,10 @@ class PagyContentScript {
         this.state = {
             isPaused: false,
             domain: null,
+            pausedBy: null,
+            isTemporaryPause: false,
+            pauseExpiresAt: null,
+            isTabPause: false,
             isInitialized: false
         };
 
@@ -100,10 +104,20 @@ class PagyContentScript {
      * @param {object} newState - The new state to apply.
      */
     updateState(newState) {
-        const wasChanged = this.state.isPaused !== newState.isPaused;
+        const wasChanged = this.state.isPaused !== Boolean(newState.isPaused) ||
+            this.state.pausedBy !== (newState.pausedBy || null) ||
+            this.state.pauseExpiresAt !== (newState.pauseExpiresAt ?? null) ||
+            this.state.isTabPause !== Boolean(newState.isTabPause);
 
         this.state.isPaused = Boolean(newState.isPaused);
         this.state.domain = newState.domain || null;
+        // The disabled entry that pauses this page, e.g. a parent domain or "*.corp.example"
+        this.state.pausedBy = this.state.isPaused ? (newState.pausedBy || null) : null;
+        // Temporary pauses end by themselves; the background sends the reverted state on expiry
+        this.state.isTemporaryPause = this.state.isPaused && Boolean(newState.isTemporaryPause);
+        this.state.pauseExpiresAt = this.state.isTemporaryPause ? (newState.pauseExpiresAt ?? null) : null;
+        // Paused in this tab only; other tabs of the domain keep blocking
+        this.state.isTabPause = this.state.isPaused && Boolean(newState.isTabPause);
 
         if (wasChanged) {
             this.onStateChange();
@@ -116,7 +130,8 @@ class PagyContentScript {
     onStateChange() {
         const status = this.state.isPaused ? 'disabled' : 'enabled';
         contentLogger.info(`Pagy Blocker ${status} for this domain`, {
-            domain: this.state.domain
+            domain: this.state.domain,
+            pausedBy: this.state.pausedBy
         });
 
         this.dispatchStatusEvent();
@@ -130,7 +145,11 @@ class PagyContentScript {
             const event = new CustomEvent('pagyBlockerStateChange', {
                 detail: {
                     isPaused: this.state.isPaused,
-                    domain: this.state.domain
+                    domain: this.state.domain,
+                    pausedBy: this.state.pausedBy,
+                    isTemporaryPause: this.state.isTemporaryPause,
+                    pauseExpiresAt: this.state.pauseExpiresAt,
+                    isTabPause: this.state.isTabPause
                 }
             });
 
@@ -184,7 +203,11 @@ class PagyContentScript {
     handleUpdatePauseState(message, sendResponse) {
         const newState = {
             isPaused: Boolean(message.isPaused),
-            domain: this.state.domain
+            domain: this.state.domain,
+            pausedBy: message.pausedBy,
+            isTemporaryPause: message.isTemporaryPause,
+            pauseExpiresAt: message.pauseExpiresAt,
+            isTabPause: message.isTabPause
         };
 
         this.updateState(newState);
@@ -199,6 +222,10 @@ class PagyContentScript {
         sendResponse({
             isPaused: this.state.isPaused,
             domain: this.state.domain,
+            pausedBy: this.state.pausedBy,
+            isTemporaryPause: this.state.isTemporaryPause,
+            pauseExpiresAt: this.state.pauseExpiresAt,
+            isTabPause: this.state.isTabPause,
             isInitialized: this.state.isInitialized
         });
     }
@@ -0,0 +1,258 @@
+/**
+ * @file Blocked-request counter - counts the requests blocked in each tab for the toolbar badge.
+ * @version 11.5
+ */
+
+import { filterListManager } from './filter-lists.js';
+import { isValidDomain } from './utilities.js';
+import { createLogger } from './logger.js';
+
+const counterLogger = createLogger('BlockedCounter');
+
+/**
+ * Highest count shown on the badge; larger counts are shown as "999+".
+ * @const {number}
+ */
+const MAX_BADGE_COUNT = 999;
+
+/**
+ * Ruleset ID the DNR API reports for matches of dynamic rules.
+ * @const {string}
+ */
+export const DYNAMIC_RULESET_ID = '_dynamic';
+
+/**
+ * Formats a blocked-request count for the toolbar badge.
+ * @param {number} count - The number of blocked requests.
+ * @returns {string} The badge text; empty when nothing was blocked.
+ */
+export function formatBadgeCount(count) {
+    if (!Number.isInteger(count) || count <= 0) {
+        return '';
+    }
+    return count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count);
+}
+
+/**
+ * Checks if a compiled rule stops a request: block rules, and redirects to a bundled
+ * surrogate script. Allow rules, header changes and URL transforms (tracking parameters)
+ * let the request through and are not counted.
+ * @param {object} rule - A compiled DNR rule.
+ * @returns {boolean} True if the rule blocks requests.
+ */
+export function isBlockingRule(rule) {
+    const action = rule?.action;
+    return action?.type === 'block' ||
+        (action?.type === 'redirect' && typeof action.redirect?.extensionPath === 'string');
+}
+
+/**
+ * Returns the domain a rule blocks, read from its condition: a single requestDomains entry
+ * or the host of a "||host" urlFilter. Packed rules list many domains; getMatchedRules reports
+ * no request URL, so not even the provenance sidecar can tell which of them matched.
+ * @param {object} rule - A compiled DNR rule.
+ * @returns {string|null} The blocked domain, or null if the condition does not name one.
+ */
+export function getBlockedDomain(rule) {
+    const { requestDomains, urlFilter } = rule?.condition || {};
+    if (Array.isArray(requestDomains) && requestDomains.length === 1) {
+        return requestDomains[0];
+    }
+    if (typeof urlFilter === 'string' && urlFilter.startsWith('||')) {
+        const host = urlFilter.slice(2).split(/[/^*:|?]/)[0];
+        return isValidDomain(host) ? host : null;
+    }
+    return null;
+}
+
+/**
+ * Counts blocked requests per tab since the last navigation of the tab.
+ * Counts grow live from onRuleMatchedDebug events where Chrome offers them (unpacked builds);
+ * otherwise they are read from getMatchedRules whenever a tab is refreshed.
+ */
+export class BlockedRequestCounter {
+    /**
+     * Constructs a new BlockedRequestCounter instance.
+     */
+    constructor() {
+        /** @private @type {Map<number, {count: number, since: number|null}>} */
+        this._tabs = new Map();
+        /** @private @type {Map<string, Promise<Map<number, string|null>|null>>} */
+        this._blockingRules = new Map();
+    }
+
+    /**
+     * Checks if Chrome reports rule matches as they happen. Only unpacked extensions
+     * with the declarativeNetRequestFeedback permission get onRuleMatchedDebug.
+     * @returns {boolean} True if live match events are available.
+     */
+    supportsLiveMatches() {
+        return typeof chrome?.declarativeNetRequest?.onRuleMatchedDebug?.addListener === 'function';
+    }
+
+    /**
+     * Loads the blocking rules of a ruleset.
+     * @private
+     * @param {string} rulesetId - The ruleset ID.
+     * @returns {Promise<Map<number, string|null>|null>} A promise that resolves to the blocked domain
+     * of every blocking rule by rule ID, or null if unavailable.
+     */
+    _loadBlockingRules(rulesetId) {
+        if (!this._blockingRules.has(rulesetId)) {
+            this._blockingRules.set(rulesetId, this._fetchBlockingRules(rulesetId));
+        }
+        return this._blockingRules.get(rulesetId);
+    }
+
+    /**
+     * Fetches a compiled static ruleset and collects its blocking rules. Dynamic rules
+     * (the custom filter rules) are read from the DNR API; session rules only ever allow requests.
+     * @private
+     * @param {string} rulesetId - The ruleset ID.
+     * @returns {Promise<Map<number, string|null>|null>} A promise that resolves to the blocked domain
+     * of every blocking rule by rule ID, or null if unavailable.
+     */
+    async _fetchBlockingRules(rulesetId) {
+        try {
+            let rules;
+            if (rulesetId === DYNAMIC_RULESET_ID) {
+                rules = await chrome.declarativeNetRequest.getDynamicRules();
+            } else {
+                const lists = await filterListManager.loadListConfig();
+                const list = lists.find(entry => entry.id === rulesetId);
+                if (!list?.path) {
+                    return null;
+                }
+
+                const response = await fetch(chrome.runtime.getURL(`/${list.path}`));
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                rules = await response.json();
+            }
+            return new Map((Array.isArray(rules) ? rules : [])
+                .filter(isBlockingRule)
+                .map(rule => [rule.id, getBlockedDomain(rule)]));
+        } catch (error) {
+            counterLogger.debug('Ruleset unavailable for counting', { rulesetId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Drops the loaded rules of a ruleset, e.g. after its rules changed.
+     * @param {string} rulesetId - The ruleset ID.
+     */
+    forgetRuleset(rulesetId) {
+        this._blockingRules.delete(rulesetId);
+    }
+
+    /**
+     * Checks if a matched rule blocked its request.
+     * @param {{ruleId: number, rulesetId: string}} rule - The matched rule as reported by the DNR API.
+     * @returns {Promise<boolean>} A promise that resolves to true if the request was blocked.
+     */
+    async isBlockingMatch(rule) {
+        if (typeof rule?.rulesetId !== 'string' || !Number.isInteger(rule.ruleId)) {
+            return false;
+        }
+        const rules = await this._loadBlockingRules(rule.rulesetId);
+        return rules?.has(rule.ruleId) ?? false;
+    }
+
+    /**
+     * Returns the domain a matched rule blocks, for the statistics of packed builds, which get no
+     * request URLs. See getBlockedDomain().
+     * @param {{ruleId: number, rulesetId: string}} rule - The matched rule as reported by the DNR API.
+     * @returns {Promise<string|null>} A promise that resolves to the blocked domain, or null if unknown.
+     */
+    async getMatchedDomain(rule) {
+        if (typeof rule?.rulesetId !== 'string' || !Number.isInteger(rule.ruleId)) {
+            return null;
+        }
+        const rules = await this._loadBlockingRules(rule.rulesetId);
+        return rules?.get(rule.ruleId) ?? null;
+    }
+
+    /**
+     * Counts one live rule match (onRuleMatchedDebug).
+     * @param {{rule: {ruleId: number, rulesetId: string}, request: {tabId: number}}} info - The match info.
+     * @returns {Promise<number|null>} A promise that resolves to the tab whose count grew, or null.
+     */
+    async recordMatch(info) {
+        const tabId = info?.request?.tabId;
+        if (!Number.isInteger(tabId) || tabId < 0 || !(await this.isBlockingMatch(info.rule))) {
+            return null;
+        }
+        const entry = this._tabs.get(tabId) || { count: 0, since: null };
+        entry.count += 1;
+        this._tabs.set(tabId, entry);
+        return tabId;
+    }
+
+    /**
+     * Starts counting a tab from zero, e.g. when it navigates.
+     * @param {number} tabId - The tab ID.
+     * @param {number} [now=Date.now()] - The time the new count starts at.
+     */
+    resetTab(tabId, now = Date.now()) {
+        this._tabs.set(tabId, { count: 0, since: now });
+    }
+
+    /**
+     * Forgets a tab, e.g. when it is closed.
+     * @param {number} tabId - The tab ID.
+     */
+    removeTab(tabId) {
+        this._tabs.delete(tabId);
+    }
+
+    /**
+     * Returns the count of a tab.
+     * @param {number} tabId - The tab ID.
+     * @returns {number|null} The number of blocked requests, or null if the tab is not counted yet.
+     */
+    getCount(tabId) {
+        return this._tabs.get(tabId)?.count ?? null;
+    }
+
+    /**
+     * Reads the count of a tab from getMatchedRules. Used when live events are unavailable,
+     * and to pick up the count of a tab that was open before the service worker started.
+     * @param {number} tabId - The tab ID.
+     * @returns {Promise<number>} A promise that resolves to the number of blocked requests.
+     */
+    async refreshTab(tabId) {
+        const since = this._tabs.get(tabId)?.since ?? null;
+        if (typeof chrome?.declarativeNetRequest?.getMatchedRules !== 'function') {
+            return this.getCount(tabId) ?? 0;
+        }
+
+        try {
+            const filter = since === null ? { tabId } : { tabId, minTimeStamp: since };
+            const info = await chrome.declarativeNetRequest.getMatchedRules(filter);
+            const matches = Array.isArray(info?.rulesMatchedInfo) ? info.rulesMatchedInfo : [];
+            const blocking = await Promise.all(matches.map(match => this.isBlockingMatch(match?.rule)));
+            const count = blocking.filter(Boolean).length;
+            // A tab reset while the lookup ran keeps its new, lower count
+            if ((this._tabs.get(tabId)?.since ?? null) === since) {
+                this._tabs.set(tabId, { count, since });
+            }
+            return this.getCount(tabId) ?? count;
+        } catch (error) {
+            counterLogger.debug('Failed to read matched rules', { tabId, error: error.message });
+            return this.getCount(tabId) ?? 0;
+        }
+    }
+
+    /**
+     * Drops all counts and loaded rulesets.
+     */
+    clear() {
+        this._tabs.clear();
+        this._blockingRules.clear();
+    }
+}
+
+// Export singleton instance
+export const blockedRequestCounter = new BlockedRequestCounter();
@@ -3,7 +3,12 @@
  * @version 11.5
  */
 
-import { getDomainFromUrl as utilGetDomainFromUrl, isValidDomain as utilIsValidDomain } from './utilities.js';
+import {
+    getDomainFromUrl as utilGetDomainFromUrl,
+    isValidDomain as utilIsValidDomain,
+    parseDomainEntry
+} from './utilities.js';
+import { getRegistrableDomain, isSubdomainOf } from './registrable-domain.js';
 import { EXTENSION_CONFIG } from './config.js';
 import StorageManager from './storage.js';
 import { createLogger } from './logger.js';
@@ -25,6 +30,8 @@ export class BlockerEngine {
         this._disabledDomains = null;
         /** @private @type {Set<string>|null} */
         this._disabledDomainsSet = null;
+        /** @private @type {Array<{entry: string, expiresAt: number|null}>|null} */
+        this._temporaryPauses = null;
         /** @private */
         this._storageListenerAttached = false;
         /** @private */
@@ -63,6 +70,7 @@ export class BlockerEngine {
             if (!this._storageListenerAttached && chrome?.storage?.onChanged) {
                 try {
                     const DISABLED_KEY = EXTENSION_CONFIG.STORAGE_KEYS.DISABLED_DOMAINS;
+                    const TEMPORARY_KEY = EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES;
                     chrome.storage.onChanged.addListener((changes, areaName) => {
                         if (areaName === 'local' && changes?.[DISABLED_KEY]) {
                             const newValue = Array.isArray(changes[DISABLED_KEY].newValue)
@@ -70,6 +78,12 @@ export class BlockerEngine {
                                 : [];
                             this._updateDisabledDomainsCache(newValue);
                         }
+                        if (areaName === 'local' && changes?.[TEMPORARY_KEY]) {
+                            const newValue = Array.isArray(changes[TEMPORARY_KEY].newValue)
+                                ? changes[TEMPORARY_KEY].newValue
+                                : [];
+                            this._temporaryPauses = newValue;
+                        }
                     });
                     this._storageListenerAttached = true;
                 } catch (_) {
@@ -159,6 +173,47 @@ export class BlockerEngine {
         return utilIsValidDomain(domain);
     }
 
+    /**
+     * Checks if a disabled-domain entry is valid, i.e. a domain or a wildcard entry like "*.corp.example".
+     * @param {string} entry - The entry to validate.
+     * @returns {boolean} True if the entry is valid, false otherwise.
+     */
+    isValidDomainEntry(entry) {
+        return parseDomainEntry(entry) !== null;
+    }
+
+    /**
+     * Returns the registrable domain ("whole site") of a host.
+     * @param {string} domain - The host name.
+     * @returns {string|null} The registrable domain, or null if the host is a public suffix or invalid.
+     */
+    getSiteDomain(domain) {
+        return getRegistrableDomain(domain);
+    }
+
+    /**
+     * Checks the global kill switch. Blocking is on unless it was switched off explicitly.
+     * @returns {Promise<boolean>} A promise that resolves to true if blocking is enabled.
+     */
+    async isBlockingEnabled() {
+        try {
+            const value = await this._storage.get(EXTENSION_CONFIG.STORAGE_KEYS.BLOCKING_ENABLED);
+            return value !== false;
+        } catch (error) {
+            engineLogger.error('Failed to retrieve the blocking state', { error: error.message });
+            return true;
+        }
+    }
+
+    /**
+     * Persists the global kill switch.
+     * @param {boolean} enabled - Whether blocking is enabled.
+     * @returns {Promise<void>}
+     */
+    async setBlockingEnabled(enabled) {
+        await this._storage.set(EXTENSION_CONFIG.STORAGE_KEYS.BLOCKING_ENABLED, Boolean(enabled));
+    }
+
     /**
      * Retrieves the list of disabled domains.
      * @returns {Promise<string[]>} A promise that resolves to an array of disabled domains.
@@ -203,8 +258,11 @@ export class BlockerEngine {
     }
 
     /**
-     * Adds a domain to the list of disabled domains.
-     * @param {string} domain - The domain to add.
+     * Adds a domain to the list of disabled domains. The entry covers the domain and all of its
+     * subdomains; a wildcard entry like "*.corp.example" is stored in that spelling.
+     * An entry for a domain that is already listed (in either spelling) is not added again.
+     * A temporary pause of the same domain is dropped, since the permanent entry covers it.
+     * @param {string} domain - The domain or wildcard entry to add.
      * @returns {Promise<void>}
      */
     async addDisabledDomain(domain) {
@@ -213,11 +271,20 @@ export class BlockerEngine {
             const DISABLED_KEY = EXTENSION_CONFIG.STORAGE_KEYS.DISABLED_DOMAINS;
             const currentValue = await this._storage.get(DISABLED_KEY);
             const currentDomains = Array.isArray(currentValue) ? currentValue : [];
-            if (this.isValidDomain(domain) && !currentDomains.includes(domain)) {
-                const updatedDomains = [...currentDomains, domain];
+            const parsed = parseDomainEntry(domain);
+            if (parsed && !currentDomains.some(d => parseDomainEntry(d)?.domain === parsed.domain)) {
+                const updatedDomains = [...currentDomains, parsed.entry];
                 await this._storage.set(DISABLED_KEY, updatedDomains);
                 this._updateDisabledDomainsCache(updatedDomains);
             }
+
+            // A permanent pause replaces a temporary pause of the same domain
+            const currentPauses = parsed ? await this._readTemporaryPauses() : [];
+            const updatedPauses = currentPauses.filter(p => parseDomainEntry(p.entry)?.domain !== parsed.domain);
+            if (updatedPauses.length !== currentPauses.length) {
+                await this._storage.set(EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES, updatedPauses);
+                this._temporaryPauses = updatedPauses;
+            }
         } catch (error) {
             engineLogger.error('Error adding disabled domain', { error: error.message });
         } finally {
@@ -249,15 +316,196 @@ export class BlockerEngine {
     }
 
     /**
-     * Checks if a domain is disabled.
+     * Removes a domain and every disabled parent domain that covers it, so the blocker is
+     * active on the domain again regardless of whether it was paused per subdomain or per site.
+     * Temporary pauses covering the domain are lifted as well.
+     * @param {string} domain - The domain to resume.
+     * @param {string|null} [scopeDomain=null] - If set, entries for subdomains of this domain
+     * (e.g. the whole site) are removed as well.
+     * @returns {Promise<string[]>} A promise that resolves to the removed entries.
+     */
+    async removeCoveringDisabledDomains(domain, scopeDomain = null) {
+        const release = await this._acquireLock();
+        try {
+            const covers = (entry) => {
+                const entryDomain = parseDomainEntry(entry)?.domain ?? entry;
+                return isSubdomainOf(domain, entryDomain) || isSubdomainOf(entryDomain, scopeDomain);
+            };
+
+            const DISABLED_KEY = EXTENSION_CONFIG.STORAGE_KEYS.DISABLED_DOMAINS;
+            const currentValue = await this._storage.get(DISABLED_KEY);
+            const currentDomains = Array.isArray(currentValue) ? currentValue : [];
+            const removed = currentDomains.filter(covers);
+            if (removed.length > 0) {
+                const updatedDomains = currentDomains.filter(d => !removed.includes(d));
+                await this._storage.set(DISABLED_KEY, updatedDomains);
+                this._updateDisabledDomainsCache(updatedDomains);
+            }
+
+            const TEMPORARY_KEY = EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES;
+            const currentPauses = await this._readTemporaryPauses();
+            const removedPauses = currentPauses.filter(pause => covers(pause.entry));
+            if (removedPauses.length > 0) {
+                const updatedPauses = currentPauses.filter(pause => !removedPauses.includes(pause));
+                await this._storage.set(TEMPORARY_KEY, updatedPauses);
+                this._temporaryPauses = updatedPauses;
+            }
+
+            return [...removed, ...removedPauses.map(pause => pause.entry)];
+        } catch (error) {
+            engineLogger.error('Error removing covering disabled domains', { error: error.message });
+            return [];
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Retrieves the temporary pauses. Each pause stores its entry (as in the disabled-domain list)
+     * and the time it expires; an expiresAt of null means "until the browser restarts".
+     * @returns {Promise<Array<{entry: string, expiresAt: number|null}>>} A promise that resolves to the pauses.
+     */
+    async getTemporaryPauses() {
+        const release = await this._acquireLock();
+        try {
+            this._temporaryPauses = await this._readTemporaryPauses();
+            return this._temporaryPauses;
+        } catch (error) {
+            engineLogger.error('Failed to retrieve temporary pauses', { error: error.message });
+            this._temporaryPauses = [];
+            return this._temporaryPauses;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Pauses a domain (and its subdomains) until a point in time or until the browser restarts.
+     * A temporary pause for the same domain is replaced.
+     * @param {string} domain - The domain or wildcard entry to pause.
+     * @param {number|null} expiresAt - The expiry as a timestamp in milliseconds, or null for "until restart".
+     * @returns {Promise<{entry: string, expiresAt: number|null}|null>} A promise that resolves to the stored
+     * pause, or null if the entry or expiry is invalid.
+     */
+    async addTemporaryPause(domain, expiresAt) {
+        const parsed = parseDomainEntry(domain);
+        if (!parsed || (expiresAt !== null && !Number.isFinite(expiresAt))) {
+            return null;
+        }
+
+        const release = await this._acquireLock();
+        try {
+            const TEMPORARY_KEY = EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES;
+            const currentPauses = await this._readTemporaryPauses();
+            const pause = { entry: parsed.entry, expiresAt };
+            const updatedPauses = [
+                ...currentPauses.filter(p => parseDomainEntry(p.entry)?.domain !== parsed.domain),
+                pause
+            ];
+            await this._storage.set(TEMPORARY_KEY, updatedPauses);
+            this._temporaryPauses = updatedPauses;
+            return pause;
+        } catch (error) {
+            engineLogger.error('Error adding temporary pause', { error: error.message });
+            return null;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Removes expired temporary pauses.
+     * @param {object} [options] - Options.
+     * @param {number} [options.now=Date.now()] - The current time in milliseconds.
+     * @param {boolean} [options.includeSession=false] - Also remove "until restart" pauses (on browser startup).
+     * @returns {Promise<Array<{entry: string, expiresAt: number|null}>>} A promise that resolves to the removed pauses.
+     */
+    async removeExpiredTemporaryPauses({ now = Date.now(), includeSession = false } = {}) {
+        const release = await this._acquireLock();
+        try {
+            const TEMPORARY_KEY = EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES;
+            const currentPauses = await this._readTemporaryPauses();
+            const removed = currentPauses.filter(pause => (pause.expiresAt === null ? includeSession : pause.expiresAt <= now));
+            if (removed.length > 0) {
+                const updatedPauses = currentPauses.filter(pause => !removed.includes(pause));
+                await this._storage.set(TEMPORARY_KEY, updatedPauses);
+                this._temporaryPauses = updatedPauses;
+            }
+            return removed;
+        } catch (error) {
+            engineLogger.error('Error removing expired temporary pauses', { error: error.message });
+            return [];
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Finds the pause that applies to a domain. Permanent entries win over temporary pauses;
+     * expired temporary pauses are ignored even before they are removed.
      * @param {string} domain - The domain to check.
-     * @returns {Promise<boolean>} A promise that resolves to true if the domain is disabled, false otherwise.
+     * @returns {Promise<{entry: string, temporary: boolean, expiresAt: number|null}|null>} A promise that
+     * resolves to the pause, or null if the domain is not paused.
      */
-    async isDomainDisabled(domain) {
+    async getPause(domain) {
+        const entry = await this.getPausingDomain(domain, { includeTemporary: false });
+        if (entry !== null) {
+            return { entry, temporary: false, expiresAt: null };
+        }
+
+        if (!this._temporaryPauses) {
+            await this.getTemporaryPauses();
+        }
+        if (typeof domain !== 'string') {
+            return null;
+        }
+
+        const now = Date.now();
+        const pause = this._temporaryPauses.find(p => (p.expiresAt === null || p.expiresAt > now) &&
+            isSubdomainOf(domain, parseDomainEntry(p.entry)?.domain));
+        return pause ? { entry: pause.entry, temporary: true, expiresAt: pause.expiresAt } : null;
+    }
+
+    /**
+     * Finds the disabled entry that pauses a domain. The allow rules match subdomains,
+     * so an entry for a parent domain (e.g. the whole site or "*.corp.example") pauses the domain as well.
+     * @param {string} domain - The domain to check.
+     * @param {object} [options] - Options.
+     * @param {boolean} [options.includeTemporary=true] - Whether temporary pauses count.
+     * @returns {Promise<string|null>} A promise that resolves to the pausing entry, or null.
+     */
+    async getPausingDomain(domain, { includeTemporary = true } = {}) {
+        if (includeTemporary) {
+            return (await this.getPause(domain))?.entry ?? null;
+        }
         if (!this._disabledDomainsSet) {
             await this.getDisabledDomains();
         }
-        return this._disabledDomainsSet?.has(domain) || false;
+        if (typeof domain !== 'string' || !this._disabledDomainsSet) {
+            return null;
+        }
+
+        let candidate = domain;
+        while (candidate) {
+            if (this._disabledDomainsSet.has(candidate)) {
+                return candidate;
+            }
+            if (this._disabledDomainsSet.has(`*.${candidate}`)) {
+                return `*.${candidate}`;
+            }
+            const dot = candidate.indexOf('.');
+            candidate = dot === -1 ? '' : candidate.slice(dot + 1);
+        }
+        return null;
+    }
+
+    /**
+     * Checks if a domain is disabled, either directly, through a disabled parent domain or by a temporary pause.
+     * @param {string} domain - The domain to check.
+     * @returns {Promise<boolean>} A promise that resolves to true if the domain is disabled, false otherwise.
+     */
+    async isDomainDisabled(domain) {
+        return (await this.getPausingDomain(domain)) !== null;
     }
 
     /**
@@ -304,9 +552,21 @@ export class BlockerEngine {
         this.filterRules = [];
         this._disabledDomains = null;
         this._disabledDomainsSet = null;
+        this._temporaryPauses = null;
         engineLogger.info('Blocker engine destroyed');
     }
 
+    /**
+     * Reads the temporary pauses from storage, dropping malformed items. Callers hold the lock.
+     * @private
+     * @returns {Promise<Array<{entry: string, expiresAt: number|null}>>} The stored pauses.
+     */
+    async _readTemporaryPauses() {
+        const value = await this._storage.get(EXTENSION_CONFIG.STORAGE_KEYS.TEMPORARY_PAUSES);
+        return (Array.isArray(value) ? value : []).filter(pause =>
+            typeof pause?.entry === 'string' && (pause.expiresAt === null || Number.isFinite(pause.expiresAt)));
+    }
+
     /**
      * Updates the cache for disabled domains.
      * @private
@@ -0,0 +1,292 @@
+/**
+ * @file Blocking statistics - persists blocked-request counts per day, per site and per blocked domain.
+ * @version 11.5
+ */
+
+import { EXTENSION_CONFIG } from './config.js';
+import StorageManager from './storage.js';
+import { debounce } from './utilities.js';
+import { createLogger } from './logger.js';
+
+const statsLogger = createLogger('BlockingStats');
+
+const STATS_KEY = EXTENSION_CONFIG.STORAGE_KEYS.BLOCKING_STATS;
+
+/**
+ * Number of entries in the "top sites" and "top blocked domains" lists of the summary.
+ * @const {number}
+ */
+const TOP_ENTRIES = 5;
+
+/**
+ * Returns the local calendar day of a timestamp.
+ * @param {number} timestamp - The timestamp in milliseconds.
+ * @returns {string} The day as "YYYY-MM-DD", which sorts chronologically.
+ */
+export function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the day keys of the last days up to and including the day of a timestamp.
+ * @param {number} timestamp - The timestamp of the last day.
+ * @param {number} count - The number of days.
+ * @returns {string[]} The day keys, newest first.
+ */
+export function getRecentDayKeys(timestamp, count) {
+    const date = new Date(timestamp);
+    return Array.from({ length: count }, (_, offset) =>
+        toDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset).getTime()));
+}
+
+/**
+ * Keeps the largest counts of a per-day map.
+ * @param {Object<string, number>} counts - Counts by site or domain.
+ * @param {number} max - The maximum number of entries.
+ * @returns {Object<string, number>} The counts, with at most max entries.
+ */
+function capCounts(counts, max) {
+    const entries = Object.entries(counts);
+    if (entries.length <= max) {
+        return counts;
+    }
+    return Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, max));
+}
+
+/**
+ * Adds the counts of one map to another.
+ * @param {Object<string, number>} target - The map to add to.
+ * @param {Object<string, number>} source - The counts to add.
+ */
+function addCounts(target, source) {
+    for (const [key, count] of Object.entries(source)) {
+        target[key] = (target[key] || 0) + count;
+    }
+}
+
+/**
+ * Returns the largest counts of several days as a sorted list.
+ * @param {object[]} days - The day records.
+ * @param {string} field - 'sites' or 'domains'.
+ * @returns {Array<{name: string, count: number}>} The top entries.
+ */
+function getTopEntries(days, field) {
+    const totals = {};
+    days.forEach(day => addCounts(totals, day[field] || {}));
+    return Object.entries(totals)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, TOP_ENTRIES)
+        .map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Drops days past the retention period and caps the per-day maps.
+ * @param {{since: string|null, total: number, days: object}} data - The stored statistics.
+ * @param {number} now - The current timestamp.
+ * @returns {{since: string|null, total: number, days: object}} The pruned statistics.
+ */
+export function pruneStats(data, now) {
+    const { STATS_RETENTION_DAYS, MAX_STATS_ENTRIES_PER_DAY } = EXTENSION_CONFIG.LIMITS;
+    const oldestKept = getRecentDayKeys(now, STATS_RETENTION_DAYS).at(-1);
+    const days = {};
+    for (const [key, day] of Object.entries(data.days)) {
+        if (key >= oldestKept) {
+            days[key] = {
+                total: day.total,
+                sites: capCounts(day.sites, MAX_STATS_ENTRIES_PER_DAY),
+                domains: capCounts(day.domains, MAX_STATS_ENTRIES_PER_DAY)
+            };
+        }
+    }
+    return { ...data, days };
+}
+
+/**
+ * Creates an empty day record.
+ * @returns {{total: number, sites: Object<string, number>, domains: Object<string, number>}} The day record.
+ */
+function createDay() {
+    return { total: 0, sites: {}, domains: {} };
+}
+
+/**
+ * Normalizes stored statistics, so damaged or missing data starts over instead of failing.
+ * @param {*} value - The stored value.
+ * @returns {{since: string|null, total: number, days: object}} The statistics.
+ */
+function normalizeStats(value) {
+    if (!value || typeof value !== 'object' || typeof value.days !== 'object' || value.days === null) {
+        return { since: null, total: 0, days: {} };
+    }
+    return {
+        since: typeof value.since === 'string' ? value.since : null,
+        total: Number.isInteger(value.total) ? value.total : 0,
+        days: value.days
+    };
+}
+
+/**
+ * Aggregates blocked requests per day, per first-party site and per blocked third-party domain.
+ * Counts are buffered in memory and written to storage shortly after, so busy pages cost one
+ * write instead of one per request. Days past the retention period are dropped on every write;
+ * the all-time total keeps counting them.
+ */
+export class BlockingStats {
+    /**
+     * Constructs a new BlockingStats instance.
+     */
+    constructor() {
+        /** @private */
+        this._storage = new StorageManager();
+        /** @private @type {Object<string, {total: number, sites: object, domains: object}>} */
+        this._pending = {};
+        /** @private @type {Promise<void>} */
+        this._writes = Promise.resolve();
+        /** @private */
+        this._scheduleFlush = debounce(() => this.flush(), EXTENSION_CONFIG.PERFORMANCE.STATS_FLUSH_DELAY);
+    }
+
+    /**
+     * Records blocked requests.
+     * @param {object} options - The blocked requests.
+     * @param {string|null} [options.site] - The first-party site (registrable domain) of the tab.
+     * @param {string|null} [options.domain] - The blocked third-party domain, if known.
+     * @param {number} [options.count=1] - The number of blocked requests.
+     * @param {number} [options.now=Date.now()] - The time of the blocks.
+     */
+    record({ site = null, domain = null, count = 1, now = Date.now() } = {}) {
+        if (!Number.isInteger(count) || count <= 0) {
+            return;
+        }
+
+        const key = toDayKey(now);
+        const day = this._pending[key] || (this._pending[key] = createDay());
+        day.total += count;
+        if (site) {
+            day.sites[site] = (day.sites[site] || 0) + count;
+        }
+        if (domain) {
+            day.domains[domain] = (day.domains[domain] || 0) + count;
+        }
+        this._scheduleFlush();
+    }
+
+    /**
+     * Writes the buffered counts to storage. Writes run one after another, so no count is lost
+     * when a flush starts while the previous one is still running.
+     * @param {number} [now=Date.now()] - The current time, used for the retention period.
+     * @returns {Promise<void>}
+     */
+    flush(now = Date.now()) {
+        this._scheduleFlush.cancel();
+        this._writes = this._writes.then(() => this._write(now));
+        return this._writes;
+    }
+
+    /**
+     * Merges the buffered counts into the stored statistics.
+     * @private
+     * @param {number} now - The current time.
+     * @returns {Promise<void>}
+     */
+    async _write(now) {
+        const pending = this._pending;
+        const keys = Object.keys(pending).sort();
+        if (keys.length === 0) {
+            return;
+        }
+        this._pending = {};
+
+        try {
+            const data = normalizeStats(await this._storage.get(STATS_KEY));
+            for (const key of keys) {
+                const day = data.days[key] || createDay();
+                day.total += pending[key].total;
+                addCounts(day.sites, pending[key].sites);
+                addCounts(day.domains, pending[key].domains);
+                data.days[key] = day;
+                data.total += pending[key].total;
+            }
+            data.since = data.since && data.since < keys[0] ? data.since : keys[0];
+            await this._storage.set(STATS_KEY, pruneStats(data, now));
+        } catch (error) {
+            statsLogger.warn('Failed to save blocking statistics', { error: error.message });
+            // Keep the counts for the next write
+            for (const key of keys) {
+                const day = this._pending[key] || (this._pending[key] = createDay());
+                day.total += pending[key].total;
+                addCounts(day.sites, pending[key].sites);
+                addCounts(day.domains, pending[key].domains);
+            }
+        }
+    }
+
+    /**
+     * Writes the buffered counts and reads the stored statistics.
+     * @private
+     * @param {number} now - The current time.
+     * @returns {Promise<{since: string|null, total: number, days: object}>} A promise that resolves to the statistics.
+     */
+    async _read(now) {
+        await this.flush(now);
+        try {
+            return normalizeStats(await this._storage.get(STATS_KEY));
+        } catch (error) {
+            statsLogger.warn('Failed to read blocking statistics', { error: error.message });
+            return normalizeStats(null);
+        }
+    }
+
+    /**
+     * Returns the totals for today, the last 7 days and all time, with the top sites and
+     * blocked domains of the last 7 days.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<{today: number, last7Days: number, allTime: number, since: string|null,
+     * topSites: Array<{name: string, count: number}>, topDomains: Array<{name: string, count: number}>}>}
+     * A promise that resolves to the summary.
+     */
+    async getSummary(now = Date.now()) {
+        const data = await this._read(now);
+
+        const week = getRecentDayKeys(now, 7).map(key => data.days[key]).filter(Boolean);
+        return {
+            today: data.days[toDayKey(now)]?.total ?? 0,
+            last7Days: week.reduce((sum, day) => sum + day.total, 0),
+            allTime: data.total,
+            since: data.since,
+            topSites: getTopEntries(week, 'sites'),
+            topDomains: getTopEntries(week, 'domains')
+        };
+    }
+
+    /**
+     * Returns the daily totals of the retention period, for charts.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<Array<{day: string, total: number}>>} A promise that resolves to one entry per day,
+     * oldest first; days without blocks have a total of 0.
+     */
+    async getHistory(now = Date.now()) {
+        const data = await this._read(now);
+
+        return getRecentDayKeys(now, EXTENSION_CONFIG.LIMITS.STATS_RETENTION_DAYS)
+            .reverse()
+            .map(day => ({ day, total: data.days[day]?.total ?? 0 }));
+    }
+
+    /**
+     * Deletes all statistics, including counts not written yet.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this._scheduleFlush.cancel();
+        this._pending = {};
+        await this._writes;
+        await this._storage.remove(STATS_KEY);
+    }
+}
+
+// Export singleton instance
+export const blockingStats = new BlockingStats();
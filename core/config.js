@@ -16,15 +16,41 @@ export const EXTENSION_CONFIG = Object.freeze({
     STORAGE_KEYS: {
         /** Key for storing disabled domains. */
         DISABLED_DOMAINS: 'disabledDomains',
+        /** Key for storing temporary pauses and their expiry. */
+        TEMPORARY_PAUSES: 'temporaryPauses',
         /** Key for storing user settings. */
         USER_SETTINGS: 'userSettings',
         /** Key for storing the filter cache. */
-        FILTER_CACHE: 'filterCache'
+        FILTER_CACHE: 'filterCache',
+        /** Key for storing the user's filter list (ruleset) choices. */
+        FILTER_LISTS: 'filterLists',
+        /** Key for storing the global kill switch (false while all blocking is off). */
+        BLOCKING_ENABLED: 'blockingEnabled',
+        /** Key for storing the daily blocking statistics. */
+        BLOCKING_STATS: 'blockingStats',
+        /** Key for storing the user's own filter rules as entered on the options page. */
+        CUSTOM_RULES: 'customRules',
+        /** Key (in chrome.storage.session) for the time up to which rule matches are in the statistics. */
+        MATCHES_COUNTED_UNTIL: 'matchesCountedUntil',
+        /** Key (in chrome.storage.session) marking that this browser session was already set up. */
+        SESSION_STARTED: 'sessionStarted'
     },
     /** Various limits used in the extension. */
     LIMITS: {
-        /** Maximum number of dynamic rules. */
-        MAX_DYNAMIC_RULES: 100,
+        /** Maximum number of dynamic rules Chrome guarantees to every extension. */
+        MAX_DYNAMIC_RULES: 5000,
+        /** Maximum number of session rules Chrome guarantees to every extension. */
+        MAX_SESSION_RULES: 5000,
+        /** Longest temporary pause in minutes (one day). */
+        MAX_PAUSE_MINUTES: 1440,
+        /** Number of days the daily statistics are kept. */
+        STATS_RETENTION_DAYS: 30,
+        /** Maximum number of sites and of blocked domains kept per day; smaller counts are dropped first. */
+        MAX_STATS_ENTRIES_PER_DAY: 100,
+        /** Maximum length of the custom filter rules text in characters. */
+        MAX_CUSTOM_RULES_LENGTH: 100000,
+        /** Maximum number of domains packed into one dynamic allow rule. */
+        MAX_DOMAINS_PER_DYNAMIC_RULE: 1000,
         /** Maximum length of a domain. */
         MAX_DOMAIN_LENGTH: 253,
         /** Maximum length of a domain label. */
@@ -33,9 +59,32 @@ export const EXTENSION_CONFIG = Object.freeze({
         MAX_URL_LENGTH: 500,
         /** Maximum number of rules. */
         MAX_RULES_COUNT: 30000,
+        /** Maximum number of regexFilter rules Chrome accepts per extension. */
+        MAX_REGEX_RULES: 1000,
         /** Timeout for validation in milliseconds. */
         VALIDATION_TIMEOUT_MS: 10000
     },
+    /** Reserved ID ranges for dynamic rules, so features never overwrite each other's rules. */
+    DYNAMIC_RULE_IDS: {
+        /** Grouped allow rules for paused domains. */
+        ALLOWLIST: { FIRST: 1, LAST: 1000 },
+        /** The user's own filter rules from the options page. */
+        CUSTOM_RULES: { FIRST: 1001, LAST: 5000 }
+    },
+    /** Reserved ID ranges for session rules, which Chrome drops when the browser restarts. */
+    SESSION_RULE_IDS: {
+        /** Grouped allow rules for temporarily paused domains. */
+        TEMPORARY_PAUSES: { FIRST: 1, LAST: 1000 },
+        /** Allow rules for tabs paused on their own (condition.tabIds). */
+        TAB_PAUSES: { FIRST: 1001, LAST: 1100 }
+    },
+    /** Alarm names. */
+    ALARMS: {
+        /** Fires when the next temporary pause expires. */
+        PAUSE_EXPIRY: 'pauseExpiry',
+        /** Adds the rule matches of packed builds to the statistics. */
+        STATS_SWEEP: 'statsSweep'
+    },
     /** Rule priorities. */
     PRIORITIES: {
         /** Default rule priority. */
@@ -61,7 +110,11 @@ export const EXTENSION_CONFIG = Object.freeze({
         /** Debounce delay in milliseconds. */
         DEBOUNCE_DELAY: 300,
         /** Cache time-to-live in milliseconds (1 hour). */
-        CACHE_TTL: 3600000
+        CACHE_TTL: 3600000,
+        /** Delay before buffered statistics are written to storage in milliseconds. */
+        STATS_FLUSH_DELAY: 2000,
+        /** Interval of the statistics sweep in packed builds in minutes (getMatchedRules is rate-limited). */
+        STATS_SWEEP_MINUTES: 1
     }
 });
 
@@ -83,6 +136,8 @@ export const LOG_CONFIG = Object.freeze({
     },
     /** Default log level. */
     DEFAULT_LEVEL: 1, // WARN
+    /** Storage key of the log level chosen on the options page. */
+    STORAGE_KEY: 'logLevel',
     /** Prefix for log messages. */
     PREFIX: '[Pagy Blocker]'
 });
@@ -98,6 +153,8 @@ export const RULE_CONFIG = Object.freeze({
         BLOCK: 'block',
         /** Allow action. */
         ALLOW: 'allow',
+        /** Allow all requests within a frame hierarchy. */
+        ALLOW_ALL_REQUESTS: 'allowAllRequests',
         /** Redirect action. */
         REDIRECT: 'redirect',
         /** Upgrade scheme action. */
@@ -0,0 +1,158 @@
+/**
+ * @file Custom rules - the user's own filter rules from the options page.
+ * @version 11.5
+ */
+
+import { EXTENSION_CONFIG } from './config.js';
+import StorageManager from './storage.js';
+import { parseRule } from './ruleParser.js';
+import { validateRuleStructure } from './ruleValidator.js';
+import { buildBlockRule, buildExceptionRule, mergeRemoveParamRules } from './rule-translator.js';
+import { createLogger } from './logger.js';
+
+const customLogger = createLogger('CustomRules');
+
+const CUSTOM_RULES_KEY = EXTENSION_CONFIG.STORAGE_KEYS.CUSTOM_RULES;
+
+/**
+ * Checks for element hiding filters, which have no network rule equivalent.
+ * @param {string} line - The filter line.
+ * @returns {boolean} True for cosmetic filters.
+ */
+function isCosmeticFilter(line) {
+    return line.includes('##') || line.includes('#@#') || line.includes('#?#');
+}
+
+/**
+ * Compiles custom filter rules into dynamic rules. Every line is checked with parseRule(),
+ * converted by the translator the bundled filter lists are compiled with and checked again
+ * with validateRuleStructure(). Lines that fail are skipped and reported; comments, list
+ * headers and blank lines are ignored.
+ * @param {string} text - The rules, one per line.
+ * @returns {{rules: object[], errors: Array<{line: number, text: string, message: string}>}}
+ * The rules without IDs, and the reason for every skipped line (1-based line numbers).
+ */
+export function compileCustomRules(text) {
+    const { FIRST, LAST } = EXTENSION_CONFIG.DYNAMIC_RULE_IDS.CUSTOM_RULES;
+    const maxRules = LAST - FIRST + 1;
+    const { MAX_REGEX_RULES } = EXTENSION_CONFIG.LIMITS;
+    const rules = [];
+    const removeParamRules = [];
+    const ruleKeys = new Set();
+    const errors = [];
+    let regexRules = 0;
+
+    for (const [index, rawLine] of String(text).split(/\r?\n/).entries()) {
+        const line = rawLine.trim();
+        const fail = message => errors.push({ line: index + 1, text: line, message });
+        if (!line || line.startsWith('!') || line.startsWith('[')) {
+            continue;
+        }
+        if (isCosmeticFilter(line)) {
+            fail('Cosmetic filters are not supported');
+            continue;
+        }
+
+        const parsed = parseRule(line);
+        if (!parsed) {
+            fail('Invalid filter syntax');
+            continue;
+        }
+
+        let rule;
+        if (parsed.isException) {
+            rule = buildExceptionRule(line);
+            if (!rule) {
+                fail('Exception cannot be converted');
+                continue;
+            }
+        } else {
+            const result = buildBlockRule(line);
+            if (result.error) {
+                fail(result.error);
+                continue;
+            }
+            rule = result.rule;
+        }
+
+        // The final ID is assigned when the rules are installed
+        const validation = validateRuleStructure({ ...rule, id: FIRST }, index + 1);
+        if (!validation.isValid) {
+            fail(validation.errors.join('; '));
+            continue;
+        }
+
+        const key = JSON.stringify(rule);
+        if (ruleKeys.has(key)) {
+            continue;
+        }
+        if (rules.length + removeParamRules.length >= maxRules) {
+            fail(`Custom rule limit reached: at most ${maxRules} rules are supported`);
+            continue;
+        }
+        if (rule.condition.regexFilter && regexRules >= MAX_REGEX_RULES) {
+            fail(`Regex rule limit reached: at most ${MAX_REGEX_RULES} regex rules are supported`);
+            continue;
+        }
+        ruleKeys.add(key);
+        if (rule.condition.regexFilter) {
+            regexRules++;
+        }
+
+        if (rule.action.redirect?.transform) {
+            removeParamRules.push({ rule, source: index + 1 });
+        } else {
+            rules.push(rule);
+        }
+    }
+
+    // One rule per condition strips all parameters in a single redirect, as in the filter lists
+    for (const { rule } of mergeRemoveParamRules(removeParamRules)) {
+        rules.push(rule);
+    }
+    return { rules, errors };
+}
+
+/**
+ * Stores the custom filter rules exactly as the user entered them, one rule per line.
+ * The rules are compiled with compileCustomRules() whenever they are installed.
+ */
+export class CustomRulesManager {
+    /**
+     * Constructs a new CustomRulesManager instance.
+     */
+    constructor() {
+        /** @private */
+        this._storage = new StorageManager();
+    }
+
+    /**
+     * Returns the stored rules text.
+     * @returns {Promise<string>} A promise that resolves to the text; empty if nothing was saved.
+     */
+    async getText() {
+        try {
+            const value = await this._storage.get(CUSTOM_RULES_KEY);
+            return typeof value === 'string' ? value : '';
+        } catch (error) {
+            customLogger.error('Failed to read custom rules', { error: error.message });
+            return '';
+        }
+    }
+
+    /**
+     * Stores the rules text.
+     * @param {string} text - The rules, one per line.
+     * @returns {Promise<void>}
+     * @throws {Error} If the text is not a string or too long.
+     */
+    async setText(text) {
+        if (typeof text !== 'string' || text.length > EXTENSION_CONFIG.LIMITS.MAX_CUSTOM_RULES_LENGTH) {
+            throw new Error('Invalid custom rules');
+        }
+        await this._storage.set(CUSTOM_RULES_KEY, text);
+    }
+}
+
+// Export singleton instance
+export const customRulesManager = new CustomRulesManager();
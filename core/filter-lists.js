@@ -0,0 +1,239 @@
+/**
+ * @file Filter list management - maps the configured source lists to static DNR rulesets.
+ * @version 11.5
+ */
+
+import { EXTENSION_CONFIG } from './config.js';
+import StorageManager from './storage.js';
+import { createLogger } from './logger.js';
+
+const listLogger = createLogger('FilterLists');
+
+/**
+ * Path of the list configuration shipped with the extension.
+ * @const {string}
+ */
+const LISTS_CONFIG_PATH = '/filter_lists/lists.json';
+
+/**
+ * Manages which static rulesets (one per filter list) are enabled.
+ */
+export class FilterListManager {
+    /**
+     * Constructs a new FilterListManager instance.
+     */
+    constructor() {
+        /** @private @type {object[]|null} */
+        this._lists = null;
+        /** @private Whether all rulesets are off because of the global kill switch. */
+        this._suspended = false;
+        /** @private */
+        this._storage = new StorageManager();
+    }
+
+    /**
+     * Loads the list configuration, falling back to the manifest's rule resources.
+     * @returns {Promise<object[]>} A promise that resolves to the configured lists.
+     */
+    async loadListConfig() {
+        if (Array.isArray(this._lists)) {
+            return this._lists;
+        }
+
+        try {
+            const response = await fetch(chrome.runtime.getURL(LISTS_CONFIG_PATH));
+            if (response.ok) {
+                const json = await response.json();
+                if (Array.isArray(json?.lists) && json.lists.length > 0) {
+                    this._lists = json.lists.map(list => ({
+                        id: list.id,
+                        title: list.title || list.id,
+                        category: list.category || 'other',
+                        path: `filter_lists/${list.output}`,
+                        defaultEnabled: list.enabled !== false
+                    }));
+                    return this._lists;
+                }
+            }
+        } catch (error) {
+            listLogger.warn('Could not load filter list configuration', { error: error.message });
+        }
+
+        const resources = chrome.runtime.getManifest?.()?.declarative_net_request?.rule_resources;
+        this._lists = (Array.isArray(resources) ? resources : []).map(resource => ({
+            id: resource.id,
+            title: resource.id,
+            category: 'other',
+            path: resource.path,
+            defaultEnabled: resource.enabled !== false
+        }));
+        return this._lists;
+    }
+
+    /**
+     * Checks if a ruleset ID belongs to a configured list.
+     * @param {string} id - The ruleset ID.
+     * @returns {Promise<boolean>} A promise that resolves to true if the list exists.
+     */
+    async isKnownList(id) {
+        const lists = await this.loadListConfig();
+        return lists.some(list => list.id === id);
+    }
+
+    /**
+     * Retrieves the configured lists together with their current state (their persisted state while suspended).
+     * @returns {Promise<Array<{id: string, title: string, category: string, path: string, enabled: boolean}>>}
+     * A promise that resolves to the lists.
+     */
+    async getFilterLists() {
+        const lists = await this.loadListConfig();
+        // While suspended every ruleset is off; report the choices that come back on resume
+        const enabledIds = this._suspended ? await this.getWantedRulesetIds() : await this.getEnabledRulesetIds();
+
+        return lists.map(list => ({
+            id: list.id,
+            title: list.title,
+            category: list.category,
+            path: list.path,
+            enabled: enabledIds ? enabledIds.has(list.id) : list.defaultEnabled
+        }));
+    }
+
+    /**
+     * Retrieves the IDs of the currently enabled static rulesets.
+     * @returns {Promise<Set<string>|null>} A promise that resolves to the enabled IDs, or null if the API is unavailable.
+     */
+    async getEnabledRulesetIds() {
+        try {
+            if (typeof chrome?.declarativeNetRequest?.getEnabledRulesets === 'function') {
+                const ids = await chrome.declarativeNetRequest.getEnabledRulesets();
+                return new Set(Array.isArray(ids) ? ids : []);
+            }
+        } catch (error) {
+            listLogger.debug('getEnabledRulesets unavailable', { error: error.message });
+        }
+        return null;
+    }
+
+    /**
+     * Retrieves the IDs of the rulesets the user wants enabled: the persisted choice, or the list default.
+     * @returns {Promise<Set<string>>} A promise that resolves to the wanted IDs.
+     */
+    async getWantedRulesetIds() {
+        const lists = await this.loadListConfig();
+        const preferences = await this._storage.get(EXTENSION_CONFIG.STORAGE_KEYS.FILTER_LISTS);
+        const hasPreferences = preferences && typeof preferences === 'object';
+
+        return new Set(lists
+            .filter(list => (hasPreferences && list.id in preferences ? Boolean(preferences[list.id]) : list.defaultEnabled))
+            .map(list => list.id));
+    }
+
+    /**
+     * Checks if the rulesets are suspended by the global kill switch.
+     * @returns {boolean} True while suspended.
+     */
+    isSuspended() {
+        return this._suspended;
+    }
+
+    /**
+     * Disables every static ruleset for the global kill switch. The list choices stay persisted.
+     * @returns {Promise<void>}
+     * @throws {Error} If the ruleset update fails.
+     */
+    async suspendRulesets() {
+        this._suspended = true;
+        const enabledIds = await this.getEnabledRulesetIds();
+        if (enabledIds && enabledIds.size > 0) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets({ disableRulesetIds: [...enabledIds] });
+        }
+        listLogger.info('Filter lists suspended', { disabled: enabledIds ? enabledIds.size : 0 });
+    }
+
+    /**
+     * Re-enables the rulesets the user wants after the global kill switch is turned back on.
+     * @returns {Promise<void>}
+     * @throws {Error} If the ruleset update fails.
+     */
+    async resumeRulesets() {
+        const wantedIds = await this.getWantedRulesetIds();
+        const enabledIds = await this.getEnabledRulesetIds() || new Set();
+        const enableRulesetIds = [...wantedIds].filter(id => !enabledIds.has(id));
+        const disableRulesetIds = [...enabledIds].filter(id => !wantedIds.has(id));
+
+        if (enableRulesetIds.length > 0 || disableRulesetIds.length > 0) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets({ enableRulesetIds, disableRulesetIds });
+        }
+        this._suspended = false;
+        listLogger.info('Filter lists resumed', { enableRulesetIds, disableRulesetIds });
+    }
+
+    /**
+     * Enables or disables a filter list and persists the choice.
+     * @param {string} id - The ruleset ID.
+     * @param {boolean} enabled - Whether the list should be enabled.
+     * @returns {Promise<void>}
+     * @throws {Error} If the list is unknown or the ruleset update fails.
+     */
+    async setFilterListEnabled(id, enabled) {
+        if (!(await this.isKnownList(id))) {
+            throw new Error(`Unknown filter list: ${id}`);
+        }
+
+        // While suspended only the choice is stored; resumeRulesets() applies it
+        if (!this._suspended) {
+            await chrome.declarativeNetRequest.updateEnabledRulesets(
+                enabled ? { enableRulesetIds: [id] } : { disableRulesetIds: [id] }
+            );
+        }
+
+        const KEY = EXTENSION_CONFIG.STORAGE_KEYS.FILTER_LISTS;
+        const current = await this._storage.get(KEY);
+        const preferences = current && typeof current === 'object' ? { ...current } : {};
+        preferences[id] = Boolean(enabled);
+        await this._storage.set(KEY, preferences);
+
+        listLogger.info('Filter list toggled', { id, enabled });
+    }
+
+    /**
+     * Re-applies the persisted list choices. Chrome resets static rulesets to the
+     * manifest defaults when the extension is updated.
+     * @returns {Promise<void>}
+     */
+    async restoreEnabledRulesets() {
+        try {
+            const KEY = EXTENSION_CONFIG.STORAGE_KEYS.FILTER_LISTS;
+            const preferences = await this._storage.get(KEY);
+            if (!preferences || typeof preferences !== 'object') {
+                return;
+            }
+
+            const lists = await this.loadListConfig();
+            const enabledIds = await this.getEnabledRulesetIds();
+            if (!enabledIds) {
+                return;
+            }
+
+            const enableRulesetIds = [];
+            const disableRulesetIds = [];
+            for (const list of lists) {
+                if (!(list.id in preferences)) continue;
+                const wanted = Boolean(preferences[list.id]);
+                if (wanted && !enabledIds.has(list.id)) enableRulesetIds.push(list.id);
+                if (!wanted && enabledIds.has(list.id)) disableRulesetIds.push(list.id);
+            }
+
+            if (enableRulesetIds.length > 0 || disableRulesetIds.length > 0) {
+                await chrome.declarativeNetRequest.updateEnabledRulesets({ enableRulesetIds, disableRulesetIds });
+                listLogger.info('Filter list preferences restored', { enableRulesetIds, disableRulesetIds });
+            }
+        } catch (error) {
+            listLogger.error('Failed to restore filter list preferences', { error: error.message });
+        }
+    }
+}
+
+// Export singleton instance
+export const filterListManager = new FilterListManager();
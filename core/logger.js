@@ -13,9 +13,19 @@ const LOG_CONFIG = IMPORTED_LOG_CONFIG ?? {
         DEBUG: 3,
     },
     DEFAULT_LEVEL: 1, // WARN
+    STORAGE_KEY: 'logLevel',
     PREFIX: '[Pagy Blocker]'
 };
 
+/** The level shared by all loggers of this context. */
+let currentLevel = LOG_CONFIG.DEFAULT_LEVEL;
+
+/** All loggers of this context, so a level change reaches the existing ones. */
+const loggers = new Set();
+
+/** Whether this context already follows level changes made in other contexts. */
+let isWatchingStorage = false;
+
 /**
  * Logger class for handling application logs.
  */
@@ -27,6 +37,7 @@ class Logger {
     constructor(context = 'General') {
         this.context = context;
         this.level = this.getLogLevel();
+        loggers.add(this);
     }
 
     /**
@@ -34,7 +45,7 @@ class Logger {
      * @returns {number} The current log level.
      */
     getLogLevel() {
-        return LOG_CONFIG.DEFAULT_LEVEL;
+        return currentLevel;
     }
 
     /**
@@ -163,6 +174,63 @@ class Logger {
     }
 }
 
+/**
+ * Checks if a value is one of the configured log levels.
+ * @param {*} level - The value to check.
+ * @returns {boolean} True if the value is a log level.
+ */
+export function isValidLogLevel(level) {
+    return Object.values(LOG_CONFIG.LEVELS).includes(level);
+}
+
+/**
+ * Sets the level of all loggers in this context. Invalid levels fall back to the default.
+ * @param {number} level - The log level.
+ */
+export function setLogLevel(level) {
+    currentLevel = isValidLogLevel(level) ? level : LOG_CONFIG.DEFAULT_LEVEL;
+    loggers.forEach(logger => {
+        logger.level = currentLevel;
+    });
+}
+
+/**
+ * Applies the stored log level and follows later changes, so every extension context
+ * (service worker, popup, options page) logs at the level chosen on the options page.
+ * @returns {Promise<number>} A promise that resolves to the applied level.
+ */
+export async function loadLogLevel() {
+    try {
+        if (!isWatchingStorage && chrome?.storage?.onChanged) {
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area === 'local' && changes[LOG_CONFIG.STORAGE_KEY]) {
+                    setLogLevel(changes[LOG_CONFIG.STORAGE_KEY].newValue);
+                }
+            });
+            isWatchingStorage = true;
+        }
+        const result = await chrome.storage.local.get(LOG_CONFIG.STORAGE_KEY);
+        setLogLevel(result?.[LOG_CONFIG.STORAGE_KEY]);
+    } catch (e) {
+        // Keep the current level if storage is not available.
+    }
+    return currentLevel;
+}
+
+/**
+ * Stores the log level for all extension contexts and applies it here.
+ * @param {number} level - The log level.
+ * @returns {Promise<void>}
+ * @throws {Error} If the level is not a configured log level.
+ */
+export async function saveLogLevel(level) {
+    if (!isValidLogLevel(level)) {
+        throw new Error('Invalid log level');
+    }
+    await chrome.storage.local.set({ [LOG_CONFIG.STORAGE_KEY]: level });
+    setLogLevel(level);
+}
+
 /**
  * Creates a new logger instance.
  * @param {string} context - The context for the logger.
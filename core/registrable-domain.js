@@ -0,0 +1,82 @@
+/**
+ * @file Site helpers - registrable domains (eTLD+1) from the bundled Public Suffix List.
+ * Kept out of utilities.js, which content scripts load on every page, so the list is only
+ * loaded by the service worker and the popup.
+ * @version 11.5
+ */
+
+import { isValidDomain, toASCIIDomain } from './utilities.js';
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+
+/**
+ * Parsed Public Suffix List, built on first use.
+ * @type {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}|null}
+ */
+let publicSuffixes = null;
+
+/**
+ * Parses the bundled Public Suffix List into lookup sets.
+ * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}} The parsed list.
+ */
+function getPublicSuffixes() {
+    if (!publicSuffixes) {
+        publicSuffixes = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+        for (const rule of PUBLIC_SUFFIX_RULES.split('\n')) {
+            if (!rule) {
+                continue;
+            }
+            if (rule.startsWith('!')) {
+                publicSuffixes.exceptions.add(rule.slice(1));
+            } else if (rule.startsWith('*.')) {
+                publicSuffixes.wildcards.add(rule.slice(2));
+            } else {
+                publicSuffixes.rules.add(rule);
+            }
+        }
+    }
+    return publicSuffixes;
+}
+
+/**
+ * Returns the registrable domain (eTLD+1) of a host using the bundled Public Suffix List,
+ * e.g. "www.shop.example.co.uk" -> "example.co.uk".
+ * @param {string} domain - The host name; internationalized names are converted to punycode.
+ * @returns {string|null} The registrable domain, or null if the host is invalid or a public suffix itself.
+ */
+export function getRegistrableDomain(domain) {
+    if (!isValidDomain(domain)) {
+        return null;
+    }
+
+    const labels = toASCIIDomain(domain).split('.');
+    const { rules, wildcards, exceptions } = getPublicSuffixes();
+
+    // The longest matching rule wins; hosts no rule matches fall back to the implicit "*" rule
+    let suffixStart = labels.length - 1;
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (exceptions.has(candidate)) {
+            suffixStart = i + 1;
+            break;
+        }
+        if (rules.has(candidate) || (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.')))) {
+            suffixStart = i;
+            break;
+        }
+    }
+
+    return suffixStart > 0 ? labels.slice(suffixStart - 1).join('.') : null;
+}
+
+/**
+ * Checks if a host is a domain or one of its subdomains.
+ * @param {string} host - The host to check.
+ * @param {string} domain - The parent domain.
+ * @returns {boolean} True if the host equals the domain or is a subdomain of it.
+ */
+export function isSubdomainOf(host, domain) {
+    if (typeof host !== 'string' || typeof domain !== 'string' || !domain) {
+        return false;
+    }
+    return host === domain || host.endsWith(`.${domain}`);
+}
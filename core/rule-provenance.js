@@ -0,0 +1,168 @@
+/**
+ * @file Rule provenance - maps matched DNR rule IDs back to the filter list line that produced them.
+ * @version 11.5
+ */
+
+import { filterListManager } from './filter-lists.js';
+import { getDomainFromUrl } from './utilities.js';
+import { createLogger } from './logger.js';
+
+const provenanceLogger = createLogger('Provenance');
+
+/**
+ * Returns the path of the provenance sidecar written next to a compiled ruleset.
+ * Must stay in sync with provenancePath() in tools/precompile-filters.mjs.
+ * @param {string} rulesetPath - The path of the compiled ruleset JSON.
+ * @returns {string} The path of the sidecar file.
+ */
+export function getProvenancePath(rulesetPath) {
+    return rulesetPath.replace(/\.json$/i, '') + '.sources.json';
+}
+
+/**
+ * Formats a resolved rule source for logs and debugging views.
+ * @param {{text: string|null, list: string, line: number|null, domains?: string[]}} source - The resolved source.
+ * @returns {string} A description like `"||adnxs.com^" (filter_optimized.txt:10)`.
+ */
+export function formatRuleSource(source) {
+    if (source.text === null) {
+        return `one of ${source.domains.length} packed domains (${source.list})`;
+    }
+    return `"${source.text}" (${source.list}:${source.line})`;
+}
+
+/**
+ * Finds the entry of a packed requestDomains rule that matched a host.
+ * requestDomains also match subdomains, so the closest parent domain wins.
+ * @param {object} domains - The per-domain lookup of the packed rule.
+ * @param {string} host - The request host.
+ * @returns {string|null} The matching domain, or null.
+ */
+function findPackedDomain(domains, host) {
+    let candidate = host;
+    while (candidate) {
+        if (Object.hasOwn(domains, candidate)) {
+            return candidate;
+        }
+        const dot = candidate.indexOf('.');
+        candidate = dot === -1 ? '' : candidate.slice(dot + 1);
+    }
+    return null;
+}
+
+/**
+ * Resolves rule IDs reported by getMatchedRules to their source list lines.
+ * Sidecar files are only fetched the first time a ruleset is looked up.
+ */
+export class RuleProvenance {
+    /**
+     * Constructs a new RuleProvenance instance.
+     */
+    constructor() {
+        /** @private @type {Map<string, Promise<object|null>>} */
+        this._sidecars = new Map();
+    }
+
+    /**
+     * Loads the provenance sidecar of a static ruleset.
+     * @private
+     * @param {string} rulesetId - The ruleset ID.
+     * @returns {Promise<object|null>} A promise that resolves to the sidecar, or null if unavailable.
+     */
+    _loadSidecar(rulesetId) {
+        if (!this._sidecars.has(rulesetId)) {
+            this._sidecars.set(rulesetId, this._fetchSidecar(rulesetId));
+        }
+        return this._sidecars.get(rulesetId);
+    }
+
+    /**
+     * Fetches the provenance sidecar of a static ruleset.
+     * @private
+     * @param {string} rulesetId - The ruleset ID.
+     * @returns {Promise<object|null>} A promise that resolves to the sidecar, or null if unavailable.
+     */
+    async _fetchSidecar(rulesetId) {
+        try {
+            const lists = await filterListManager.loadListConfig();
+            const list = lists.find(entry => entry.id === rulesetId);
+            if (!list?.path) {
+                return null;
+            }
+
+            const response = await fetch(chrome.runtime.getURL(`/${getProvenancePath(list.path)}`));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const sidecar = await response.json();
+            return sidecar && typeof sidecar.rules === 'object' ? sidecar : null;
+        } catch (error) {
+            provenanceLogger.debug('Rule provenance unavailable', { rulesetId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Looks up the source line of a rule. Packed requestDomains rules combine many filter
+     * lines; the request URL, when known, selects the line of the matching domain.
+     * @param {string} rulesetId - The ruleset ID reported by the DNR API.
+     * @param {number} ruleId - The rule ID within the ruleset.
+     * @param {string} [requestUrl] - The URL of the matched request, if available.
+     * @returns {Promise<{rulesetId: string, ruleId: number, list: string, line: number|null, text: string|null, domains?: string[]}|null>}
+     * A promise that resolves to the source, or null for dynamic/session rules and unknown IDs.
+     */
+    async lookup(rulesetId, ruleId, requestUrl) {
+        if (typeof rulesetId !== 'string' || rulesetId.startsWith('_')) {
+            return null;
+        }
+
+        const sidecar = await this._loadSidecar(rulesetId);
+        let entry = sidecar?.rules?.[ruleId];
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.domains) {
+            const host = requestUrl ? getDomainFromUrl(requestUrl) : null;
+            const domain = host ? findPackedDomain(entry.domains, host) : null;
+            if (!domain) {
+                return { rulesetId, ruleId, list: sidecar.source, line: null, text: null, domains: Object.keys(entry.domains) };
+            }
+            entry = entry.domains[domain];
+        }
+
+        // Entries from !#include'd files name their own file
+        return { rulesetId, ruleId, list: entry.file || sidecar.source, line: entry.line, text: entry.text };
+    }
+
+    /**
+     * Annotates matched rule infos with their source lines.
+     * @param {Array<{rule: {ruleId: number, rulesetId: string}, request?: {url: string}, timeStamp?: number}>} rulesMatchedInfo
+     * - The entries returned by chrome.declarativeNetRequest.getMatchedRules (or onRuleMatchedDebug).
+     * @returns {Promise<object[]>} A promise that resolves to the annotated entries.
+     */
+    async describeMatchedRules(rulesMatchedInfo) {
+        const infos = Array.isArray(rulesMatchedInfo) ? rulesMatchedInfo : [];
+        return Promise.all(infos.map(async (info) => {
+            const { ruleId, rulesetId } = info?.rule || {};
+            const source = await this.lookup(rulesetId, ruleId, info?.request?.url);
+            return {
+                ruleId,
+                rulesetId,
+                timeStamp: info?.timeStamp,
+                source,
+                description: source ? formatRuleSource(source) : `${rulesetId}#${ruleId}`
+            };
+        }));
+    }
+
+    /**
+     * Drops all loaded sidecars.
+     */
+    clearCache() {
+        this._sidecars.clear();
+    }
+}
+
+// Export singleton instance
+export const ruleProvenance = new RuleProvenance();
@@ -0,0 +1,620 @@
+/**
+ * @file Rule translator - converts Adblock Plus filter lines into declarativeNetRequest rules.
+ * Shared by the filter list compiler (tools/precompile-filters.mjs) and the custom rules
+ * compiled in the browser, so both accept and produce exactly the same rules.
+ * @version 11.5
+ */
+
+import { EXTENSION_CONFIG } from './config.js';
+import { validateFilterOptions, normalizeOptionCase } from './ruleParser.js';
+import { validateRuleCondition, validateModifyHeadersAction } from './ruleValidator.js';
+import { toASCIIDomain } from './utilities.js';
+import { getRegistrableDomain } from './registrable-domain.js';
+
+/**
+ * Escapes a string for use in an RE2 regex (Chrome DNR regexFilter).
+ * @param {string} str - The literal text.
+ * @returns {string} The escaped text.
+ */
+function escapeRegex(str) {
+    // Escape characters that have special meaning in RE2/JS regex
+    // Based on the MDN escapeRegExp pattern, plus '/'
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Resource types of block rules without type options (main_frame is left out for safety and speed).
+ * @const {string[]}
+ */
+export const DEFAULT_RESOURCE_TYPES = [
+    'script',
+    'image',
+    'stylesheet',
+    'xmlhttprequest',
+    'font',
+    'media',
+    'sub_frame',
+    'websocket',
+    'ping',
+    'other',
+];
+
+// Priority tiers: block < exception < user allowlist (ALLOW_RULE) < $important block.
+// Exceptions outrank block rules so list authors can fix breakage; $important rules
+// stay active even on sites the user paused.
+const { DEFAULT_RULE, ALLOW_RULE, IMPORTANT_RULE } = EXTENSION_CONFIG.PRIORITIES;
+export const BLOCK_PRIORITY = DEFAULT_RULE;
+const EXCEPTION_PRIORITY = Math.floor((DEFAULT_RULE + ALLOW_RULE) / 2);
+const IMPORTANT_PRIORITY = IMPORTANT_RULE;
+// Redirects must beat a plain block of the same request (block wins ties against redirect)
+const REDIRECT_PRIORITY = BLOCK_PRIORITY + 1;
+
+// $removeparam applies to navigations as well as subresources
+const REMOVEPARAM_RESOURCE_TYPES = ['main_frame', ...DEFAULT_RESOURCE_TYPES];
+
+// Security-relevant response headers that $removeheader must not strip
+const PROTECTED_RESPONSE_HEADERS = new Set([
+    'content-security-policy',
+    'content-security-policy-report-only',
+    'strict-transport-security',
+    'x-frame-options',
+    'x-content-type-options',
+    'permissions-policy',
+    'cross-origin-opener-policy',
+    'cross-origin-embedder-policy',
+    'cross-origin-resource-policy',
+    'referrer-policy',
+]);
+
+/**
+ * Surrogate resources for $redirect= / $redirect-rule=, shipped in resources/ as
+ * web-accessible files. resourceTypes apply when the filter has no type options.
+ * @const {Object<string, {file: string, resourceTypes: string[]}>}
+ */
+export const REDIRECT_RESOURCES = {
+    'noop.js': { file: 'noop.js', resourceTypes: ['script'] },
+    '1x1.gif': { file: '1x1.gif', resourceTypes: ['image'] },
+    'noop.css': { file: 'noop.css', resourceTypes: ['stylesheet'] },
+    'google-analytics_analytics.js': { file: 'google-analytics_analytics.js', resourceTypes: ['script'] },
+    'googletagmanager_gtm.js': { file: 'googletagmanager_gtm.js', resourceTypes: ['script'] },
+};
+
+// Alternative names used by uBlock Origin / Adblock Plus lists
+const REDIRECT_ALIASES = {
+    noopjs: 'noop.js',
+    'blank-js': 'noop.js',
+    '1x1-transparent.gif': '1x1.gif',
+    '1x1-transparent-gif': '1x1.gif',
+    noopcss: 'noop.css',
+    'blank-css': 'noop.css',
+    'google-analytics.com/analytics.js': 'google-analytics_analytics.js',
+    'googletagmanager.com/gtm.js': 'googletagmanager_gtm.js',
+};
+
+// Page-level allow rules (@@...$document) only apply to frame navigations
+const DOCUMENT_RESOURCE_TYPES = ['main_frame', 'sub_frame'];
+
+// Exception options that only affect cosmetic filtering; they must not become network allow rules
+const COSMETIC_EXCEPTION_OPTIONS = new Set([
+    'elemhide',
+    'ehide',
+    'generichide',
+    'ghide',
+    'specifichide',
+    'shide',
+    'content',
+]);
+
+/**
+ * Splits "pattern$opt1,opt2" at the last unescaped '$' (same rules as parseRule()).
+ * @param {string} rule - The filter line.
+ * @returns {{pattern: string, options: string[]}} The pattern and the options, with lower-cased
+ * names (see normalizeOptionCase()).
+ */
+export function splitOptions(rule) {
+    for (let i = rule.length - 1; i >= 0; i--) {
+        if (rule[i] !== '$') continue;
+        if (i > 0 && rule[i - 1] === '\\') continue;
+        if (i === rule.length - 1) break;
+        const options = rule
+            .slice(i + 1)
+            .split(',')
+            .map((opt) => normalizeOptionCase(opt.trim()))
+            .filter(Boolean);
+        return { pattern: rule.slice(0, i), options };
+    }
+    return { pattern: rule, options: [] };
+}
+
+/**
+ * Extracts the domain of a pure domain-only pattern such as "||domain.tld^".
+ * @param {string} rule - The pattern.
+ * @returns {string|null} The ASCII domain, or null for any other pattern.
+ */
+export function parseDomainOnlyFromDoublePipe(rule) {
+    if (!rule.startsWith('||')) return null;
+    let rest = rule.slice(2);
+    // Drop trailing separators like ^
+    rest = rest.replace(/\^+$/, '');
+    // Domain-only must not include a path
+    if (rest.includes('/')) return null;
+    const host = rest.replace(/\^/g, '').replace(/^\.+/, '').trim();
+    if (!host) return null;
+    // Wildcards, ports and other URL syntax need a urlFilter instead
+    if (/[^\w.\-\u0080-\uffff]/.test(host)) return null;
+    // requestDomains must be ASCII; internationalized domains are converted to punycode
+    return toASCIIDomain(host);
+}
+
+// ABP separator "^": any character that is not a letter, digit or one of _-.%, or the end of the URL
+const SEPARATOR_REGEX = '(?:[^\\w.%-]|$)';
+
+/**
+ * Checks for "/.../" patterns, which ABP treats as regular expressions.
+ * @param {string} pattern - The pattern.
+ * @returns {boolean} True for regex patterns.
+ */
+export function isRegexPattern(pattern) {
+    return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+}
+
+/**
+ * Converts the host of a "||host/path" pattern to punycode, since URL hosts arrive in ASCII form.
+ * @param {string} pattern - The pattern.
+ * @returns {string} The pattern with an ASCII host.
+ */
+export function toASCIIPatternHost(pattern) {
+    if (!pattern.startsWith('||') || /^[ -~]*$/.test(pattern)) return pattern;
+    const hostEnd = pattern.slice(2).search(/[/^*:|?]/);
+    const host = hostEnd === -1 ? pattern.slice(2) : pattern.slice(2, hostEnd + 2);
+    const ascii = toASCIIDomain(host);
+    return ascii ? `||${ascii}${pattern.slice(2 + host.length)}` : pattern;
+}
+
+/**
+ * Converts an ABP pattern into DNR urlFilter syntax. urlFilter supports "||" and "|" anchors
+ * at the edges, "^" separators and "*" wildcards.
+ * @param {string} pattern - The pattern.
+ * @returns {string|null} The urlFilter, or null if DNR cannot express the pattern natively.
+ */
+export function abpToUrlFilter(pattern) {
+    if (!pattern || isRegexPattern(pattern)) return null;
+    pattern = toASCIIPatternHost(pattern);
+    // urlFilter must be ASCII
+    if (!/^[\x20-\x7e]+$/.test(pattern)) return null;
+
+    let body = pattern;
+    let prefix = '';
+    let suffix = '';
+    if (body.startsWith('||')) {
+        prefix = '||';
+        body = body.slice(2);
+    } else if (body.startsWith('|')) {
+        prefix = '|';
+        body = body.slice(1);
+    }
+    if (body.endsWith('|')) {
+        suffix = '|';
+        body = body.slice(0, -1);
+    }
+
+    // A "|" anywhere else is a literal in ABP but an anchor in DNR
+    if (!body || body.includes('|')) return null;
+    // "||*" is rejected by DNR
+    if (prefix === '||' && body.startsWith('*')) return null;
+
+    return prefix + body + suffix;
+}
+
+/**
+ * Converts an ABP pattern into an RE2-compatible regex, for patterns urlFilter cannot express.
+ * @param {string} pattern - The pattern.
+ * @returns {string|null} The regex source, or null for an empty pattern.
+ */
+export function abpToRegex(pattern) {
+    if (!pattern) return null;
+    if (isRegexPattern(pattern)) return pattern.slice(1, -1);
+
+    let body = toASCIIPatternHost(pattern);
+    let prefix = '';
+    let suffix = '';
+    if (body.startsWith('||')) {
+        // Domain anchor: scheme, then optional subdomains
+        prefix = '^[a-z][a-z0-9+.-]*:\\/\\/([^/?#]*\\.)?';
+        body = body.slice(2);
+    } else if (body.startsWith('|')) {
+        prefix = '^';
+        body = body.slice(1);
+    }
+    if (body.endsWith('|')) {
+        suffix = '$';
+        body = body.slice(0, -1);
+    }
+
+    let regex = '';
+    for (const ch of body) {
+        if (ch === '*') regex += '.*';
+        else if (ch === '^') regex += SEPARATOR_REGEX;
+        else regex += escapeRegex(ch);
+    }
+    regex = prefix + regex + suffix;
+    return regex || null;
+}
+
+/**
+ * Builds the URL part of a DNR condition for an ABP pattern. Prefers requestDomains, then
+ * native urlFilter; only true regex filters (or unmappable patterns) use regexFilter.
+ * @param {string} pattern - The pattern.
+ * @returns {{condition: object}|{error: string}} The condition, or why it cannot be built.
+ */
+export function buildPatternCondition(pattern) {
+    const domainOnly = parseDomainOnlyFromDoublePipe(pattern);
+    if (domainOnly) return { condition: { requestDomains: [domainOnly] } };
+
+    // "*" alone (or nothing) matches every URL; the options carry the restriction
+    if (pattern === '' || pattern === '*') return { condition: {} };
+
+    const urlFilter = abpToUrlFilter(pattern);
+    if (urlFilter) {
+        return { condition: { urlFilter, isUrlFilterCaseSensitive: false } };
+    }
+
+    const regexFilter = abpToRegex(pattern);
+    if (!regexFilter) return { error: 'Pattern cannot be converted' };
+    const condition = { regexFilter, isUrlFilterCaseSensitive: false };
+    const validation = validateRuleCondition(condition, 0);
+    if (!validation.isValid) return { error: validation.errors.join('; ') };
+    return { condition };
+}
+
+/**
+ * ABP resource-type options and their DNR resource types.
+ * @const {Object<string, string>}
+ */
+export const OPTION_RESOURCE_TYPES = {
+    script: 'script',
+    image: 'image',
+    stylesheet: 'stylesheet',
+    object: 'object',
+    xmlhttprequest: 'xmlhttprequest',
+    subdocument: 'sub_frame',
+    document: 'main_frame',
+    websocket: 'websocket',
+    ping: 'ping',
+    font: 'font',
+    media: 'media',
+    other: 'other',
+};
+
+// Options DNR cannot express; a rule that requires one of them is dropped rather than widened
+const UNSUPPORTED_OPTIONS = new Set(['popup', 'webrtc', 'donottrack', 'sitekey']);
+
+/**
+ * Translates ABP options into DNR condition fields.
+ * @param {string[]} options - The options, as returned by splitOptions().
+ * @param {{isException?: boolean}} [settings] - Whether the options belong to an "@@" exception.
+ * @returns {object} { condition, impliedThirdParty, isDocument, isImportant, redirect, removeParam,
+ * modifyHeaders }, or { error } when the options cannot be compiled.
+ */
+export function translateOptions(options, { isException = false } = {}) {
+    const validation = validateFilterOptions(options.join(','));
+    if (!validation.isValid) {
+        return { error: validation.errors.join('; ') };
+    }
+
+    const included = [];
+    const excluded = [];
+    const condition = {};
+    let partyOption = null;
+    let isImportant = false;
+    let redirect = null;
+    let removeParam = null;
+    const requestHeaders = [];
+    const responseHeaders = [];
+    let documentHeaders = false;
+
+    for (const option of validation.parsedOptions) {
+        // $csp / $permissions append policies to documents; $removeheader strips a header
+        // from responses, or from requests with the AdGuard "request:" prefix
+        if (option.type === 'csp' || option.type === 'permissions' || option.type === 'removeheader') {
+            if (isException) return { error: `$${option.type} exceptions are not supported` };
+            if (option.type === 'csp') {
+                responseHeaders.push({ header: 'content-security-policy', operation: 'append', value: option.value });
+                documentHeaders = true;
+            } else if (option.type === 'permissions') {
+                // uBO separates policies with "|" because "," ends the option
+                const value = option.value.split('|').map((policy) => policy.trim()).join(', ');
+                responseHeaders.push({ header: 'permissions-policy', operation: 'append', value });
+                documentHeaders = true;
+            } else if (option.value.startsWith('request:')) {
+                requestHeaders.push({ header: option.value.slice('request:'.length), operation: 'remove' });
+            } else if (PROTECTED_RESPONSE_HEADERS.has(option.value)) {
+                return { error: `Removing the ${option.value} header is not allowed` };
+            } else {
+                responseHeaders.push({ header: option.value, operation: 'remove' });
+            }
+            continue;
+        }
+
+        // Only plain parameter names map to queryTransform.removeParams; the option parser
+        // rejects "/regex/" and negated (~param) values
+        if (option.type === 'removeparam') {
+            if (isException) return { error: 'Removeparam exceptions are not supported' };
+            removeParam = option.value;
+            continue;
+        }
+
+        // $redirect-rule only redirects requests other filters block; DNR cannot express
+        // that dependency, so both variants compile to a plain redirect
+        if (option.type === 'redirect' || option.type === 'redirect-rule') {
+            if (isException) return { error: 'Redirect exceptions are not supported' };
+            const name = REDIRECT_ALIASES[option.value] || option.value;
+            if (!Object.hasOwn(REDIRECT_RESOURCES, name)) {
+                return { error: `Unknown redirect resource: ${option.value}` };
+            }
+            redirect = REDIRECT_RESOURCES[name];
+            continue;
+        }
+
+        if (option.type === 'domain') {
+            const initiators = option.value.filter((d) => !d.negated).map((d) => d.name);
+            const excludedInitiators = option.value.filter((d) => d.negated).map((d) => d.name);
+            // Entity syntax (example.*) has no DNR equivalent
+            if ([...initiators, ...excludedInitiators].some((d) => d.includes('*'))) {
+                return { error: 'Wildcard domains in $domain are not supported' };
+            }
+            if (initiators.length) condition.initiatorDomains = initiators;
+            if (excludedInitiators.length) condition.excludedInitiatorDomains = excludedInitiators;
+            continue;
+        }
+
+        const { value, negated } = option;
+        if (OPTION_RESOURCE_TYPES[value]) {
+            (negated ? excluded : included).push(OPTION_RESOURCE_TYPES[value]);
+        } else if (value === 'third-party' || value === 'first-party') {
+            const wantsThirdParty = (value === 'third-party') !== negated;
+            const domainType = wantsThirdParty ? 'thirdParty' : 'firstParty';
+            // "$third-party,first-party" matches both, i.e. no restriction at all
+            partyOption = partyOption && partyOption !== domainType ? 'any' : domainType;
+        } else if (value === 'badfilter') {
+            return { error: '$badfilter lines cancel other filters and are not compiled' };
+        } else if (value === 'important') {
+            isImportant = !negated;
+        } else if (value === 'match-case') {
+            condition.isUrlFilterCaseSensitive = !negated;
+        } else if (UNSUPPORTED_OPTIONS.has(value) && !negated) {
+            return { error: `Option $${value} is not supported by declarativeNetRequest` };
+        }
+    }
+
+    const isDocument = included.includes('main_frame');
+    if (included.length) {
+        const types = included.filter((type) => !excluded.includes(type));
+        if (!types.length) return { error: 'Resource type options exclude every type' };
+        condition.resourceTypes = [...new Set(types)];
+    } else if (excluded.length) {
+        // Keep main_frame excluded like the implicit DNR default
+        condition.excludedResourceTypes = [...new Set(['main_frame', ...excluded])];
+    } else if (redirect) {
+        // A surrogate only fits the request type it imitates
+        condition.resourceTypes = redirect.resourceTypes;
+    } else if (removeParam) {
+        condition.resourceTypes = REMOVEPARAM_RESOURCE_TYPES;
+    } else if (documentHeaders) {
+        condition.resourceTypes = DOCUMENT_RESOURCE_TYPES;
+    } else {
+        condition.resourceTypes = DEFAULT_RESOURCE_TYPES;
+    }
+
+    // Parameter and header rules modify requests rather than block them
+    const modifiesRequest = Boolean(removeParam) || requestHeaders.length > 0 || responseHeaders.length > 0;
+    let impliedThirdParty = false;
+    if (partyOption && partyOption !== 'any') {
+        condition.domainType = partyOption;
+    } else if (!partyOption && !isException && !isDocument && !modifiesRequest) {
+        // Block rules stay third-party only unless the list says otherwise
+        condition.domainType = 'thirdParty';
+        impliedThirdParty = true;
+    }
+
+    return {
+        condition,
+        impliedThirdParty,
+        isDocument,
+        isImportant,
+        redirect: redirect ? `/resources/${redirect.file}` : null,
+        removeParam,
+        modifyHeaders:
+            requestHeaders.length || responseHeaders.length
+                ? {
+                        ...(requestHeaders.length ? { requestHeaders } : {}),
+                        ...(responseHeaders.length ? { responseHeaders } : {}),
+                    }
+                : null,
+    };
+}
+
+/**
+ * Returns the relation between the request domains and the $domain= initiators of a condition,
+ * judged by registrable domain (eTLD+1) like DNR's domainType.
+ * @param {object} condition - The DNR condition.
+ * @returns {string|null} 'firstParty' if every initiator is the site of the (single-site)
+ * request domains, 'thirdParty' if none is, otherwise null.
+ */
+export function initiatorParty(condition) {
+    const { requestDomains, initiatorDomains } = condition;
+    if (!requestDomains?.length || !initiatorDomains?.length) return null;
+    const requestSites = requestDomains.map(getRegistrableDomain);
+    const initiatorSites = initiatorDomains.map(getRegistrableDomain);
+    // A public suffix such as "co.uk" spans many sites; nothing can be concluded
+    if ([...requestSites, ...initiatorSites].includes(null)) return null;
+
+    const sites = new Set(requestSites);
+    if (sites.size === 1 && initiatorSites.every((site) => sites.has(site))) return 'firstParty';
+    if (initiatorSites.every((site) => !sites.has(site))) return 'thirdParty';
+    return null;
+}
+
+// A party restriction that contradicts the $domain= initiators never matches. The implicit
+// third-party default is dropped for same-site initiators ("||cdn.example.com^$domain=example.com"
+// targets the site itself); a contradicting explicit option is an error.
+function resolvePartyConflict(condition, impliedThirdParty) {
+    const party = initiatorParty(condition);
+    if (!party || !condition.domainType || party === condition.domainType) return null;
+    if (impliedThirdParty) {
+        delete condition.domainType;
+        return null;
+    }
+    return condition.domainType === 'thirdParty'
+        ? '$third-party never matches: every $domain= is the same site as the request'
+        : '$first-party never matches: no $domain= is the same site as the request';
+}
+
+/**
+ * Translates a blocking line (with optional $options) into a DNR block rule, a redirect
+ * rule when it names a surrogate via $redirect=, a URL transform for $removeparam=, or a
+ * modifyHeaders rule for $csp= / $permissions= / $removeheader=.
+ * @param {string} line - The filter line.
+ * @returns {{rule: object}|{error: string}} The rule with ID 0, or why it cannot be compiled.
+ */
+export function buildBlockRule(line) {
+    const { pattern, options } = splitOptions(line.trim());
+
+    const translated = translateOptions(options);
+    if (translated.error) return { error: translated.error };
+    // Generic "$removeparam=name" filters apply to every URL
+    if (!pattern && !translated.removeParam) return { error: 'Empty pattern' };
+
+    const url = buildPatternCondition(pattern);
+    if (url.error) return { error: url.error };
+
+    const condition = { ...url.condition, ...translated.condition };
+    const partyError = resolvePartyConflict(condition, translated.impliedThirdParty);
+    if (partyError) return { error: partyError };
+    const actions = [translated.redirect, translated.removeParam, translated.modifyHeaders];
+    if (actions.filter(Boolean).length > 1) return { error: 'Options select more than one action' };
+
+    if (translated.modifyHeaders) {
+        const action = { type: 'modifyHeaders', ...translated.modifyHeaders };
+        const validation = validateModifyHeadersAction(action, 0);
+        if (!validation.isValid) return { error: validation.errors.join('; ') };
+        return {
+            rule: {
+                id: 0, // assigned later
+                priority: translated.isImportant ? IMPORTANT_PRIORITY : BLOCK_PRIORITY,
+                action,
+                condition,
+            },
+        };
+    }
+    if (translated.removeParam) {
+        return {
+            rule: {
+                id: 0, // assigned later
+                priority: translated.isImportant ? IMPORTANT_PRIORITY : BLOCK_PRIORITY,
+                action: {
+                    type: 'redirect',
+                    redirect: { transform: { queryTransform: { removeParams: [translated.removeParam] } } },
+                },
+                condition,
+            },
+        };
+    }
+    if (translated.redirect) {
+        return {
+            rule: {
+                id: 0, // assigned later
+                priority: translated.isImportant ? IMPORTANT_PRIORITY : REDIRECT_PRIORITY,
+                action: { type: 'redirect', redirect: { extensionPath: translated.redirect } },
+                condition,
+            },
+        };
+    }
+
+    return {
+        rule: {
+            id: 0, // assigned later
+            priority: translated.isImportant ? IMPORTANT_PRIORITY : BLOCK_PRIORITY,
+            action: { type: 'block' },
+            condition,
+        },
+    };
+}
+
+/**
+ * Translates an "@@" exception line into a DNR allow rule (or allowAllRequests for $document).
+ * @param {string} line - The filter line.
+ * @returns {object|null} The rule with ID 0, or null if the line cannot be compiled.
+ */
+export function buildExceptionRule(line) {
+    if (!line.startsWith('@@')) return null;
+    const { pattern, options } = splitOptions(line.slice(2).trim());
+    if (!pattern) return null;
+
+    // @@||site^$elemhide and friends only switch off cosmetic filtering
+    const networkOptions = options.filter((opt) => !COSMETIC_EXCEPTION_OPTIONS.has(opt));
+    if (options.length > 0 && networkOptions.length === 0) return null;
+
+    const translated = translateOptions(networkOptions, { isException: true });
+    if (translated.error) return null;
+
+    const url = buildPatternCondition(pattern);
+    if (url.error) return null;
+    const urlCondition = url.condition;
+    // @@...$important can lift an $important block; allow wins ties at equal priority
+    const priority = translated.isImportant ? IMPORTANT_PRIORITY : EXCEPTION_PRIORITY;
+
+    if (translated.isDocument) {
+        return {
+            id: 0, // assigned later
+            priority,
+            action: { type: 'allowAllRequests' },
+            condition: {
+                ...urlCondition,
+                ...translated.condition,
+                resourceTypes: DOCUMENT_RESOURCE_TYPES,
+            },
+        };
+    }
+
+    return {
+        id: 0, // assigned later
+        priority,
+        action: { type: 'allow' },
+        condition: { ...urlCondition, ...translated.condition },
+    };
+}
+
+/**
+ * Merges $removeparam rules with identical conditions into one rule per condition.
+ * DNR applies a single redirect per request, so separate rules would strip one parameter
+ * per round trip. Rules that match every URL get a regexFilter that only matches URLs
+ * carrying one of the parameters, so other requests are not redirected to themselves.
+ * @param {Array<{rule: object, source: *}>} entries - The rules with their sources.
+ * @returns {Array<{rule: object, source: *}>} The merged rules, each with the source of its first rule.
+ */
+export function mergeRemoveParamRules(entries) {
+    const groups = new Map();
+    for (const { rule, source } of entries) {
+        const key = JSON.stringify([rule.priority, rule.condition]);
+        const group = groups.get(key);
+        if (!group) {
+            groups.set(key, { rule, source });
+            continue;
+        }
+        const params = group.rule.action.redirect.transform.queryTransform.removeParams;
+        for (const param of rule.action.redirect.transform.queryTransform.removeParams) {
+            if (!params.includes(param)) params.push(param);
+        }
+    }
+
+    const merged = [...groups.values()];
+    for (const { rule } of merged) {
+        const { condition } = rule;
+        if (!condition.urlFilter && !condition.regexFilter) {
+            const params = rule.action.redirect.transform.queryTransform.removeParams;
+            condition.regexFilter = `[?&](?:${params.map(escapeRegex).join('|')})(?:[=&#]|$)`;
+        }
+    }
+    return merged;
+}
@@ -3,6 +3,8 @@
  * @version 11.5
  */
 
+import { toASCIIDomain } from './utilities.js';
+
 /**
  * Detects URL-encoded attack vectors.
  * @param {string} input - The string to check.
@@ -44,9 +46,11 @@ const VALID_OPTIONS = new Set([
     'webrtc',
     'popup',
     'third-party',
+    'first-party',
     'match-case',
     'donottrack',
     'important',
+    'badfilter',
     'sitekey',
     'ping',
     'font',
@@ -54,8 +58,46 @@ const VALID_OPTIONS = new Set([
     'other',
 ]);
 
+/**
+ * Filter options that take a value (e.g., $redirect=noop.js, $csp=script-src 'none'),
+ * mapped to the pattern their value must match.
+ * @const {Map<string, RegExp>}
+ */
+const VALUED_OPTIONS = new Map([
+    ['redirect', /^[\w./-]+$/],
+    ['redirect-rule', /^[\w./-]+$/],
+    // Plain parameter names only; uBO's "/regex/" values have no DNR equivalent
+    ['removeparam', /^[\w.-]+$/],
+    ['csp', /^[ -~]+$/],
+    ['permissions', /^[ -~]+$/],
+    ['removeheader', /^(?:request:)?[a-z0-9-]+$/],
+]);
+
+/**
+ * Filter options whose values are case-insensitive (domains and header names).
+ * @const {Set<string>}
+ */
+const CASE_INSENSITIVE_VALUES = new Set(['domain', 'removeheader']);
+
+/**
+ * Lower-cases the name of a filter option. Values keep their case, since $removeparam names
+ * and $csp policies are case-sensitive; only domains and header names are lower-cased.
+ * @param {string} option - A single option, e.g. "removeparam=utm_Source".
+ * @returns {string} The normalized option.
+ */
+export function normalizeOptionCase(option) {
+    const separatorIndex = option.indexOf('=');
+    if (separatorIndex === -1) {
+        return option.toLowerCase();
+    }
+    const name = option.slice(0, separatorIndex).toLowerCase();
+    const value = option.slice(separatorIndex + 1);
+    return `${name}=${CASE_INSENSITIVE_VALUES.has(name.replace(/^~/, '')) ? value.toLowerCase() : value}`;
+}
+
 /**
  * Improved domain sanitization with stricter validation.
+ * Internationalized domains are converted to their ASCII (punycode) form.
  * @param {string} domain - The domain to sanitize.
  * @returns {{isValid: boolean, error?: string, domain?: string}} An object indicating if the domain is valid, an error message if not, and the sanitized domain.
  */
@@ -78,7 +120,11 @@ function sanitizeDomain(domain) {
     ) {
         return { isValid: false, error: 'Domain contains suspicious patterns' };
     }
-    return { isValid: true, domain: cleaned };
+    const ascii = toASCIIDomain(cleaned);
+    if (!ascii) {
+        return { isValid: false, error: 'Domain cannot be converted to ASCII' };
+    }
+    return { isValid: true, domain: ascii };
 }
 
 /**
@@ -198,7 +244,7 @@ export function validateFilterOptions(options) {
     if (!options) {
         return { isValid: true, parsedOptions: [] };
     }
-    const optionList = options.split(',').map((opt) => opt.trim().toLowerCase());
+    const optionList = options.split(',').map((opt) => normalizeOptionCase(opt.trim()));
     const parsedOptions = [];
     const errors = [];
     for (const option of optionList) {
@@ -229,6 +275,19 @@ export function validateFilterOptions(options) {
                     parsedOptions.push({ type: 'domain', value: domainValues, negated: false });
                 }
             }
+        } else if (VALUED_OPTIONS.has(baseOption.split('=')[0])) {
+            const separatorIndex = baseOption.indexOf('=');
+            const name = separatorIndex === -1 ? baseOption : baseOption.slice(0, separatorIndex);
+            const value = separatorIndex === -1 ? '' : baseOption.slice(separatorIndex + 1);
+            if (isNegated) {
+                errors.push(`The "${name}" option cannot be negated.`);
+            } else if (name === 'removeparam' && /^\/.+\/$/.test(value)) {
+                errors.push(`Regex values for the "removeparam" option are not supported: ${value}`);
+            } else if (!VALUED_OPTIONS.get(name).test(value)) {
+                errors.push(`Invalid value for the "${name}" option: ${value}`);
+            } else {
+                parsedOptions.push({ type: name, value, negated: false });
+            }
         } else if (VALID_OPTIONS.has(baseOption)) {
             parsedOptions.push({ type: 'filter', value: baseOption, negated: isNegated });
         } else {
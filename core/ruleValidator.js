@@ -17,7 +17,14 @@ export const VALIDATION_CONFIG = {
     /** Maximum rule priority. */
     MAX_PRIORITY: 2147483647,
     /** Valid action types. */
-    VALID_ACTION_TYPES: ['block', 'allow', 'redirect', 'upgradeScheme', 'modifyHeaders'],
+    VALID_ACTION_TYPES: [
+        'block',
+        'allow',
+        'allowAllRequests',
+        'redirect',
+        'upgradeScheme',
+        'modifyHeaders',
+    ],
     /** Valid resource types. */
     VALID_RESOURCE_TYPES: [
         'main_frame',
@@ -36,6 +43,32 @@ export const VALIDATION_CONFIG = {
         'webbundle',
         'other',
     ],
+    /** Valid header operations for modifyHeaders actions. */
+    VALID_HEADER_OPERATIONS: ['append', 'set', 'remove'],
+    /** Request headers Chrome allows the 'append' operation for. */
+    APPENDABLE_REQUEST_HEADERS: [
+        'accept',
+        'accept-encoding',
+        'accept-language',
+        'access-control-request-headers',
+        'cache-control',
+        'connection',
+        'content-language',
+        'cookie',
+        'forwarded',
+        'if-match',
+        'if-none-match',
+        'keep-alive',
+        'range',
+        'te',
+        'trailer',
+        'transfer-encoding',
+        'upgrade',
+        'user-agent',
+        'via',
+        'want-digest',
+        'x-forwarded-for',
+    ],
     /** Maximum length of a URL filter. */
     MAX_URL_FILTER_LENGTH: 2000,
     /** Maximum number of rules. */
@@ -94,11 +127,89 @@ export function validateRuleStructure(rule, index) {
                     `Rule at index ${index} has an invalid action type: ${rule.action.type}. Must be one of: ${VALIDATION_CONFIG.VALID_ACTION_TYPES.join(', ')}`
                 );
             }
+            if (rule.action.type === 'modifyHeaders') {
+                errors.push(...validateModifyHeadersAction(rule.action, index).errors);
+            }
         }
     }
     if ('condition' in rule) {
         const conditionValidation = validateRuleCondition(rule.condition, index);
         errors.push(...conditionValidation.errors);
+
+        // allowAllRequests is only evaluated for frame navigations
+        const resourceTypes = rule.condition?.resourceTypes;
+        if (
+            rule.action?.type === 'allowAllRequests' &&
+            (!Array.isArray(resourceTypes) ||
+                resourceTypes.some((type) => type !== 'main_frame' && type !== 'sub_frame'))
+        ) {
+            errors.push(
+                `Rule at index ${index} uses allowAllRequests, which requires resourceTypes limited to main_frame and sub_frame`
+            );
+        }
+    }
+    return {
+        isValid: errors.length === 0,
+        errors,
+    };
+}
+
+/**
+ * Validates the header operations of a modifyHeaders action.
+ * @param {object} action - The action object to validate.
+ * @param {number} ruleIndex - The index of the rule in the ruleset.
+ * @returns {{isValid: boolean, errors: string[]}} An object indicating if the action is valid and a list of errors.
+ */
+export function validateModifyHeadersAction(action, ruleIndex) {
+    const errors = [];
+    const lists = ['requestHeaders', 'responseHeaders'].filter((field) => field in action);
+    if (lists.length === 0) {
+        return {
+            isValid: false,
+            errors: [
+                `Rule at index ${ruleIndex} modifyHeaders action needs requestHeaders or responseHeaders`,
+            ],
+        };
+    }
+    for (const field of lists) {
+        const operations = action[field];
+        if (!Array.isArray(operations) || operations.length === 0) {
+            errors.push(`Rule at index ${ruleIndex} action.${field} must be a non-empty array`);
+            continue;
+        }
+        for (const info of operations) {
+            const header = info?.header;
+            if (typeof header !== 'string' || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(header)) {
+                errors.push(`Rule at index ${ruleIndex} action.${field} has an invalid header: ${header}`);
+                continue;
+            }
+            if (!VALIDATION_CONFIG.VALID_HEADER_OPERATIONS.includes(info.operation)) {
+                errors.push(
+                    `Rule at index ${ruleIndex} has an invalid operation for header ${header}: ${info.operation}. Must be one of: ${VALIDATION_CONFIG.VALID_HEADER_OPERATIONS.join(', ')}`
+                );
+                continue;
+            }
+            if (info.operation === 'remove') {
+                if ('value' in info) {
+                    errors.push(
+                        `Rule at index ${ruleIndex} must not set a value when removing header ${header}`
+                    );
+                }
+            } else if (typeof info.value !== 'string' || !/^[\t -~]*$/.test(info.value)) {
+                errors.push(
+                    `Rule at index ${ruleIndex} needs a valid value to ${info.operation} header ${header}`
+                );
+            }
+            if (
+                field === 'requestHeaders' &&
+                info.operation === 'append' &&
+                !VALIDATION_CONFIG.APPENDABLE_REQUEST_HEADERS.includes(header.toLowerCase())
+            ) {
+                errors.push(
+                    `Rule at index ${ruleIndex} cannot append to request header ${header}`
+                );
+            }
+        }
     }
     return {
         isValid: errors.length === 0,
@@ -8,8 +8,143 @@ import { createLogger } from './logger.js';
 
 const logger = createLogger('Utilities');
 
+/**
+ * Punycode parameters (RFC 3492).
+ * @const {object}
+ */
+const PUNYCODE = {
+    BASE: 36,
+    T_MIN: 1,
+    T_MAX: 26,
+    SKEW: 38,
+    DAMP: 700,
+    INITIAL_BIAS: 72,
+    INITIAL_N: 128
+};
+
+/**
+ * Adapts the punycode bias after each decoded code point (RFC 3492, section 6.1).
+ * @param {number} delta - The delta of the last code point.
+ * @param {number} numPoints - The number of code points decoded so far.
+ * @param {boolean} firstTime - Whether this is the first adaptation.
+ * @returns {number} The new bias.
+ */
+function adaptPunycodeBias(delta, numPoints, firstTime) {
+    const { BASE, T_MIN, T_MAX, SKEW, DAMP } = PUNYCODE;
+    let scaled = firstTime ? Math.floor(delta / DAMP) : Math.floor(delta / 2);
+    scaled += Math.floor(scaled / numPoints);
+    let k = 0;
+    while (scaled > Math.floor(((BASE - T_MIN) * T_MAX) / 2)) {
+        scaled = Math.floor(scaled / (BASE - T_MIN));
+        k += BASE;
+    }
+    return k + Math.floor(((BASE - T_MIN + 1) * scaled) / (scaled + SKEW));
+}
+
+/**
+ * Decodes the punycode part of an "xn--" label (RFC 3492, section 6.2).
+ * @param {string} input - The label without the "xn--" prefix.
+ * @returns {string} The decoded Unicode label.
+ * @throws {Error} If the input is not valid punycode.
+ */
+function decodePunycode(input) {
+    const { BASE, T_MIN, T_MAX, INITIAL_BIAS, INITIAL_N } = PUNYCODE;
+    const delimiter = input.lastIndexOf('-');
+    const output = [];
+    for (let j = 0; j < Math.max(0, delimiter); j++) {
+        output.push(input.charCodeAt(j));
+    }
+
+    let n = INITIAL_N;
+    let bias = INITIAL_BIAS;
+    let i = 0;
+    for (let pos = delimiter + 1; pos < input.length;) {
+        const oldI = i;
+        let w = 1;
+        for (let k = BASE; ; k += BASE) {
+            if (pos >= input.length) {
+                throw new Error('Truncated punycode');
+            }
+            const charCode = input.charCodeAt(pos++);
+            let digit;
+            if (charCode >= 48 && charCode <= 57) { // 0-9
+                digit = charCode - 22;
+            } else if (charCode >= 97 && charCode <= 122) { // a-z
+                digit = charCode - 97;
+            } else {
+                throw new Error('Invalid punycode digit');
+            }
+            i += digit * w;
+            const t = k <= bias ? T_MIN : (k >= bias + T_MAX ? T_MAX : k - bias);
+            if (digit < t) {
+                break;
+            }
+            w *= BASE - t;
+        }
+        const length = output.length + 1;
+        bias = adaptPunycodeBias(i - oldI, length, oldI === 0);
+        n += Math.floor(i / length);
+        i %= length;
+        output.splice(i, 0, n);
+        i++;
+    }
+    return String.fromCodePoint(...output);
+}
+
+/**
+ * Converts a domain to its ASCII form, so internationalized domains can be compared with
+ * URL hostnames and used in DNR conditions (e.g., "müller.de" -> "xn--mller-kva.de").
+ * @param {string} domain - The domain to convert.
+ * @returns {string|null} The lowercased ASCII domain, or null if it cannot be converted.
+ */
+export function toASCIIDomain(domain) {
+    if (!domain || typeof domain !== 'string') {
+        return null;
+    }
+
+    const lower = domain.toLowerCase();
+    if (/^[ -~]*$/.test(lower)) {
+        return lower;
+    }
+
+    // Only convert bare hosts; URL syntax would let the parser pick a different host
+    if (/[\s/\\?#@:%]/.test(lower)) {
+        return null;
+    }
+
+    try {
+        return new URL(`http://${lower}`).hostname;
+    } catch (error) {
+        logger.debug('Invalid internationalized domain', { domain, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Converts the punycode labels of a domain to Unicode for display (e.g., "xn--mller-kva.de" -> "müller.de").
+ * @param {string} domain - The ASCII domain.
+ * @returns {string} The Unicode domain; labels that are not valid punycode are kept as they are.
+ */
+export function toUnicodeDomain(domain) {
+    if (!domain || typeof domain !== 'string') {
+        return '';
+    }
+
+    return domain.split('.').map(label => {
+        if (!label.toLowerCase().startsWith('xn--')) {
+            return label;
+        }
+        try {
+            return decodePunycode(label.slice(4).toLowerCase()) || label;
+        } catch (error) {
+            return label;
+        }
+    }).join('.');
+}
+
 /**
  * Safely extracts the domain from a URL with comprehensive validation.
+ * Internationalized hostnames are returned in their ASCII (punycode) form.
  * @param {string} url - The URL to extract the domain from.
  * @returns {string|null} The extracted domain or null if the URL is invalid.
  */
@@ -35,6 +170,7 @@ export function getDomainFromUrl(url) {
 
 /**
  * Validates domains using character-based checks (ReDoS-safe).
+ * Internationalized domains are checked in their ASCII (punycode) form.
  * @param {string} domain - The domain to validate.
  * @returns {boolean} True if the domain is valid, false otherwise.
  */
@@ -43,6 +179,11 @@ export function isValidDomain(domain) {
         return false;
     }
 
+    domain = toASCIIDomain(domain);
+    if (!domain) {
+        return false;
+    }
+
     if (domain.length > EXTENSION_CONFIG.LIMITS.MAX_DOMAIN_LENGTH) {
         return false;
     }
@@ -80,6 +221,28 @@ export function isValidDomain(domain) {
     });
 }
 
+/**
+ * Parses a disabled-domain entry. Every entry covers the domain and all of its subdomains;
+ * the wildcard spelling "*.corp.example" says so explicitly and is kept in the stored entry.
+ * @param {string} entry - The entry, e.g. "example.com" or "*.corp.example".
+ * @returns {{entry: string, domain: string, wildcard: boolean}|null} The canonical entry (lowercase,
+ * punycode) and the domain it covers, or null if the entry is invalid.
+ */
+export function parseDomainEntry(entry) {
+    if (typeof entry !== 'string') {
+        return null;
+    }
+
+    const trimmed = entry.trim().toLowerCase();
+    const wildcard = trimmed.startsWith('*.');
+    const domain = toASCIIDomain(wildcard ? trimmed.slice(2) : trimmed);
+    if (!domain || !isValidDomain(domain)) {
+        return null;
+    }
+
+    return { entry: wildcard ? `*.${domain}` : domain, domain, wildcard };
+}
+
 /**
  * Validates a string against an allowed character set (ReDoS-safe).
  * @param {string} input - The string to validate.
@@ -316,8 +479,11 @@ export async function batchProcess(items, processor, batchSize = EXTENSION_CONFI
 }
 
 export default {
+    toASCIIDomain,
+    toUnicodeDomain,
     getDomainFromUrl,
     isValidDomain,
+    parseDomainEntry,
     validateStringChars,
     debounce,
     throttle,
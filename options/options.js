@@ -0,0 +1,516 @@
+/**
+ * @file Options page (dashboard) for Pagy Blocker.
+ * @version 11.5
+ */
+
+import { EXTENSION_CONFIG } from '../core/config.js';
+import { createLogger, loadLogLevel } from '../core/logger.js';
+import { debounce, isExtensionContextValid, toUnicodeDomain, parseDomainEntry } from '../core/utilities.js';
+
+const optionsLogger = createLogger('Options');
+
+/**
+ * Formats a disabled-domain entry for display, with internationalized domains in Unicode.
+ * @param {string} entry - The stored entry, e.g. "*.xn--mller-kva.de".
+ * @returns {string} The entry as users write it, e.g. "*.müller.de".
+ */
+function formatEntry(entry) {
+    const parsed = parseDomainEntry(entry);
+    if (!parsed) {
+        return entry;
+    }
+    return (parsed.wildcard ? '*.' : '') + toUnicodeDomain(parsed.domain);
+}
+
+/**
+ * Manages the options page and its interactions.
+ */
+class PagyOptions {
+    /**
+     * Constructs a new PagyOptions instance.
+     */
+    constructor() {
+        this.elements = {
+            versionTextEl: document.getElementById('version-text'),
+            globalStateEl: document.getElementById('global-state'),
+            pageErrorEl: document.getElementById('page-error'),
+            allowlistCountEl: document.getElementById('allowlist-count'),
+            allowlistAddForm: document.getElementById('allowlist-add-form'),
+            allowlistAddInput: document.getElementById('allowlist-add-input'),
+            allowlistErrorEl: document.getElementById('allowlist-error'),
+            allowlistSearch: document.getElementById('allowlist-search'),
+            allowlistEl: document.getElementById('allowlist'),
+            allowlistEmptyEl: document.getElementById('allowlist-empty'),
+            bulkTextEl: document.getElementById('allowlist-bulk-text'),
+            bulkErrorsEl: document.getElementById('allowlist-bulk-errors'),
+            bulkSaveButton: document.getElementById('allowlist-bulk-save'),
+            temporaryPausesEl: document.getElementById('temporary-pauses'),
+            temporaryPauseListEl: document.getElementById('temporary-pause-list'),
+            filterListsEl: document.getElementById('filter-lists'),
+            filterCountEl: document.getElementById('filter-count'),
+            customRulesText: document.getElementById('custom-rules-text'),
+            customRulesSaveButton: document.getElementById('custom-rules-save'),
+            customRulesStatusEl: document.getElementById('custom-rules-status'),
+            customRulesErrorsEl: document.getElementById('custom-rules-errors'),
+            statsTodayEl: document.getElementById('stats-today'),
+            statsWeekEl: document.getElementById('stats-week'),
+            statsAllTimeEl: document.getElementById('stats-all-time'),
+            statsSinceEl: document.getElementById('stats-since'),
+            statsChartEl: document.getElementById('stats-chart'),
+            topSitesEl: document.getElementById('top-sites'),
+            topDomainsEl: document.getElementById('top-domains'),
+            topDomainsHintEl: document.getElementById('top-domains-hint'),
+            logLevelSelect: document.getElementById('log-level')
+        };
+
+        this.state = {
+            disabledDomains: [],
+            searchTerm: '',
+            isUpdating: false
+        };
+
+        this.debouncedSearch = debounce(() => this.renderAllowlist(), 150);
+        this.init();
+    }
+
+    /**
+     * Initializes the options page.
+     */
+    init() {
+        try {
+            this.elements.versionTextEl.textContent = `v${EXTENSION_CONFIG.VERSION}`;
+            this.validateElements();
+            this.setupEventListeners();
+            loadLogLevel();
+            this.loadData();
+        } catch (error) {
+            optionsLogger.error('Failed to initialize options page', { error: error.message });
+            this.showPageError('Initialization Error');
+        }
+    }
+
+    /**
+     * Validates that all required DOM elements are present.
+     * @throws {Error} If a required element is not found.
+     */
+    validateElements() {
+        for (const [name, element] of Object.entries(this.elements)) {
+            if (!element) {
+                throw new Error(`Required element not found: ${name}`);
+            }
+        }
+    }
+
+    /**
+     * Sets up event listeners for the options page.
+     */
+    setupEventListeners() {
+        this.elements.allowlistAddForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleAddEntry();
+        });
+        this.elements.allowlistSearch.addEventListener('input', () => {
+            this.state.searchTerm = this.elements.allowlistSearch.value.trim().toLowerCase();
+            this.debouncedSearch();
+        });
+        this.elements.allowlistEl.addEventListener('click', (event) => {
+            const entry = event.target?.dataset?.entry;
+            if (entry) {
+                this.editAllowlist({ add: [], remove: [entry] });
+            }
+        });
+        this.elements.bulkSaveButton.addEventListener('click', () => this.handleBulkSave());
+        this.elements.filterListsEl.addEventListener('change', (event) => {
+            if (event.target?.dataset?.listId) {
+                this.handleFilterListToggle(event.target);
+            }
+        });
+        this.elements.customRulesSaveButton.addEventListener('click', () => this.handleSaveCustomRules());
+        this.elements.logLevelSelect.addEventListener('change', () => this.handleLogLevelChange());
+    }
+
+    /**
+     * Sends a command to the background script.
+     * @param {object} message - The message to send.
+     * @param {number} [timeout=4000] - The timeout in milliseconds.
+     * @returns {Promise<object>} A promise that resolves to the response.
+     * @throws {Error} If the background reports an error or does not answer in time.
+     */
+    async sendCommand(message, timeout = 4000) {
+        if (!isExtensionContextValid()) {
+            throw new Error('Extension context invalid');
+        }
+
+        const response = await Promise.race([
+            chrome.runtime.sendMessage(message),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), timeout))
+        ]);
+        if (!response) {
+            throw new Error('No data received from background script');
+        }
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        return response;
+    }
+
+    /**
+     * Loads all dashboard data from the background script and renders it.
+     * @returns {Promise<void>}
+     */
+    async loadData() {
+        try {
+            const data = await this.sendCommand({ command: 'getDashboardData' });
+            this.render(data);
+            this.elements.pageErrorEl.hidden = true;
+        } catch (error) {
+            optionsLogger.error('Failed to load dashboard data', { error: error.message });
+            this.showPageError(`Could not load settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renders all sections.
+     * @param {object} data - The dashboard data.
+     */
+    render(data) {
+        const blockingEnabled = data.blockingEnabled !== false;
+        this.elements.globalStateEl.textContent = blockingEnabled ? 'Blocking active' : 'Blocking off on all sites';
+        this.elements.globalStateEl.classList.toggle('is-off', !blockingEnabled);
+
+        this.setDisabledDomains(data.disabledDomains || []);
+        this.renderTemporaryPauses(data.temporaryPauses || []);
+        this.renderFilterLists(data.filterLists || [], data.filterCount);
+        this.elements.customRulesText.value = data.customRules || '';
+        this.renderCustomRuleErrors(data.customRuleErrors || []);
+        this.renderStats(data.stats || {});
+        this.elements.logLevelSelect.value = String(data.logLevel);
+    }
+
+    /**
+     * Stores the allowlist and refreshes the list and the bulk editor.
+     * @param {string[]} entries - The disabled-domain entries.
+     */
+    setDisabledDomains(entries) {
+        this.state.disabledDomains = [...entries].sort();
+        this.elements.bulkTextEl.value = this.state.disabledDomains.map(formatEntry).join('\n');
+        this.elements.bulkErrorsEl.replaceChildren();
+        this.renderAllowlist();
+    }
+
+    /**
+     * Renders the allowlist, filtered by the search term.
+     */
+    renderAllowlist() {
+        const { disabledDomains, searchTerm } = this.state;
+        const visible = disabledDomains.filter(entry => !searchTerm ||
+            entry.includes(searchTerm) || formatEntry(entry).includes(searchTerm));
+
+        this.elements.allowlistCountEl.textContent = searchTerm
+            ? `${visible.length} of ${disabledDomains.length}`
+            : String(disabledDomains.length);
+        this.elements.allowlistEmptyEl.hidden = visible.length > 0;
+
+        this.elements.allowlistEl.replaceChildren(...visible.map((entry) => {
+            const item = document.createElement('li');
+            item.className = 'entry-item';
+
+            const name = document.createElement('span');
+            name.className = 'entry-name';
+            name.textContent = formatEntry(entry);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'entry-remove';
+            remove.textContent = '✕';
+            remove.title = 'Entfernen';
+            remove.dataset.entry = entry;
+
+            item.append(name, remove);
+            return item;
+        }));
+    }
+
+    /**
+     * Renders the temporary pauses with their expiry.
+     * @param {Array<{entry: string, expiresAt: number|null}>} pauses - The temporary pauses.
+     */
+    renderTemporaryPauses(pauses) {
+        this.elements.temporaryPausesEl.hidden = pauses.length === 0;
+        this.elements.temporaryPauseListEl.replaceChildren(...pauses.map((pause) => {
+            const item = document.createElement('li');
+            item.className = 'entry-item';
+
+            const name = document.createElement('span');
+            name.className = 'entry-name';
+            name.textContent = formatEntry(pause.entry);
+
+            const detail = document.createElement('span');
+            detail.className = 'entry-detail';
+            detail.textContent = pause.expiresAt === null
+                ? 'until restart'
+                : `until ${new Date(pause.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+
+            item.append(name, detail);
+            return item;
+        }));
+    }
+
+    /**
+     * Handles the "add" form of the allowlist.
+     * @returns {Promise<void>}
+     */
+    async handleAddEntry() {
+        const value = this.elements.allowlistAddInput.value.trim();
+        if (!value) {
+            return;
+        }
+        if (!parseDomainEntry(value)) {
+            this.showAllowlistError(`Invalid domain: ${value}`);
+            return;
+        }
+        if (await this.editAllowlist({ add: [value], remove: [] })) {
+            this.elements.allowlistAddInput.value = '';
+        }
+    }
+
+    /**
+     * Handles saving the bulk editor: every line is validated first, and only the
+     * differences to the stored list are sent.
+     * @returns {Promise<void>}
+     */
+    async handleBulkSave() {
+        const errors = [];
+        const wanted = new Map(); // domain -> entry
+        this.elements.bulkTextEl.value.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) {
+                return;
+            }
+            const parsed = parseDomainEntry(line);
+            if (!parsed) {
+                errors.push(`Line ${index + 1}: invalid domain "${line}"`);
+            } else if (!wanted.has(parsed.domain)) {
+                wanted.set(parsed.domain, parsed.entry);
+            }
+        });
+
+        this.elements.bulkErrorsEl.replaceChildren(...errors.map((message) => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+        }));
+        if (errors.length > 0) {
+            return;
+        }
+
+        const current = this.state.disabledDomains;
+        const wantedEntries = new Set(wanted.values());
+        await this.editAllowlist({
+            add: [...wantedEntries].filter(entry => !current.includes(entry)),
+            remove: current.filter(entry => !wantedEntries.has(entry))
+        });
+    }
+
+    /**
+     * Adds and removes allowlist entries.
+     * @param {{add: string[], remove: string[]}} changes - The entries to add and remove.
+     * @returns {Promise<boolean>} A promise that resolves to true on success.
+     */
+    async editAllowlist({ add, remove }) {
+        if (this.state.isUpdating || (add.length === 0 && remove.length === 0)) {
+            return false;
+        }
+        this.state.isUpdating = true;
+        this.elements.allowlistErrorEl.hidden = true;
+
+        try {
+            const response = await this.sendCommand({ command: 'editDisabledDomains', add, remove }, 10000);
+            this.setDisabledDomains(response.disabledDomains || []);
+            optionsLogger.info('Allowlist updated', { added: add.length, removed: remove.length });
+            return true;
+        } catch (error) {
+            optionsLogger.error('Failed to update allowlist', { error: error.message });
+            this.showAllowlistError(error.message);
+            return false;
+        } finally {
+            this.state.isUpdating = false;
+        }
+    }
+
+    /**
+     * Shows an error below the allowlist form.
+     * @param {string} message - The error message.
+     */
+    showAllowlistError(message) {
+        this.elements.allowlistErrorEl.textContent = message;
+        this.elements.allowlistErrorEl.hidden = false;
+    }
+
+    /**
+     * Renders the filter lists with their enabled state.
+     * @param {Array<{id: string, title: string, enabled: boolean}>} filterLists - The lists to display.
+     * @param {number} [filterCount] - The number of rules of all enabled lists.
+     */
+    renderFilterLists(filterLists, filterCount) {
+        if (typeof filterCount === 'number') {
+            this.elements.filterCountEl.textContent = `${filterCount.toLocaleString()} rules`;
+        }
+
+        this.elements.filterListsEl.replaceChildren(...filterLists.map((list) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'filter-list-item' + (list.enabled ? '' : ' is-disabled');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(list.enabled);
+            checkbox.dataset.listId = list.id;
+
+            const title = document.createElement('span');
+            title.className = 'filter-list-title';
+            title.textContent = list.title;
+
+            label.append(checkbox, title);
+            item.append(label);
+            return item;
+        }));
+    }
+
+    /**
+     * Handles enabling or disabling a filter list.
+     * @param {HTMLInputElement} checkbox - The checkbox of the list.
+     * @returns {Promise<void>}
+     */
+    async handleFilterListToggle(checkbox) {
+        const id = checkbox.dataset.listId;
+        const enabled = checkbox.checked;
+        checkbox.disabled = true;
+
+        try {
+            const response = await this.sendCommand({ command: 'setFilterListEnabled', id, enabled });
+            this.renderFilterLists(response.filterLists || [], response.filterCount);
+            optionsLogger.info('Filter list toggled', { id, enabled });
+        } catch (error) {
+            optionsLogger.error('Failed to toggle filter list', { id, error: error.message });
+            checkbox.checked = !enabled;
+            checkbox.disabled = false;
+        }
+    }
+
+    /**
+     * Handles saving the custom rules.
+     * @returns {Promise<void>}
+     */
+    async handleSaveCustomRules() {
+        const button = this.elements.customRulesSaveButton;
+        button.disabled = true;
+        this.elements.customRulesStatusEl.textContent = '';
+
+        try {
+            const response = await this.sendCommand({
+                command: 'setCustomRules',
+                text: this.elements.customRulesText.value
+            }, 10000);
+            const errors = response.customRuleErrors || [];
+            this.renderCustomRuleErrors(errors);
+            this.elements.customRulesStatusEl.textContent = errors.length > 0
+                ? `Saved, ${errors.length} ${errors.length === 1 ? 'line' : 'lines'} skipped`
+                : 'Saved';
+        } catch (error) {
+            optionsLogger.error('Failed to save custom rules', { error: error.message });
+            this.elements.customRulesStatusEl.textContent = `Could not save: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Shows the custom rule lines that could not be installed, below the editor.
+     * @param {Array<{line: number, text: string, message: string}>} errors - The errors of the skipped lines.
+     */
+    renderCustomRuleErrors(errors) {
+        this.elements.customRulesErrorsEl.replaceChildren(...errors.map(({ line, text, message }) => {
+            const item = document.createElement('li');
+            item.textContent = `Line ${line}: ${message} ("${text}")`;
+            return item;
+        }));
+    }
+
+    /**
+     * Renders the statistics totals, the daily chart and the top lists.
+     * @param {object} stats - The statistics summary with its daily history.
+     */
+    renderStats(stats) {
+        this.elements.statsTodayEl.textContent = (stats.today || 0).toLocaleString();
+        this.elements.statsWeekEl.textContent = (stats.last7Days || 0).toLocaleString();
+        this.elements.statsAllTimeEl.textContent = (stats.allTime || 0).toLocaleString();
+        this.elements.statsSinceEl.textContent = stats.since ? `since ${stats.since}` : '';
+
+        const history = Array.isArray(stats.history) ? stats.history : [];
+        const max = Math.max(1, ...history.map(entry => entry.total));
+        this.elements.statsChartEl.replaceChildren(...history.map((entry) => {
+            const bar = document.createElement('div');
+            bar.className = 'bar';
+            bar.style.height = `${(entry.total / max) * 100}%`;
+            bar.title = `${entry.day}: ${entry.total.toLocaleString()}`;
+            return bar;
+        }));
+
+        this.renderTopList(this.elements.topSitesEl, stats.topSites);
+        this.renderTopList(this.elements.topDomainsEl, stats.topDomains);
+        this.elements.topDomainsHintEl.hidden = stats.blockedDomainsComplete !== false;
+    }
+
+    /**
+     * Renders a ranked list of sites or domains.
+     * @param {HTMLOListElement} listEl - The list element.
+     * @param {Array<{name: string, count: number}>} [entries=[]] - The entries, largest first.
+     */
+    renderTopList(listEl, entries = []) {
+        if (entries.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = '–';
+            listEl.replaceChildren(item);
+            return;
+        }
+        listEl.replaceChildren(...entries.map((entry) => {
+            const item = document.createElement('li');
+            item.textContent = `${toUnicodeDomain(entry.name)} (${entry.count.toLocaleString()})`;
+            return item;
+        }));
+    }
+
+    /**
+     * Handles a change of the log level.
+     * @returns {Promise<void>}
+     */
+    async handleLogLevelChange() {
+        const level = Number.parseInt(this.elements.logLevelSelect.value, 10);
+        try {
+            await this.sendCommand({ command: 'setLogLevel', level });
+        } catch (error) {
+            optionsLogger.error('Failed to set log level', { level, error: error.message });
+            this.loadData();
+        }
+    }
+
+    /**
+     * Shows an error above all sections.
+     * @param {string} message - The error message.
+     */
+    showPageError(message) {
+        if (this.elements.pageErrorEl) {
+            this.elements.pageErrorEl.textContent = message;
+            this.elements.pageErrorEl.hidden = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        window.pagyOptions = new PagyOptions();
+    } catch (error) {
+        console.error('[Pagy Options] Failed to initialize:', error);
+    }
+});
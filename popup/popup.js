@@ -5,7 +5,8 @@
 
 import { EXTENSION_CONFIG } from '../core/config.js';
 import { popupLogger } from '../core/logger.js';
-import { debounce, sanitizeInput, isValidDomain, isExtensionContextValid } from '../core/utilities.js';
+import { debounce, sanitizeInput, isValidDomain, isExtensionContextValid, toUnicodeDomain, parseDomainEntry } from '../core/utilities.js';
+import { isSubdomainOf } from '../core/registrable-domain.js';
 
 /**
  * Manages the popup UI and its interactions.
@@ -22,12 +23,25 @@ class PagyPopup {
             filterCountEl: document.getElementById('filter-count'),
             statsEl: document.getElementById('stats'),
             blockedCountEl: document.getElementById('blocked-count'),
-            runtimeDisplayEl: document.getElementById('runtime-display'),
-            versionTextEl: document.getElementById('version-text')
+            todayCountEl: document.getElementById('today-count'),
+            weekCountEl: document.getElementById('week-count'),
+            allTimeCountEl: document.getElementById('all-time-count'),
+            versionTextEl: document.getElementById('version-text'),
+            filterListsEl: document.getElementById('filter-lists'),
+            pauseScopeEl: document.getElementById('pause-scope'),
+            siteTextEl: document.getElementById('site-text'),
+            siteScopeOptionEl: document.getElementById('pause-scope-site'),
+            pauseDurationEl: document.getElementById('pause-duration'),
+            pauseDurationSelect: document.getElementById('pause-duration-select'),
+            globalSwitch: document.getElementById('global-switch'),
+            globalStatusText: document.getElementById('global-status-text'),
+            openOptionsButton: document.getElementById('open-options')
         };
 
         this.state = {
             currentDomain: null,
+            currentSite: null,
+            currentTabId: null,
             isUpdating: false,
             retryCount: 0
         };
@@ -70,6 +84,19 @@ class PagyPopup {
      */
     setupEventListeners() {
         this.elements.enableSwitch.addEventListener('change', this.debouncedToggle);
+        this._onGlobalSwitchChange = () => this.handleGlobalToggle();
+        this.elements.globalSwitch.addEventListener('change', this._onGlobalSwitchChange);
+
+        this._onFilterListChange = (event) => {
+            const input = event.target;
+            if (input?.dataset?.listId) {
+                this.handleFilterListToggle(input);
+            }
+        };
+        this.elements.filterListsEl.addEventListener('change', this._onFilterListChange);
+
+        this._onOpenOptions = () => chrome.runtime.openOptionsPage();
+        this.elements.openOptionsButton.addEventListener('click', this._onOpenOptions);
 
         this._onWindowFocus = () => {
             if (!this.state.isUpdating) {
@@ -130,30 +157,56 @@ class PagyPopup {
     renderUI(data) {
         const { isPaused, domain, filterCount } = data;
         this.state.currentDomain = domain;
+        this.state.currentSite = data.site || null;
+        this.state.currentTabId = Number.isInteger(data.tabId) ? data.tabId : null;
+
+        const blockingEnabled = data.blockingEnabled !== false;
+        this.updateGlobalSwitch(blockingEnabled);
 
-        if (domain && isValidDomain(domain)) {
-            this.updateForValidDomain(domain, isPaused);
+        if (!blockingEnabled) {
+            this.updateForGloballyDisabled(domain);
+        } else if (domain && isValidDomain(domain)) {
+            this.updateForValidDomain(domain, isPaused, data);
+            this.updatePauseScope(domain, data.site, data.pausedBy, Boolean(data.isTabPause));
         } else {
             this.updateForInvalidDomain();
         }
 
         this.updateFilterCount(filterCount);
 
+        if (Array.isArray(data.filterLists)) {
+            this.renderFilterLists(data.filterLists);
+        }
+
         if (data.stats) {
             this.updateStats(data.stats);
         }
     }
 
     /**
-     * Updates the UI for a valid domain.
-     * @param {string} domain - The domain to update for.
+     * Updates the UI for a valid domain. Internationalized domains are shown in their
+     * Unicode form; the punycode form stays available as a tooltip.
+     * @param {string} domain - The domain to update for (ASCII form).
      * @param {boolean} isPaused - Whether the blocker is paused for the domain.
+     * @param {object} [pause={}] - The pause details from the background script.
+     * @param {string|null} [pause.pausedBy] - The disabled entry that pauses the domain, if any.
+     * @param {boolean} [pause.isTemporaryPause] - Whether the pause ends by itself.
+     * @param {number|null} [pause.pauseExpiresAt] - When a temporary pause ends; null means "until restart".
+     * @param {boolean} [pause.isTabPause] - Whether the tab is paused on its own.
      */
-    updateForValidDomain(domain, isPaused) {
+    updateForValidDomain(domain, isPaused, {
+        pausedBy = null, isTemporaryPause = false, pauseExpiresAt = null, isTabPause = false
+    } = {}) {
         this.elements.enableSwitch.disabled = false;
         this.elements.enableSwitch.checked = !isPaused;
-        this.elements.statusText.textContent = isPaused ? 'Disabled' : 'Active';
-        this.elements.domainText.textContent = sanitizeInput(domain);
+        this.elements.statusText.textContent = isPaused
+            ? this.formatPausedStatus(domain, pausedBy, isTemporaryPause, pauseExpiresAt, isTabPause)
+            : 'Active';
+        // The duration only applies when pausing
+        this.elements.pauseDurationEl.hidden = isPaused;
+        const displayDomain = toUnicodeDomain(domain);
+        this.elements.domainText.textContent = sanitizeInput(displayDomain);
+        this.elements.domainText.title = displayDomain !== domain ? domain : '';
 
         const statusBadge = this.elements.statusText.closest('.status-badge');
         if (statusBadge) {
@@ -161,10 +214,148 @@ class PagyPopup {
         }
     }
 
+    /**
+     * Builds the status text of a paused domain, e.g. "Disabled (via *.corp.example, until 14:35)".
+     * @param {string} domain - The current domain (ASCII form).
+     * @param {string|null} pausedBy - The disabled entry that pauses the domain.
+     * @param {boolean} isTemporaryPause - Whether the pause ends by itself.
+     * @param {number|null} pauseExpiresAt - When a temporary pause ends; null means "until restart".
+     * @param {boolean} [isTabPause=false] - Whether the tab is paused on its own.
+     * @returns {string} The status text.
+     */
+    formatPausedStatus(domain, pausedBy, isTemporaryPause, pauseExpiresAt, isTabPause = false) {
+        const details = [];
+        if (isTabPause && !pausedBy) {
+            details.push('this tab');
+        }
+        // Name the entry when the pause comes from a parent domain or a wildcard entry
+        if (pausedBy && pausedBy !== domain) {
+            details.push(`via ${sanitizeInput(toUnicodeDomain(pausedBy))}`);
+        }
+        if (isTemporaryPause) {
+            details.push(pauseExpiresAt === null
+                ? 'until restart'
+                : `until ${new Date(pauseExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        }
+        return details.length > 0 ? `Disabled (${details.join(', ')})` : 'Disabled';
+    }
+
+    /**
+     * Shows the "this domain" / "whole site" / "this tab" choice. The whole-site option only
+     * appears when the domain is a subdomain of its site.
+     * @param {string} domain - The current domain (ASCII form).
+     * @param {string|null} site - The registrable domain of the current domain.
+     * @param {string|null} pausedBy - The disabled entry that pauses the domain, if any.
+     * @param {boolean} isTabPause - Whether the current tab is paused on its own.
+     */
+    updatePauseScope(domain, site, pausedBy, isTabPause) {
+        const showSite = Boolean(site) && site !== domain;
+        this.elements.pauseScopeEl.hidden = !Number.isInteger(this.state.currentTabId) && !showSite;
+        this.elements.siteScopeOptionEl.hidden = !showSite;
+        if (showSite) {
+            this.elements.siteTextEl.textContent = sanitizeInput(toUnicodeDomain(site));
+        }
+
+        // Preselect the scope the current pause came from
+        const pausingDomain = parseDomainEntry(pausedBy)?.domain;
+        let scope = 'domain';
+        if (showSite && pausingDomain && pausingDomain !== domain && isSubdomainOf(site, pausingDomain)) {
+            scope = 'site';
+        } else if (isTabPause && !pausedBy) {
+            scope = 'tab';
+        }
+        const radio = this.elements.pauseScopeEl.querySelector(`input[value="${scope}"]`);
+        if (radio) {
+            radio.checked = true;
+        }
+    }
+
+    /**
+     * Returns the selected pause scope.
+     * @returns {string} 'domain', 'site' or 'tab'.
+     */
+    getPauseScope() {
+        if (this.elements.pauseScopeEl.hidden) {
+            return 'domain';
+        }
+        const checked = this.elements.pauseScopeEl.querySelector('input[name="pause-scope"]:checked');
+        return ['site', 'tab'].includes(checked?.value) ? checked.value : 'domain';
+    }
+
+    /**
+     * Returns the selected pause duration.
+     * @returns {number|string|null} Minutes, 'session' for "until restart", or null for a permanent pause.
+     */
+    getPauseDuration() {
+        const value = this.elements.pauseDurationSelect.value;
+        if (value === 'session') {
+            return 'session';
+        }
+        const minutes = Number.parseInt(value, 10);
+        return Number.isInteger(minutes) && minutes > 0 ? minutes : null;
+    }
+
+    /**
+     * Reflects the global kill switch in the header switch and the footer.
+     * @param {boolean} blockingEnabled - Whether blocking is enabled.
+     */
+    updateGlobalSwitch(blockingEnabled) {
+        this.elements.globalSwitch.checked = blockingEnabled;
+        this.elements.globalSwitch.disabled = false;
+        this.elements.globalStatusText.textContent = blockingEnabled ? 'Extension aktiv' : 'Blockierung aus';
+    }
+
+    /**
+     * Updates the UI while blocking is off on all sites; per-domain pauses cannot be changed then.
+     * @param {string|null} domain - The current domain (ASCII form), if any.
+     */
+    updateForGloballyDisabled(domain) {
+        this.elements.pauseScopeEl.hidden = true;
+        this.elements.pauseDurationEl.hidden = true;
+        this.elements.enableSwitch.disabled = true;
+        this.elements.enableSwitch.checked = false;
+        this.elements.statusText.textContent = 'Disabled (all sites)';
+        this.elements.domainText.textContent = domain ? sanitizeInput(toUnicodeDomain(domain)) : 'Not available';
+
+        const statusBadge = this.elements.statusText.closest('.status-badge');
+        if (statusBadge) {
+            statusBadge.className = 'status-badge status-disabled';
+        }
+    }
+
+    /**
+     * Handles the global kill switch.
+     * @returns {Promise<void>}
+     */
+    async handleGlobalToggle() {
+        const enabled = this.elements.globalSwitch.checked;
+        this.elements.globalSwitch.disabled = true;
+
+        try {
+            const response = await Promise.race([
+                chrome.runtime.sendMessage({ command: 'setBlockingEnabled', enabled }),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 4000))
+            ]);
+
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            popupLogger.info('Global blocking toggled', { enabled });
+            await this.updateUI();
+        } catch (error) {
+            popupLogger.error('Failed to toggle global blocking', { error: error.message });
+            this.updateGlobalSwitch(!enabled);
+            this.showError('Error changing global state');
+        }
+    }
+
     /**
      * Updates the UI for an invalid domain.
      */
     updateForInvalidDomain() {
+        this.elements.pauseScopeEl.hidden = true;
+        this.elements.pauseDurationEl.hidden = true;
         this.elements.enableSwitch.disabled = true;
         this.elements.enableSwitch.checked = false;
         this.elements.statusText.textContent = 'No valid website';
@@ -187,12 +378,70 @@ class PagyPopup {
         this.elements.filterCountEl.textContent = displayCount;
     }
 
+    /**
+     * Renders the filter lists with their enabled state.
+     * @param {Array<{id: string, title: string, enabled: boolean}>} filterLists - The lists to display.
+     */
+    renderFilterLists(filterLists) {
+        const listEl = this.elements.filterListsEl;
+        listEl.replaceChildren();
+
+        for (const list of filterLists) {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'filter-list-item' + (list.enabled ? '' : ' is-disabled');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(list.enabled);
+            checkbox.dataset.listId = list.id;
+
+            const title = document.createElement('span');
+            title.className = 'filter-list-title';
+            title.textContent = list.title;
+
+            label.append(checkbox, title);
+            item.append(label);
+            listEl.append(item);
+        }
+    }
+
+    /**
+     * Handles enabling or disabling a filter list.
+     * @param {HTMLInputElement} checkbox - The checkbox of the list.
+     * @returns {Promise<void>}
+     */
+    async handleFilterListToggle(checkbox) {
+        const id = checkbox.dataset.listId;
+        const enabled = checkbox.checked;
+        checkbox.disabled = true;
+
+        try {
+            const response = await Promise.race([
+                chrome.runtime.sendMessage({ command: 'setFilterListEnabled', id, enabled }),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 4000))
+            ]);
+
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            this.updateFilterCount(response.filterCount);
+            this.renderFilterLists(response.filterLists || []);
+            popupLogger.info('Filter list toggled', { id, enabled });
+        } catch (error) {
+            popupLogger.error('Failed to toggle filter list', { id, error: error.message });
+            checkbox.checked = !enabled;
+            checkbox.disabled = false;
+        }
+    }
+
     /**
      * Updates the stats in the UI.
-     * @param {object} stats - The stats to display.
+     * @param {object} stats - The stats to display: blocked requests on this page and the stored totals.
      */
     updateStats(stats) {
-        const { initialized, runtime, blockedRequests } = stats;
+        const { initialized, blockedRequests, today, last7Days, allTime } = stats;
 
         if (initialized) {
             if (this.elements.blockedCountEl) {
@@ -204,23 +453,13 @@ class PagyPopup {
                 this.elements.blockedCountEl.classList.add('bump');
             }
 
-            if (this.elements.runtimeDisplayEl) {
-                const runtimeSeconds = Math.floor(runtime / 1000);
-                const runtimeDisplay = runtimeSeconds < 60 ?
-                    `${runtimeSeconds}s` :
-                    runtimeSeconds < 3600 ?
-                        `${Math.floor(runtimeSeconds / 60)}m` :
-                        `${Math.floor(runtimeSeconds / 3600)}h`;
-
-                this.elements.runtimeDisplayEl.textContent = runtimeDisplay;
+            if (this.elements.todayCountEl) {
+                this.elements.todayCountEl.textContent = (today || 0).toLocaleString();
             }
 
-            if (this.elements.statsEl && blockedRequests > 0) {
-                this.elements.statsEl.innerHTML = `
-                    <div class="detailed-info">
-                        <small class="detail-muted">⚡ Session active for ${Math.floor(runtime / 60000)}min</small>
-                    </div>
-                `;
+            if (this.elements.statsEl && allTime > 0) {
+                this.elements.weekCountEl.textContent = (last7Days || 0).toLocaleString();
+                this.elements.allTimeCountEl.textContent = allTime.toLocaleString();
                 this.elements.statsEl.classList.add('is-visible');
             }
         }
@@ -254,7 +493,13 @@ class PagyPopup {
                 chrome.runtime.sendMessage({
                     command: 'toggleDomainState',
                     domain: this.state.currentDomain,
-                    isPaused: !this.elements.enableSwitch.checked
+                    isPaused: !this.elements.enableSwitch.checked,
+                    scope: this.getPauseScope(),
+                    // Tab pauses last until the tab is closed
+                    duration: this.elements.enableSwitch.checked || this.getPauseScope() === 'tab'
+                        ? null
+                        : this.getPauseDuration(),
+                    tabId: this.state.currentTabId
                 }),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 4000))
             ]);
@@ -279,7 +524,8 @@ class PagyPopup {
             });
 
             this.restoreState(originalState);
-            this.showError('Error changing status');
+            // A reached limit needs action from the user, so name it instead of a generic error
+            this.showError(error.message.startsWith('Allowlist limit') ? error.message : 'Error changing status');
 
             setTimeout(() => {
                 if (!this.state.isUpdating) {
@@ -349,6 +595,15 @@ class PagyPopup {
         }
 
         this.elements.enableSwitch?.removeEventListener('change', this.debouncedToggle);
+        if (this._onFilterListChange) {
+            this.elements.filterListsEl?.removeEventListener('change', this._onFilterListChange);
+        }
+        if (this._onGlobalSwitchChange) {
+            this.elements.globalSwitch?.removeEventListener('change', this._onGlobalSwitchChange);
+        }
+        if (this._onOpenOptions) {
+            this.elements.openOptionsButton?.removeEventListener('click', this._onOpenOptions);
+        }
         if (this._onWindowFocus) {
             window.removeEventListener('focus', this._onWindowFocus);
         }
@@ -0,0 +1,48 @@
+/**
+ * @file Pagy Blocker surrogate for google-analytics.com/analytics.js.
+ * Provides a no-op `ga()` so pages that call it keep working. Hit callbacks are
+ * still invoked because sites often delay navigation until they fire.
+ */
+(function () {
+    'use strict';
+
+    const noop = function () {};
+    const tracker = { get: noop, set: noop, send: noop };
+
+    const ga = function (...args) {
+        const [command] = args;
+        if (typeof command === 'function') {
+            try {
+                command(tracker);
+            } catch (_) {
+                // Ignore errors in page callbacks.
+            }
+            return;
+        }
+        const last = args[args.length - 1];
+        const hitCallback = last && typeof last === 'object' ? last.hitCallback : null;
+        if (typeof hitCallback === 'function') {
+            setTimeout(hitCallback, 1);
+        }
+    };
+    ga.create = () => tracker;
+    ga.getByName = () => tracker;
+    ga.getAll = () => [tracker];
+    ga.remove = noop;
+    ga.loaded = true;
+
+    // Replay commands the loader snippet queued before this script ran
+    const name = window.GoogleAnalyticsObject || 'ga';
+    const queue = window[name] && Array.isArray(window[name].q) ? window[name].q : [];
+    window[name] = ga;
+    for (const args of queue) {
+        ga(...args);
+    }
+
+    // Anti-flicker snippets hide the page until analytics has loaded
+    const dataLayer = window.dataLayer;
+    if (dataLayer && dataLayer.hide && typeof dataLayer.hide.end === 'function') {
+        dataLayer.hide.end();
+        dataLayer.hide.end = noop;
+    }
+})();
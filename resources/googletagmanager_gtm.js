@@ -0,0 +1,39 @@
+/**
+ * @file Pagy Blocker surrogate for googletagmanager.com/gtm.js and gtag/js.
+ * Leaves `dataLayer` in place but runs the event callbacks that pages wait on,
+ * so links and forms that delay navigation until a tag fired keep working.
+ */
+(function () {
+    'use strict';
+
+    const noop = function () {};
+
+    const runCallbacks = function (entry) {
+        if (!entry || typeof entry !== 'object') {
+            return;
+        }
+        // dataLayer.push({ event, eventCallback }) and gtag('event', name, { event_callback })
+        const callbacks = [entry.eventCallback, entry[2] && entry[2].event_callback];
+        for (const callback of callbacks) {
+            if (typeof callback === 'function') {
+                setTimeout(callback, 1);
+            }
+        }
+    };
+
+    const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+    window.dataLayer = dataLayer;
+    dataLayer.forEach(runCallbacks);
+
+    const push = dataLayer.push;
+    dataLayer.push = function (...entries) {
+        entries.forEach(runCallbacks);
+        return push.apply(dataLayer, entries);
+    };
+
+    // Anti-flicker snippets hide the page until the container has loaded
+    if (dataLayer.hide && typeof dataLayer.hide.end === 'function') {
+        dataLayer.hide.end();
+        dataLayer.hide.end = noop;
+    }
+})();
@@ -0,0 +1,6 @@
+/**
+ * @file Pagy Blocker surrogate: intentionally empty script.
+ */
+(function () {
+    'use strict';
+})();
@@ -1,5 +1,12 @@
 import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
 import * as blockerEngineModule from '../core/blocker-engine.js';
+import { EXTENSION_CONFIG } from '../core/config.js';
+import { blockedRequestCounter } from '../core/blocked-counter.js';
+import { blockingStats } from '../core/blocking-stats.js';
+import { customRulesManager, compileCustomRules } from '../core/custom-rules.js';
+
+// Sender of messages from the popup
+const popupPage = { id: 'test-extension-id', url: 'chrome-extension://test-extension-id/popup/popup.html' };
 
 // Helper to await sendResponse from background message handler
 function invokeMessage(handler, message, sender = { id: 'test-extension-id' }) {
@@ -12,6 +19,11 @@ describe('Background service worker', () => {
   let messageHandler;
   let onUpdatedHandler;
   let onActivatedHandler;
+  let onAlarmHandler;
+  let onRemovedHandler;
+  let actionOptions;
+  let onStartupHandler;
+  let startupPauseCleanups;
 
   beforeAll(async () => {
     // Use fake timers early so debounce captures them
@@ -23,6 +35,7 @@ describe('Background service worker', () => {
     // Default storage behavior to avoid undefined access during import
     chrome.storage.local.get.mockResolvedValue({});
     chrome.storage.local.set.mockResolvedValue(undefined);
+    const removeExpiredSpy = jest.spyOn(blockerEngineModule.blockerEngine, 'removeExpiredTemporaryPauses');
     // Import background to register listeners
     await import('../background/background.js');
 
@@ -30,6 +43,14 @@ describe('Background service worker', () => {
     messageHandler = chrome.runtime.onMessage.addListener.mock.calls[0][0];
     onActivatedHandler = chrome.tabs.onActivated.addListener.mock.calls[0][0];
     onUpdatedHandler = chrome.tabs.onUpdated.addListener.mock.calls[0][0];
+    onAlarmHandler = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+    onRemovedHandler = chrome.tabs.onRemoved.addListener.mock.calls[0][0];
+    // Let the start-up initialization finish before the first test clears the mocks
+    await jest.advanceTimersByTimeAsync(0);
+    actionOptions = chrome.declarativeNetRequest.setExtensionActionOptions.mock.calls.map(([options]) => options);
+    onStartupHandler = chrome.runtime.onStartup.addListener.mock.calls[0][0];
+    startupPauseCleanups = removeExpiredSpy.mock.calls.map(([options]) => options);
+    removeExpiredSpy.mockRestore();
   });
 
   beforeEach(() => {
@@ -41,24 +62,40 @@ describe('Background service worker', () => {
 
     const be = blockerEngineModule.blockerEngine;
     jest.spyOn(be, 'isDomainDisabled').mockResolvedValue(false);
-    jest.spyOn(be, 'getStats').mockResolvedValue({ initialized: true, filterCount: 10, runtime: 1, blockedRequests: 2 });
+    jest.spyOn(be, 'getStats').mockResolvedValue({ initialized: true, filterCount: 10, runtime: 1, blockedRequests: 0 });
+    jest.spyOn(blockedRequestCounter, 'refreshTab').mockResolvedValue(2);
 
     const resp = await invokeMessage(messageHandler, { command: 'getPopupData' });
 
     expect(resp.domain).toBe('example.com');
     expect(resp.isPaused).toBe(false);
+    expect(resp.site).toBe('example.com');
+    expect(resp.pausedBy).toBeNull();
     expect(typeof resp.filterCount).toBe('number');
-    expect(resp.stats).toEqual({ initialized: true, filterCount: 10, runtime: 1, blockedRequests: 2 });
+    expect(resp.stats).toEqual({
+      initialized: true,
+      filterCount: 10,
+      blockedRequests: 2,
+      today: 0,
+      last7Days: 0,
+      allTime: 0,
+      since: null,
+      topSites: [],
+      topDomains: [],
+    });
+    expect(blockedRequestCounter.refreshTab).toHaveBeenCalledWith(1);
+    blockedRequestCounter.refreshTab.mockRestore();
   });
 
   test('getState returns pause state for sender tab', async () => {
     const be = blockerEngineModule.blockerEngine;
-    jest.spyOn(be, 'isDomainDisabled').mockResolvedValue(true);
+    jest.spyOn(be, 'getPause').mockResolvedValue({ entry: '*.example.com', temporary: false, expiresAt: null });
 
     const resp = await invokeMessage(messageHandler, { command: 'getState' }, { id: 'test-extension-id', tab: { url: 'https://sub.example.com/path' } });
 
     expect(resp.domain).toBe('sub.example.com');
     expect(resp.isPaused).toBe(true);
+    expect(resp.pausedBy).toBe('*.example.com');
   });
 
   test('toggleDomainState happy path triggers DNR update and reload', async () => {
@@ -86,6 +123,202 @@ describe('Background service worker', () => {
     expect(chrome.tabs.reload).toHaveBeenCalledWith(42);
   });
 
+  test('toggleDomainState stores internationalized domains in punycode', async () => {
+    chrome.tabs.query.mockResolvedValue([]);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['xn--mller-kva.de']);
+
+    const resp = await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'müller.de', isPaused: true });
+
+    expect(resp).toEqual({ success: true });
+    expect(be.addDisabledDomain).toHaveBeenCalledWith('xn--mller-kva.de');
+  });
+
+  test('toggleDomainState pauses the whole site for the site scope', async () => {
+    chrome.tabs.query.mockResolvedValue([]);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['example.co.uk']);
+
+    const resp = await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'www.shop.example.co.uk', isPaused: true, scope: 'site',
+    });
+
+    expect(resp).toEqual({ success: true });
+    expect(be.addDisabledDomain).toHaveBeenCalledWith('example.co.uk');
+  });
+
+  test('toggleDomainState stores wildcard entries and notifies tabs on subdomains', async () => {
+    chrome.tabs.query.mockImplementation(async (opts) => {
+      if (opts && opts.active && opts.currentWindow) return [];
+      return [{ id: 7, url: 'https://wiki.corp.example/' }, { id: 8, url: 'https://example.org/' }];
+    });
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
+    chrome.tabs.sendMessage.mockResolvedValue(undefined);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['*.corp.example', 'corp.example', 'example.org']);
+    jest.spyOn(be, 'getPause').mockResolvedValue({ entry: '*.corp.example', temporary: false, expiresAt: null });
+
+    const resp = await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: '*.corp.example', isPaused: true });
+
+    expect(resp).toEqual({ success: true });
+    expect(be.addDisabledDomain).toHaveBeenCalledWith('*.corp.example');
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+      command: 'updatePauseState', isPaused: true, pausedBy: '*.corp.example', isTemporaryPause: false, pauseExpiresAt: null, isTabPause: false,
+    });
+
+    // Wildcard entries become plain DNR domains, which already match subdomains
+    const { addRules } = chrome.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+    expect(addRules[0].condition.initiatorDomains).toEqual(['corp.example', 'example.org']);
+  });
+
+  test('toggleDomainState pauses temporarily with session rules and an expiry alarm', async () => {
+    jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+    const now = Date.now();
+    chrome.tabs.query.mockResolvedValue([]);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue([]);
+    jest.spyOn(be, 'addDisabledDomain');
+    jest.spyOn(be, 'addTemporaryPause').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getTemporaryPauses')
+      .mockResolvedValueOnce([])
+      .mockResolvedValue([{ entry: 'example.com', expiresAt: now + 5 * 60 * 1000 }, { entry: 'example.org', expiresAt: null }]);
+
+    const resp = await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'example.com', isPaused: true, duration: 5,
+    });
+
+    expect(resp).toEqual({ success: true });
+    expect(be.addTemporaryPause).toHaveBeenCalledWith('example.com', now + 5 * 60 * 1000);
+    expect(be.addDisabledDomain).not.toHaveBeenCalled();
+    const { addRules } = chrome.declarativeNetRequest.updateSessionRules.mock.calls[0][0];
+    expect(addRules[0].condition.initiatorDomains).toEqual(['example.com', 'example.org']);
+    expect(addRules.map(rule => rule.id)).toEqual([
+      EXTENSION_CONFIG.SESSION_RULE_IDS.TEMPORARY_PAUSES.FIRST,
+      EXTENSION_CONFIG.SESSION_RULE_IDS.TEMPORARY_PAUSES.FIRST + 1,
+    ]);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(EXTENSION_CONFIG.ALARMS.PAUSE_EXPIRY, { when: now + 5 * 60 * 1000 });
+
+    await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'example.org', isPaused: true, duration: 'session',
+    });
+    expect(be.addTemporaryPause).toHaveBeenLastCalledWith('example.org', null);
+  });
+
+  test('toggleDomainState rejects invalid pause durations', async () => {
+    for (const duration of [0, 1.5, EXTENSION_CONFIG.LIMITS.MAX_PAUSE_MINUTES + 1, 'forever']) {
+      const resp = await invokeMessage(messageHandler, {
+        command: 'toggleDomainState', domain: 'example.com', isPaused: true, duration,
+      });
+      expect(resp).toEqual({ error: 'Invalid pause duration' });
+    }
+  });
+
+  test('the expiry alarm removes expired pauses and reverts the tabs', async () => {
+    chrome.tabs.query.mockResolvedValue([{ id: 5, url: 'https://www.example.com/', active: false }]);
+    chrome.tabs.sendMessage.mockResolvedValue(undefined);
+    chrome.declarativeNetRequest.getSessionRules.mockResolvedValue([
+      { id: 1, priority: 200, action: { type: 'allow' }, condition: { initiatorDomains: ['example.com'] } },
+    ]);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'removeExpiredTemporaryPauses').mockResolvedValue([{ entry: 'example.com', expiresAt: 1 }]);
+    jest.spyOn(be, 'getTemporaryPauses').mockResolvedValue([]);
+    jest.spyOn(be, 'getPause').mockResolvedValue(null);
+
+    await onAlarmHandler({ name: EXTENSION_CONFIG.ALARMS.PAUSE_EXPIRY });
+
+    expect(chrome.declarativeNetRequest.updateSessionRules).toHaveBeenCalledWith({ removeRuleIds: [1], addRules: [] });
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(EXTENSION_CONFIG.ALARMS.PAUSE_EXPIRY);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(5, {
+      command: 'updatePauseState', isPaused: false, pausedBy: null, isTemporaryPause: false, pauseExpiresAt: null, isTabPause: false,
+    });
+  });
+
+  test('toggleDomainState pauses a single tab with a tabIds session rule', async () => {
+    chrome.tabs.get.mockResolvedValue({ id: 21, url: 'https://example.com/ads-test' });
+    chrome.tabs.query.mockResolvedValue([]);
+    chrome.tabs.sendMessage.mockResolvedValue(undefined);
+    chrome.declarativeNetRequest.getSessionRules.mockResolvedValue([]);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain');
+    jest.spyOn(be, 'getPause').mockResolvedValue(null);
+
+    const resp = await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'example.com', isPaused: true, scope: 'tab', tabId: 21,
+    });
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(resp).toEqual({ success: true });
+    expect(be.addDisabledDomain).not.toHaveBeenCalled();
+    const { addRules } = chrome.declarativeNetRequest.updateSessionRules.mock.calls[0][0];
+    expect(addRules).toEqual([expect.objectContaining({
+      id: EXTENSION_CONFIG.SESSION_RULE_IDS.TAB_PAUSES.FIRST,
+      action: { type: 'allow' },
+      condition: expect.objectContaining({ tabIds: [21] }),
+    })]);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(21, expect.objectContaining({ isPaused: true, isTabPause: true }));
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: 'TAB', tabId: 21 });
+    expect(chrome.tabs.reload).toHaveBeenCalledWith(21);
+
+    const tabState = await invokeMessage(messageHandler, { command: 'getState' }, { tab: { id: 21, url: 'https://example.com/' } });
+    expect(tabState).toEqual(expect.objectContaining({ isPaused: true, isTabPause: true }));
+
+    // Closing the tab removes its rule
+    chrome.declarativeNetRequest.getSessionRules.mockResolvedValue(addRules);
+    chrome.declarativeNetRequest.updateSessionRules.mockClear();
+    await onRemovedHandler(21);
+    expect(chrome.declarativeNetRequest.updateSessionRules).toHaveBeenCalledWith({
+      removeRuleIds: [EXTENSION_CONFIG.SESSION_RULE_IDS.TAB_PAUSES.FIRST],
+      addRules: [],
+    });
+  });
+
+  test('toggleDomainState requires a tab id for the tab scope', async () => {
+    const resp = await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'example.com', isPaused: true, scope: 'tab',
+    });
+    expect(resp).toEqual({ error: 'Invalid tab id' });
+  });
+
+  test('toggleDomainState resumes every pause covering the domain', async () => {
+    chrome.tabs.query.mockResolvedValue([]);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'removeCoveringDisabledDomains').mockResolvedValue(['example.co.uk']);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue([]);
+
+    await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'www.example.co.uk', isPaused: false });
+    expect(be.removeCoveringDisabledDomains).toHaveBeenCalledWith('www.example.co.uk', null);
+
+    await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'www.example.co.uk', isPaused: false, scope: 'site',
+    });
+    expect(be.removeCoveringDisabledDomains).toHaveBeenLastCalledWith('www.example.co.uk', 'example.co.uk');
+  });
+
+  test('toggleDomainState rejects unknown scopes', async () => {
+    const resp = await invokeMessage(messageHandler, {
+      command: 'toggleDomainState', domain: 'example.com', isPaused: true, scope: 'everything',
+    });
+    expect(resp.error).toMatch(/scope/i);
+  });
+
   test('toggleDomainState returns error on DNR failure', async () => {
     chrome.tabs.query.mockResolvedValue([{ id: 1, url: 'https://example.com' }]);
     chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
@@ -101,11 +334,8 @@ describe('Background service worker', () => {
     expect(resp.error).toMatch(/dnr failed/i);
   });
 
-  test('updateDynamicRules diffing: remove wrong RT and add new with minimal free IDs', async () => {
-    // Disabled domains stored: a.com, b.com
-    chrome.storage.local.get.mockResolvedValue({ disabledDomains: ['a.com', 'b.com'] });
-
-    // Existing dynamic rules: id 1 for a.com with wrong resourceTypes (includes main_frame), id 3 for c.com
+  test('updateDynamicRules diffing: replaces legacy per-domain rules with grouped rules', async () => {
+    // Legacy rules: id 1 for a.com with wrong resourceTypes, id 3 for c.com; id 5000 is outside the allowlist range
     chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
       {
         id: 1,
@@ -119,33 +349,237 @@ describe('Background service worker', () => {
         action: { type: 'allow' },
         condition: { initiatorDomains: ['c.com'], resourceTypes: ['script'] },
       },
+      {
+        id: 5000,
+        priority: 100,
+        action: { type: 'block' },
+        condition: { urlFilter: '||ads.example^' },
+      },
     ]);
-
-    // Next DNR update should remove id 1 and add a.com with id 2, and b.com with id 4
     chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
 
-    // Trigger by toggling domain (message handler calls updateDynamicRules internally)
     const be = blockerEngineModule.blockerEngine;
     jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
-    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['a.com', 'b.com']);
-
-    // Clear call history to isolate
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['b.com', 'a.com']);
     chrome.declarativeNetRequest.updateDynamicRules.mockClear();
 
     await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'b.com', isPaused: true });
 
     expect(chrome.declarativeNetRequest.updateDynamicRules).toHaveBeenCalledTimes(1);
     const args = chrome.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
-    expect(args.removeRuleIds).toContain(1);
-    const addedDomains = args.addRules.map(r => ({ id: r.id, d: r.condition.initiatorDomains[0], rt: r.condition.resourceTypes }));
-    // Ensure a.com and b.com are added with resourceTypes not containing main_frame
-    const allRT = new Set(addedDomains.flatMap(r => r.rt));
-    expect(allRT.has('main_frame')).toBe(false);
-    const ids = addedDomains.map(r => r.id).sort((a,b) => a-b);
-    // Expect minimal free ids 2 and 4 given used 1 and 3
-    expect(ids.length).toBe(2);
-    expect(ids[0]).toBe(2);
-    expect(ids[1]).toBeGreaterThan(2);
+    expect(args.removeRuleIds.sort()).toEqual([1, 3]);
+    expect(args.addRules).toHaveLength(2);
+
+    const [pageRule, navigationRule] = args.addRules;
+    expect(pageRule.condition.initiatorDomains).toEqual(['a.com', 'b.com']);
+    expect(pageRule.condition.resourceTypes).not.toContain('main_frame');
+    expect(navigationRule.condition).toEqual({ requestDomains: ['a.com', 'b.com'], resourceTypes: ['main_frame'] });
+    // Freed IDs are reused, and the rule outside the range is untouched
+    expect(args.addRules.map(r => r.id).sort()).toEqual([1, 2]);
+  });
+
+  test('updateDynamicRules keeps unchanged groups', async () => {
+    const domains = ['a.com', 'b.com'];
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+      {
+        id: 7,
+        priority: 200,
+        action: { type: 'allow' },
+        condition: { requestDomains: ['b.com', 'a.com'], resourceTypes: ['main_frame'] },
+      },
+    ]);
+    chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(domains);
+    chrome.declarativeNetRequest.updateDynamicRules.mockClear();
+
+    await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'b.com', isPaused: true });
+
+    const args = chrome.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+    expect(args.removeRuleIds).toEqual([]);
+    expect(args.addRules).toHaveLength(1);
+    expect(args.addRules[0].condition.initiatorDomains).toEqual(domains);
+  });
+
+  test('overlapping toggles update the dynamic rules one after another', async () => {
+    chrome.tabs.query.mockResolvedValue([]);
+    let disabledDomains = [];
+    let dynamicRules = [];
+    let releaseFirstUpdate;
+    const firstUpdateHeld = new Promise((resolve) => {
+      chrome.declarativeNetRequest.updateDynamicRules.mockImplementationOnce(async ({ removeRuleIds, addRules }) => {
+        resolve();
+        await new Promise((release) => { releaseFirstUpdate = release; });
+        dynamicRules = dynamicRules.filter((rule) => !removeRuleIds.includes(rule.id)).concat(addRules);
+      });
+    });
+    chrome.declarativeNetRequest.updateDynamicRules.mockImplementation(async ({ removeRuleIds, addRules }) => {
+      dynamicRules = dynamicRules.filter((rule) => !removeRuleIds.includes(rule.id)).concat(addRules);
+    });
+    chrome.declarativeNetRequest.getDynamicRules.mockImplementation(async () => dynamicRules);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockImplementation(async (domain) => { disabledDomains = [...disabledDomains, domain]; });
+    jest.spyOn(be, 'getDisabledDomains').mockImplementation(async () => disabledDomains);
+
+    const first = invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'a.com', isPaused: true });
+    await firstUpdateHeld;
+    // The second toggle arrives while the first one is still writing its rules
+    const second = invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'b.com', isPaused: true });
+    await jest.advanceTimersByTimeAsync(0);
+    releaseFirstUpdate();
+
+    expect(await first).toEqual({ success: true });
+    expect(await second).toEqual({ success: true });
+    expect(dynamicRules.flatMap((rule) => rule.condition.initiatorDomains ?? [])).toEqual(['a.com', 'b.com']);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
+  });
+
+  test('updateDynamicRules packs thousands of domains into a few rules', async () => {
+    const domains = Array.from({ length: 2500 }, (_, i) => `site${i}.example.com`);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    chrome.declarativeNetRequest.updateDynamicRules.mockResolvedValue(undefined);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(domains);
+    chrome.declarativeNetRequest.updateDynamicRules.mockClear();
+
+    await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'site1.example.com', isPaused: true });
+
+    const args = chrome.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+    expect(args.addRules).toHaveLength(6);
+    const paused = args.addRules.flatMap(r => r.condition.initiatorDomains || []);
+    expect(new Set(paused).size).toBe(2500);
+  });
+
+  test('toggleDomainState reports an explicit error when the allowlist limit is reached', async () => {
+    const { ALLOWLIST } = EXTENSION_CONFIG.DYNAMIC_RULE_IDS;
+    const { MAX_DOMAINS_PER_DYNAMIC_RULE } = EXTENSION_CONFIG.LIMITS;
+    const maxDomains = Math.floor((ALLOWLIST.LAST - ALLOWLIST.FIRST + 1) / 2) * MAX_DOMAINS_PER_DYNAMIC_RULE;
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'addDisabledDomain').mockResolvedValue(undefined);
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(Array.from({ length: maxDomains }, (_, i) => `s${i}.com`));
+
+    const resp = await invokeMessage(messageHandler, { command: 'toggleDomainState', domain: 'new.com', isPaused: true });
+
+    expect(resp.error).toMatch(/Allowlist limit reached/);
+    expect(be.addDisabledDomain).not.toHaveBeenCalled();
+  });
+
+  test('setBlockingEnabled suspends all blocking and restores it', async () => {
+    chrome.tabs.query.mockResolvedValue([{ id: 11, url: 'https://example.com/' }, { id: 12, url: 'chrome://newtab/' }]);
+    chrome.tabs.get.mockImplementation(async (id) => ({ id, url: id === 11 ? 'https://example.com/' : 'chrome://newtab/' }));
+    chrome.declarativeNetRequest.getEnabledRulesets.mockResolvedValue(['pagy_ruleset_optimized']);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+      { id: 1, priority: 200, action: { type: 'allow' }, condition: { initiatorDomains: ['paused.com'] } },
+      { id: 1001, priority: 100, action: { type: 'block' }, condition: { urlFilter: '||custom^' } },
+      { id: 9000, priority: 100, action: { type: 'block' }, condition: { urlFilter: '||other^' } },
+    ]);
+
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['paused.com']);
+    jest.spyOn(be, 'getTemporaryPauses').mockResolvedValue([]);
+    jest.spyOn(be, 'setBlockingEnabled').mockResolvedValue(undefined);
+
+    const off = await invokeMessage(messageHandler, { command: 'setBlockingEnabled', enabled: false }, popupPage);
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(off).toEqual({ success: true, blockingEnabled: false });
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).toHaveBeenCalledWith({ disableRulesetIds: ['pagy_ruleset_optimized'] });
+    expect(be.setBlockingEnabled).toHaveBeenCalledWith(false);
+    // Only the allowlist and custom rule ranges are emptied
+    expect(chrome.declarativeNetRequest.updateDynamicRules).toHaveBeenCalledWith({ removeRuleIds: [1], addRules: [] });
+    expect(chrome.declarativeNetRequest.updateDynamicRules).toHaveBeenCalledWith({ removeRuleIds: [1001], addRules: [] });
+    expect(chrome.declarativeNetRequest.updateDynamicRules).toHaveBeenCalledTimes(2);
+    // Every tab shows the disabled icon, including tabs without a website
+    expect(chrome.action.setIcon).toHaveBeenCalledWith({ path: EXTENSION_CONFIG.ICONS.DISABLED, tabId: 11 });
+    expect(chrome.action.setIcon).toHaveBeenCalledWith({ path: EXTENSION_CONFIG.ICONS.DISABLED, tabId: 12 });
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: 'OFF', tabId: 12 });
+
+    const popup = await invokeMessage(messageHandler, { command: 'getPopupData' });
+    expect(popup.blockingEnabled).toBe(false);
+
+    jest.clearAllMocks();
+    chrome.declarativeNetRequest.getEnabledRulesets.mockResolvedValue([]);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    const on = await invokeMessage(messageHandler, { command: 'setBlockingEnabled', enabled: true }, popupPage);
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(on).toEqual({ success: true, blockingEnabled: true });
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).toHaveBeenCalledWith({
+      enableRulesetIds: ['pagy_ruleset_optimized'],
+      disableRulesetIds: [],
+    });
+    expect(chrome.declarativeNetRequest.updateDynamicRules.mock.calls[0][0].addRules).toHaveLength(2);
+    expect(chrome.action.setIcon).toHaveBeenCalledWith({ path: EXTENSION_CONFIG.ICONS.DEFAULT, tabId: 11 });
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '', tabId: 12 });
+  });
+
+  test('setBlockingEnabled is refused from content scripts', async () => {
+    const be = blockerEngineModule.blockerEngine;
+    jest.spyOn(be, 'setBlockingEnabled').mockResolvedValue(undefined);
+    const sender = { id: 'test-extension-id', url: 'https://evil.example/', tab: { id: 3, url: 'https://evil.example/' } };
+
+    const resp = await invokeMessage(messageHandler, { command: 'setBlockingEnabled', enabled: false }, sender);
+
+    expect(resp.error).toMatch(/Untrusted/);
+    expect(be.setBlockingEnabled).not.toHaveBeenCalled();
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).not.toHaveBeenCalled();
+  });
+
+  test('setFilterListEnabled toggles the ruleset and returns the updated lists', async () => {
+    const { filterListManager } = await import('../core/filter-lists.js');
+    jest.spyOn(filterListManager, 'setFilterListEnabled').mockResolvedValue(undefined);
+    jest.spyOn(filterListManager, 'getFilterLists').mockResolvedValue([
+      { id: 'pagy_ruleset_trackers', title: 'Tracker', enabled: true, path: 'filter_lists/t.json' },
+    ]);
+
+    const resp = await invokeMessage(messageHandler, { command: 'setFilterListEnabled', id: 'pagy_ruleset_trackers', enabled: true }, popupPage);
+
+    expect(filterListManager.setFilterListEnabled).toHaveBeenCalledWith('pagy_ruleset_trackers', true);
+    expect(resp.success).toBe(true);
+    expect(resp.filterLists).toHaveLength(1);
+  });
+
+  test('setFilterListEnabled is refused from content scripts', async () => {
+    const { filterListManager } = await import('../core/filter-lists.js');
+    jest.spyOn(filterListManager, 'setFilterListEnabled').mockResolvedValue(undefined);
+    const sender = { id: 'test-extension-id', url: 'https://evil.example/', tab: { id: 3, url: 'https://evil.example/' } };
+
+    const resp = await invokeMessage(messageHandler, { command: 'setFilterListEnabled', id: 'pagy_ruleset_trackers', enabled: false }, sender);
+
+    expect(resp.error).toMatch(/Untrusted/);
+    expect(filterListManager.setFilterListEnabled).not.toHaveBeenCalled();
+  });
+
+  test('setFilterListEnabled rejects malformed list ids', async () => {
+    const resp = await invokeMessage(messageHandler, { command: 'setFilterListEnabled', id: '../evil', enabled: true }, popupPage);
+    expect(resp.error).toMatch(/Invalid filter list id/);
+  });
+
+  test('getMatchedRules annotates matches of the active tab with their source lines', async () => {
+    const { ruleProvenance } = await import('../core/rule-provenance.js');
+    chrome.tabs.query.mockResolvedValue([{ id: 7, url: 'https://example.com' }]);
+    chrome.declarativeNetRequest.getMatchedRules.mockResolvedValue({
+      rulesMatchedInfo: [{ rule: { ruleId: 10, rulesetId: 'pagy_ruleset_optimized' }, timeStamp: 1 }],
+    });
+    jest.spyOn(ruleProvenance, 'lookup').mockResolvedValue({
+      rulesetId: 'pagy_ruleset_optimized',
+      ruleId: 10,
+      list: 'filter_optimized.txt',
+      line: 10,
+      text: '||adnxs.com^',
+    });
+
+    const resp = await invokeMessage(messageHandler, { command: 'getMatchedRules' });
+
+    expect(chrome.declarativeNetRequest.getMatchedRules).toHaveBeenCalledWith({ tabId: 7 });
+    expect(resp.matchedRules[0].description).toBe('"||adnxs.com^" (filter_optimized.txt:10)');
   });
 
   test('Icon/badge updates are debounced and cached to avoid redundant updates', async () => {
@@ -176,4 +610,247 @@ describe('Background service worker', () => {
     await Promise.resolve();
     expect(chrome.action.setIcon).toHaveBeenCalledTimes(1);
   });
+
+  test('browser startup shares the one initialization, which ends "until restart" pauses', async () => {
+    // The session storage mock starts empty, like a new browser session
+    expect(startupPauseCleanups).toEqual([{ includeSession: true }]);
+    const removeExpiredSpy = jest.spyOn(blockerEngineModule.blockerEngine, 'removeExpiredTemporaryPauses');
+
+    await onStartupHandler();
+
+    expect(removeExpiredSpy).not.toHaveBeenCalled();
+    expect(chrome.declarativeNetRequest.updateSessionRules).not.toHaveBeenCalled();
+    removeExpiredSpy.mockRestore();
+  });
+
+  test('packed builds leave the blocked-request badge to Chrome', async () => {
+    chrome.tabs.get.mockResolvedValue({ id: 78, url: 'https://counted.com' });
+    jest.spyOn(blockerEngineModule.blockerEngine, 'getPause').mockResolvedValue(null);
+
+    onUpdatedHandler(78, { status: 'loading' }, {});
+    onUpdatedHandler(78, { status: 'complete' }, {});
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(actionOptions).toEqual([{ displayActionCountAsBadgeText: true }]);
+    // Clearing the tab's text lets Chrome's action count show through
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: null, tabId: 78 });
+    expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: [40, 100, 200, 255], tabId: 78 });
+    expect(chrome.declarativeNetRequest.getMatchedRules).not.toHaveBeenCalled();
+
+    await onRemovedHandler(78);
+  });
+
+  test('live builds show their own blocked-request count and reset it on navigation', async () => {
+    chrome.tabs.get.mockResolvedValue({ id: 79, url: 'https://counted.com' });
+    jest.spyOn(blockerEngineModule.blockerEngine, 'getPause').mockResolvedValue(null);
+    jest.spyOn(blockedRequestCounter, 'supportsLiveMatches').mockReturnValue(true);
+    jest.spyOn(blockedRequestCounter, 'isBlockingMatch').mockImplementation(async (rule) => rule.ruleId !== 3);
+    const match = (ruleId) => ({ rule: { ruleId, rulesetId: 'pagy_ruleset_optimized' }, request: { tabId: 79 } });
+
+    onUpdatedHandler(79, { status: 'loading' }, {});
+    for (const ruleId of [1, 2, 3]) {
+      await blockedRequestCounter.recordMatch(match(ruleId));
+    }
+    onUpdatedHandler(79, { status: 'complete' }, {});
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ text: '2', tabId: 79 });
+    expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: [40, 100, 200, 255], tabId: 79 });
+    expect(chrome.declarativeNetRequest.getMatchedRules).not.toHaveBeenCalled();
+
+    // The next page starts from zero
+    onUpdatedHandler(79, { status: 'loading', url: 'https://counted.com/next' }, {});
+    await jest.advanceTimersByTimeAsync(200);
+    expect(blockedRequestCounter.getCount(79)).toBe(0);
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '', tabId: 79 });
+
+    await onRemovedHandler(79);
+    expect(blockedRequestCounter.getCount(79)).toBeNull();
+    blockedRequestCounter.supportsLiveMatches.mockRestore();
+    blockedRequestCounter.isBlockingMatch.mockRestore();
+  });
+
+  test('packed builds sweep rule matches into the statistics once each', async () => {
+    const { STATS_SWEEP } = EXTENSION_CONFIG.ALARMS;
+    const sessionKey = EXTENSION_CONFIG.STORAGE_KEYS.MATCHES_COUNTED_UNTIL;
+    // The test environment has no onRuleMatchedDebug, like a packed build
+    expect(blockedRequestCounter.supportsLiveMatches()).toBe(false);
+
+    let session = {};
+    chrome.storage.session.get.mockImplementation(async () => session);
+    chrome.storage.session.set.mockImplementation(async (items) => { session = { ...session, ...items }; });
+    chrome.tabs.get.mockImplementation(async (id) => ({ id, url: id === 21 ? 'https://www.news.example/' : 'https://shop.example/' }));
+    const recordSpy = jest.spyOn(blockingStats, 'record').mockImplementation(() => {});
+    jest.spyOn(blockedRequestCounter, 'isBlockingMatch').mockImplementation(async (rule) => rule.ruleId !== 3);
+    jest.spyOn(blockedRequestCounter, 'getMatchedDomain').mockImplementation(async (rule) =>
+      ({ 1: 'cdn.ads.example', 2: null })[rule.ruleId] ?? null);
+    const rule = (ruleId) => ({ ruleId, rulesetId: 'pagy_ruleset_optimized' });
+    chrome.declarativeNetRequest.getMatchedRules.mockResolvedValue({
+      rulesMatchedInfo: [
+        { rule: rule(1), tabId: 21, timeStamp: 1000 },
+        { rule: rule(2), tabId: 22, timeStamp: 1001 },
+        { rule: rule(3), tabId: 21, timeStamp: 1002 },
+        { rule: rule(1), tabId: -1, timeStamp: 1003 },
+      ],
+    });
+
+    await onAlarmHandler({ name: STATS_SWEEP });
+
+    expect(chrome.declarativeNetRequest.getMatchedRules).toHaveBeenCalledWith({});
+    expect(recordSpy.mock.calls.map(([entry]) => entry)).toEqual([
+      { site: 'news.example', domain: 'ads.example', now: 1000 },
+      { site: 'shop.example', domain: null, now: 1001 },
+    ]);
+    expect(session[sessionKey]).toBe(1003);
+
+    // The next sweep only counts newer matches
+    recordSpy.mockClear();
+    chrome.declarativeNetRequest.getMatchedRules.mockResolvedValue({
+      rulesMatchedInfo: [
+        { rule: rule(1), tabId: 21, timeStamp: 1003 },
+        { rule: rule(1), tabId: 21, timeStamp: 2000 },
+      ],
+    });
+    await onAlarmHandler({ name: STATS_SWEEP });
+
+    expect(chrome.declarativeNetRequest.getMatchedRules).toHaveBeenLastCalledWith({ minTimeStamp: 1003 });
+    expect(recordSpy).toHaveBeenCalledTimes(1);
+    expect(recordSpy).toHaveBeenCalledWith({ site: 'news.example', domain: 'ads.example', now: 2000 });
+    expect(session[sessionKey]).toBe(2000);
+
+    blockedRequestCounter.isBlockingMatch.mockRestore();
+    blockedRequestCounter.getMatchedDomain.mockRestore();
+    recordSpy.mockRestore();
+  });
+
+  describe('dashboard commands', () => {
+    const optionsPage = {
+      id: 'test-extension-id',
+      url: 'chrome-extension://test-extension-id/options/options.html',
+      tab: { id: 5, url: 'chrome-extension://test-extension-id/options/options.html' },
+    };
+
+    test('are refused from content scripts', async () => {
+      const sender = { id: 'test-extension-id', url: 'https://evil.example/', tab: { id: 3, url: 'https://evil.example/' } };
+      const resp = await invokeMessage(messageHandler, { command: 'editDisabledDomains', add: ['evil.example'] }, sender);
+      expect(resp.error).toMatch(/Untrusted/);
+    });
+
+    test('getDashboardData returns allowlist, lists, custom rules, stats history and log level', async () => {
+      const be = blockerEngineModule.blockerEngine;
+      jest.spyOn(be, 'getDisabledDomains').mockResolvedValue(['a.com', '*.corp.example']);
+      jest.spyOn(be, 'getTemporaryPauses').mockResolvedValue([{ entry: 'b.com', expiresAt: null }]);
+      jest.spyOn(blockingStats, 'getSummary').mockResolvedValue({ today: 1, last7Days: 2, allTime: 3, since: '2026-01-01', topSites: [], topDomains: [] });
+      jest.spyOn(blockingStats, 'getHistory').mockResolvedValue([{ day: '2026-01-01', total: 3 }]);
+      jest.spyOn(customRulesManager, 'getText').mockResolvedValue('||ads.example^');
+
+      const resp = await invokeMessage(messageHandler, { command: 'getDashboardData' }, optionsPage);
+
+      expect(resp.disabledDomains).toEqual(['a.com', '*.corp.example']);
+      expect(resp.temporaryPauses).toEqual([{ entry: 'b.com', expiresAt: null }]);
+      expect(resp.customRules).toBe('||ads.example^');
+      expect(resp.stats).toMatchObject({ today: 1, allTime: 3, history: [{ day: '2026-01-01', total: 3 }] });
+      // Like a packed build, the test environment cannot attribute packed rules to a domain
+      expect(resp.stats.blockedDomainsComplete).toBe(false);
+      expect(resp.logLevel).toBe(1); // WARN by default
+      expect(Array.isArray(resp.filterLists)).toBe(true);
+      blockingStats.getSummary.mockRestore();
+      blockingStats.getHistory.mockRestore();
+      customRulesManager.getText.mockRestore();
+    });
+
+    test('editDisabledDomains adds and removes entries and syncs the allow rules', async () => {
+      chrome.tabs.query.mockResolvedValue([]);
+      const be = blockerEngineModule.blockerEngine;
+      let stored = ['old.com', 'keep.com'];
+      jest.spyOn(be, 'getDisabledDomains').mockImplementation(async () => stored);
+      jest.spyOn(be, 'getTemporaryPauses').mockResolvedValue([]);
+      jest.spyOn(be, 'addDisabledDomain').mockImplementation(async (entry) => { stored = [...stored, entry]; });
+      jest.spyOn(be, 'removeDisabledDomain').mockImplementation(async (entry) => { stored = stored.filter(d => d !== entry); });
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+
+      const resp = await invokeMessage(messageHandler, { command: 'editDisabledDomains', add: ['müller.de'], remove: ['old.com'] }, optionsPage);
+
+      expect(resp).toEqual({ success: true, disabledDomains: ['keep.com', 'müller.de'] });
+      expect(be.removeDisabledDomain).toHaveBeenCalledWith('old.com');
+      expect(be.addDisabledDomain).toHaveBeenCalledWith('müller.de');
+      expect(chrome.declarativeNetRequest.updateDynamicRules).toHaveBeenCalled();
+    });
+
+    test('editDisabledDomains rejects invalid entries without changing anything', async () => {
+      const be = blockerEngineModule.blockerEngine;
+      jest.spyOn(be, 'addDisabledDomain');
+
+      const resp = await invokeMessage(messageHandler, { command: 'editDisabledDomains', add: ['ok.com', 'not a domain'] }, optionsPage);
+      expect(resp.error).toMatch(/Invalid domain/);
+      const notArray = await invokeMessage(messageHandler, { command: 'editDisabledDomains', add: 'ok.com' }, optionsPage);
+      expect(notArray.error).toMatch(/Invalid domain list/);
+      expect(be.addDisabledDomain).not.toHaveBeenCalled();
+    });
+
+    test('setCustomRules stores the text and installs the rules in their ID range', async () => {
+      const text = '||ads.example^\nexample.com##.banner\n@@||ads.example^$script';
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      jest.spyOn(customRulesManager, 'getText').mockResolvedValue(text);
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        { id: 1, priority: 200, action: { type: 'allow' }, condition: { initiatorDomains: ['paused.com'] } },
+        { id: 1001, priority: 100, action: { type: 'block' }, condition: { urlFilter: '||outdated^' } },
+      ]);
+
+      const resp = await invokeMessage(messageHandler, { command: 'setCustomRules', text }, optionsPage);
+
+      expect(resp).toEqual({
+        success: true,
+        customRules: text,
+        customRuleErrors: [{ line: 2, text: 'example.com##.banner', message: 'Cosmetic filters are not supported' }],
+      });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ customRules: text });
+      const { removeRuleIds, addRules } = chrome.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(removeRuleIds).toEqual([1001]);
+      expect(addRules.map(rule => [rule.id, rule.action.type])).toEqual([[1001, 'block'], [1002, 'allow']]);
+      expect(addRules[0].condition.requestDomains).toEqual(['ads.example']);
+      customRulesManager.getText.mockRestore();
+    });
+
+    test('setCustomRules never assigns IDs beyond the reserved range', async () => {
+      const text = '||kept.example^\n||new.example^';
+      const { FIRST, LAST } = EXTENSION_CONFIG.DYNAMIC_RULE_IDS.CUSTOM_RULES;
+      const [kept] = compileCustomRules(text).rules;
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      jest.spyOn(customRulesManager, 'getText').mockResolvedValue(text);
+      // Copies of one rule occupy the whole range; only one of them can be kept
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue(
+        Array.from({ length: LAST - FIRST + 1 }, (_, i) => ({ ...kept, id: FIRST + i })));
+
+      const resp = await invokeMessage(messageHandler, { command: 'setCustomRules', text }, optionsPage);
+
+      expect(resp).toEqual({ error: `No free rule ID left in the reserved range ${FIRST}-${LAST}` });
+      expect(chrome.declarativeNetRequest.updateDynamicRules).not.toHaveBeenCalled();
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+      customRulesManager.getText.mockRestore();
+    });
+
+    test('getDashboardData reports the custom rule lines that were skipped', async () => {
+      jest.spyOn(customRulesManager, 'getText').mockResolvedValue('||ads.example^\n||x.example^$popup');
+
+      const resp = await invokeMessage(messageHandler, { command: 'getDashboardData' }, optionsPage);
+
+      expect(resp.customRuleErrors).toEqual([
+        { line: 2, text: '||x.example^$popup', message: 'Option $popup is not supported by declarativeNetRequest' },
+      ]);
+      customRulesManager.getText.mockRestore();
+    });
+
+    test('setLogLevel stores valid levels and rejects others', async () => {
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      const resp = await invokeMessage(messageHandler, { command: 'setLogLevel', level: 3 }, optionsPage);
+      expect(resp).toEqual({ success: true, logLevel: 3 });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ logLevel: 3 });
+
+      const invalid = await invokeMessage(messageHandler, { command: 'setLogLevel', level: 9 }, optionsPage);
+      expect(invalid.error).toMatch(/Invalid log level/);
+
+      await invokeMessage(messageHandler, { command: 'setLogLevel', level: 1 }, optionsPage);
+    });
+  });
 });
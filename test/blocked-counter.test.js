@@ -0,0 +1,126 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { BlockedRequestCounter, formatBadgeCount, isBlockingRule, getBlockedDomain } from '../core/blocked-counter.js';
+import { filterListManager } from '../core/filter-lists.js';
+
+const RULESET = [
+  { id: 1, action: { type: 'block' }, condition: { urlFilter: '||ads.example^' } },
+  { id: 5, action: { type: 'block' }, condition: { requestDomains: ['a.example', 'b.example'] } },
+  { id: 2, action: { type: 'redirect', redirect: { extensionPath: '/resources/gtm.js' } }, condition: {} },
+  { id: 3, action: { type: 'redirect', redirect: { transform: { queryTransform: { removeParams: ['utm_source'] } } } }, condition: {} },
+  { id: 4, action: { type: 'allow' }, condition: {} },
+];
+
+const match = (ruleId, tabId = 5, rulesetId = 'pagy_ruleset_optimized') => ({
+  rule: { ruleId, rulesetId },
+  request: { tabId, url: 'https://ads.example/x.js' },
+});
+
+describe('BlockedRequestCounter', () => {
+  let counter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counter = new BlockedRequestCounter();
+    jest.spyOn(filterListManager, 'loadListConfig').mockResolvedValue([
+      { id: 'pagy_ruleset_optimized', path: 'filter_lists/filter_precompiled.json' },
+    ]);
+    global.fetch.mockResolvedValue({ ok: true, json: async () => RULESET });
+  });
+
+  test('formatBadgeCount hides zero and caps large counts', () => {
+    expect(formatBadgeCount(0)).toBe('');
+    expect(formatBadgeCount(null)).toBe('');
+    expect(formatBadgeCount(42)).toBe('42');
+    expect(formatBadgeCount(1000)).toBe('999+');
+  });
+
+  test('isBlockingRule counts blocks and surrogate redirects only', () => {
+    expect(RULESET.map(isBlockingRule)).toEqual([true, true, true, false, false]);
+  });
+
+  test('getBlockedDomain reads the blocked domain from the rule condition', () => {
+    expect(getBlockedDomain({ condition: { requestDomains: ['tracker.example'] } })).toBe('tracker.example');
+    expect(getBlockedDomain({ condition: { urlFilter: '||cdn.ads.example/banner^' } })).toBe('cdn.ads.example');
+    // Packed rules, path patterns and regex rules do not name one domain
+    expect(getBlockedDomain({ condition: { requestDomains: ['a.example', 'b.example'] } })).toBeNull();
+    expect(getBlockedDomain({ condition: { urlFilter: '/banner/*' } })).toBeNull();
+    expect(getBlockedDomain({ condition: { regexFilter: 'ads[0-9]' } })).toBeNull();
+  });
+
+  test('getMatchedDomain resolves matched blocking rules of a ruleset', async () => {
+    expect(await counter.getMatchedDomain({ ruleId: 1, rulesetId: 'pagy_ruleset_optimized' })).toBe('ads.example');
+    expect(await counter.getMatchedDomain({ ruleId: 5, rulesetId: 'pagy_ruleset_optimized' })).toBeNull();
+    expect(await counter.getMatchedDomain({ ruleId: 4, rulesetId: 'pagy_ruleset_optimized' })).toBeNull();
+    expect(await counter.getMatchedDomain(null)).toBeNull();
+  });
+
+  test('recordMatch counts blocking matches per tab', async () => {
+    expect(await counter.recordMatch(match(1))).toBe(5);
+    expect(await counter.recordMatch(match(2))).toBe(5);
+    expect(await counter.recordMatch(match(3))).toBeNull();
+    expect(await counter.recordMatch(match(4))).toBeNull();
+    expect(await counter.recordMatch(match(1, 6))).toBe(6);
+    // Requests outside tabs and the extension's own allow rules are ignored
+    expect(await counter.recordMatch(match(1, -1))).toBeNull();
+    expect(await counter.recordMatch(match(1, 5, '_dynamic'))).toBeNull();
+
+    expect(counter.getCount(5)).toBe(2);
+    expect(counter.getCount(6)).toBe(1);
+    // The ruleset is fetched once
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('counts the blocking custom rules among the dynamic rules', async () => {
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+      { id: 1, action: { type: 'allow' }, condition: {} },
+      { id: 1001, action: { type: 'block' }, condition: {} },
+    ]);
+
+    expect(await counter.recordMatch(match(1, 5, '_dynamic'))).toBeNull();
+    expect(await counter.recordMatch(match(1001, 5, '_dynamic'))).toBe(5);
+    expect(await counter.recordMatch(match(1002, 5, '_dynamic'))).toBeNull();
+
+    // Changed custom rules are picked up once the ruleset is forgotten
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+      { id: 1002, action: { type: 'block' }, condition: {} },
+    ]);
+    counter.forgetRuleset('_dynamic');
+    expect(await counter.recordMatch(match(1002, 5, '_dynamic'))).toBe(5);
+    expect(counter.getCount(5)).toBe(2);
+    chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+  });
+
+  test('resetTab starts from zero and removeTab forgets the tab', async () => {
+    await counter.recordMatch(match(1));
+    counter.resetTab(5, 1000);
+    expect(counter.getCount(5)).toBe(0);
+    counter.removeTab(5);
+    expect(counter.getCount(5)).toBeNull();
+  });
+
+  test('refreshTab reads blocking matches since the last reset', async () => {
+    chrome.declarativeNetRequest.getMatchedRules.mockResolvedValue({
+      rulesMatchedInfo: [match(1), match(2), match(3), match(4)],
+    });
+    counter.resetTab(5, 1000);
+
+    expect(await counter.refreshTab(5)).toBe(2);
+    expect(chrome.declarativeNetRequest.getMatchedRules).toHaveBeenCalledWith({ tabId: 5, minTimeStamp: 1000 });
+    expect(counter.getCount(5)).toBe(2);
+
+    // Tabs that were never reset read all their matches
+    await counter.refreshTab(6);
+    expect(chrome.declarativeNetRequest.getMatchedRules).toHaveBeenLastCalledWith({ tabId: 6 });
+  });
+
+  test('refreshTab keeps the known count when the API fails', async () => {
+    await counter.recordMatch(match(1));
+    chrome.declarativeNetRequest.getMatchedRules.mockRejectedValue(new Error('quota'));
+    expect(await counter.refreshTab(5)).toBe(1);
+  });
+
+  test('unavailable rulesets count nothing', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404 });
+    expect(await counter.isBlockingMatch({ ruleId: 1, rulesetId: 'pagy_ruleset_optimized' })).toBe(false);
+  });
+});
@@ -27,6 +27,122 @@ describe('BlockerEngine', () => {
     chrome.storage.local.set.mockReset();
   });
 
+  describe('Subdomains and sites', () => {
+    test('a disabled parent domain pauses its subdomains', async () => {
+      chrome.storage.local.get.mockResolvedValue({ disabledDomains: ['example.co.uk'] });
+
+      expect(await blockerEngine.getPausingDomain('www.shop.example.co.uk')).toBe('example.co.uk');
+      expect(await blockerEngine.isDomainDisabled('checkout.shop.example.co.uk')).toBe(true);
+      expect(await blockerEngine.isDomainDisabled('other.co.uk')).toBe(false);
+    });
+
+    test('removeCoveringDisabledDomains lifts parent and, for a site, sibling pauses', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        disabledDomains: ['example.co.uk', 'www.shop.example.co.uk', 'checkout.shop.example.co.uk', 'other.com'],
+      });
+
+      const removed = await blockerEngine.removeCoveringDisabledDomains('www.shop.example.co.uk');
+      expect(removed).toEqual(['example.co.uk', 'www.shop.example.co.uk']);
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        disabledDomains: ['checkout.shop.example.co.uk', 'other.com'],
+      });
+
+      const siteEngine = new BlockerEngine();
+      const removedSite = await siteEngine.removeCoveringDisabledDomains('www.shop.example.co.uk', 'example.co.uk');
+      expect(removedSite).toEqual(['example.co.uk', 'www.shop.example.co.uk', 'checkout.shop.example.co.uk']);
+    });
+
+    test('a wildcard entry pauses the domain and all of its subdomains', async () => {
+      chrome.storage.local.get.mockResolvedValue({ disabledDomains: ['*.corp.example'] });
+
+      expect(await blockerEngine.getPausingDomain('corp.example')).toBe('*.corp.example');
+      expect(await blockerEngine.getPausingDomain('wiki.eu.corp.example')).toBe('*.corp.example');
+      expect(await blockerEngine.isDomainDisabled('othercorp.example')).toBe(false);
+    });
+
+    test('addDisabledDomain stores the canonical entry once per domain', async () => {
+      chrome.storage.local.get.mockResolvedValue({ disabledDomains: ['example.com'] });
+
+      await blockerEngine.addDisabledDomain('*.Corp.Example');
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        disabledDomains: ['example.com', '*.corp.example'],
+      });
+
+      chrome.storage.local.set.mockClear();
+      await blockerEngine.addDisabledDomain('*.example.com');
+      await blockerEngine.addDisabledDomain('*.com');
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('removeCoveringDisabledDomains lifts wildcard entries', async () => {
+      chrome.storage.local.get.mockResolvedValue({ disabledDomains: ['*.corp.example', 'other.com'] });
+
+      expect(await blockerEngine.removeCoveringDisabledDomains('wiki.corp.example')).toEqual(['*.corp.example']);
+    });
+
+    test('getSiteDomain returns the registrable domain', () => {
+      expect(blockerEngine.getSiteDomain('www.shop.example.co.uk')).toBe('example.co.uk');
+    });
+  });
+
+  describe('Temporary pauses', () => {
+    test('an active temporary pause pauses the domain and its subdomains', async () => {
+      const expiresAt = Date.now() + 60000;
+      chrome.storage.local.get.mockResolvedValue({
+        disabledDomains: [],
+        temporaryPauses: [{ entry: 'example.com', expiresAt }, { entry: 'old.org', expiresAt: Date.now() - 1 }],
+      });
+
+      expect(await blockerEngine.getPause('www.example.com')).toEqual({ entry: 'example.com', temporary: true, expiresAt });
+      expect(await blockerEngine.isDomainDisabled('old.org')).toBe(false);
+      expect(await blockerEngine.getPausingDomain('www.example.com', { includeTemporary: false })).toBeNull();
+    });
+
+    test('addTemporaryPause replaces the pause of the same domain', async () => {
+      chrome.storage.local.get.mockResolvedValue({ temporaryPauses: [{ entry: 'example.com', expiresAt: 1 }] });
+
+      expect(await blockerEngine.addTemporaryPause('*.Example.com', null)).toEqual({ entry: '*.example.com', expiresAt: null });
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        temporaryPauses: [{ entry: '*.example.com', expiresAt: null }],
+      });
+      expect(await blockerEngine.addTemporaryPause('example.com', 'soon')).toBeNull();
+    });
+
+    test('removeExpiredTemporaryPauses keeps "until restart" pauses unless asked', async () => {
+      const pauses = [{ entry: 'a.com', expiresAt: 100 }, { entry: 'b.com', expiresAt: 300 }, { entry: 'c.com', expiresAt: null }];
+      chrome.storage.local.get.mockResolvedValue({ temporaryPauses: pauses });
+
+      expect(await blockerEngine.removeExpiredTemporaryPauses({ now: 200 })).toEqual([pauses[0]]);
+
+      const startupEngine = new BlockerEngine();
+      expect(await startupEngine.removeExpiredTemporaryPauses({ now: 200, includeSession: true }))
+        .toEqual([pauses[0], pauses[2]]);
+    });
+
+    test('a permanent pause replaces a temporary pause of the same domain', async () => {
+      chrome.storage.local.get.mockResolvedValue({ disabledDomains: [], temporaryPauses: [{ entry: 'example.com', expiresAt: null }] });
+
+      await blockerEngine.addDisabledDomain('example.com');
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ disabledDomains: ['example.com'] });
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({ temporaryPauses: [] });
+    });
+  });
+
+  describe('Kill switch', () => {
+    test('blocking is enabled unless switched off', async () => {
+      chrome.storage.local.get.mockResolvedValue({});
+      expect(await blockerEngine.isBlockingEnabled()).toBe(true);
+
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      await blockerEngine.setBlockingEnabled(false);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ blockingEnabled: false });
+      expect(await new BlockerEngine().isBlockingEnabled()).toBe(true);
+
+      chrome.storage.local.get.mockResolvedValue({ blockingEnabled: false });
+      expect(await new BlockerEngine().isBlockingEnabled()).toBe(false);
+    });
+  });
+
   describe('Race Condition', () => {
     test('should prevent race conditions when adding and checking disabled domains', async () => {
       const domain1 = 'example.com';
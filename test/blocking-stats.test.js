@@ -0,0 +1,131 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { BlockingStats, toDayKey, getRecentDayKeys, pruneStats } from '../core/blocking-stats.js';
+import { EXTENSION_CONFIG } from '../core/config.js';
+
+const KEY = EXTENSION_CONFIG.STORAGE_KEYS.BLOCKING_STATS;
+const NOW = new Date(2026, 2, 10, 12, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('BlockingStats', () => {
+  let stats;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: store[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => { Object.assign(store, data); });
+    chrome.storage.local.remove.mockImplementation(async (key) => { delete store[key]; });
+    stats = new BlockingStats();
+  });
+
+  test('toDayKey and getRecentDayKeys use local calendar days', () => {
+    expect(toDayKey(NOW)).toBe('2026-03-10');
+    expect(getRecentDayKeys(NOW, 3)).toEqual(['2026-03-10', '2026-03-09', '2026-03-08']);
+    expect(getRecentDayKeys(new Date(2026, 0, 1, 8).getTime(), 2)).toEqual(['2026-01-01', '2025-12-31']);
+  });
+
+  test('buffers records and writes them in one storage call', async () => {
+    stats.record({ site: 'news.example', domain: 'ads.net', now: NOW });
+    stats.record({ site: 'news.example', domain: 'tracker.org', count: 2, now: NOW });
+    stats.record({ site: 'shop.example', now: NOW });
+    stats.record({ site: 'shop.example', count: 0, now: NOW });
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+    await stats.flush(NOW);
+
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+    expect(store[KEY]).toEqual({
+      since: '2026-03-10',
+      total: 4,
+      days: {
+        '2026-03-10': {
+          total: 4,
+          sites: { 'news.example': 3, 'shop.example': 1 },
+          domains: { 'ads.net': 1, 'tracker.org': 2 },
+        },
+      },
+    });
+  });
+
+  test('getSummary reports today, the last 7 days, all time and the top entries', async () => {
+    stats.record({ site: 'old.example', domain: 'ads.net', count: 5, now: NOW - 10 * DAY });
+    stats.record({ site: 'week.example', domain: 'ads.net', count: 3, now: NOW - 6 * DAY });
+    stats.record({ site: 'news.example', domain: 'tracker.org', count: 2, now: NOW });
+
+    const summary = await stats.getSummary(NOW);
+
+    expect(summary).toEqual({
+      today: 2,
+      last7Days: 5,
+      allTime: 10,
+      since: toDayKey(NOW - 10 * DAY),
+      topSites: [{ name: 'week.example', count: 3 }, { name: 'news.example', count: 2 }],
+      topDomains: [{ name: 'ads.net', count: 3 }, { name: 'tracker.org', count: 2 }],
+    });
+  });
+
+  test('getHistory returns one total per day of the retention period, oldest first', async () => {
+    stats.record({ count: 2, now: NOW - DAY });
+    stats.record({ count: 5, now: NOW });
+
+    const history = await stats.getHistory(NOW);
+
+    expect(history).toHaveLength(EXTENSION_CONFIG.LIMITS.STATS_RETENTION_DAYS);
+    expect(history.slice(-3)).toEqual([
+      { day: toDayKey(NOW - 2 * DAY), total: 0 },
+      { day: toDayKey(NOW - DAY), total: 2 },
+      { day: '2026-03-10', total: 5 },
+    ]);
+  });
+
+  test('days past the retention period are dropped but stay in the all-time total', async () => {
+    const retention = EXTENSION_CONFIG.LIMITS.STATS_RETENTION_DAYS;
+    stats.record({ site: 'old.example', count: 4, now: NOW - retention * DAY });
+    stats.record({ site: 'new.example', count: 1, now: NOW });
+    await stats.flush(NOW);
+
+    expect(Object.keys(store[KEY].days)).toEqual([toDayKey(NOW)]);
+    expect(store[KEY].total).toBe(5);
+    expect((await stats.getSummary(NOW)).allTime).toBe(5);
+  });
+
+  test('pruneStats keeps only the largest counts per day', () => {
+    const sites = Object.fromEntries(
+      Array.from({ length: EXTENSION_CONFIG.LIMITS.MAX_STATS_ENTRIES_PER_DAY + 5 }, (_, i) => [`s${i}.example`, i + 1])
+    );
+    const pruned = pruneStats({ since: null, total: 0, days: { [toDayKey(NOW)]: { total: 1, sites, domains: {} } } }, NOW);
+    const kept = pruned.days[toDayKey(NOW)].sites;
+
+    expect(Object.keys(kept)).toHaveLength(EXTENSION_CONFIG.LIMITS.MAX_STATS_ENTRIES_PER_DAY);
+    expect(kept).not.toHaveProperty('s0.example');
+  });
+
+  test('keeps the counts for the next write when storage fails', async () => {
+    // StorageManager retries on its own; fail the whole write once
+    jest.spyOn(stats._storage, 'set').mockRejectedValueOnce(new Error('quota'));
+    stats.record({ site: 'news.example', count: 2, now: NOW });
+    await stats.flush(NOW);
+    expect(store[KEY]).toBeUndefined();
+
+    await stats.flush(NOW);
+    expect(store[KEY].total).toBe(2);
+  });
+
+  test('damaged stored data starts over', async () => {
+    store[KEY] = 'garbage';
+    stats.record({ count: 1, now: NOW });
+    expect(await stats.getSummary(NOW)).toMatchObject({ today: 1, allTime: 1 });
+  });
+
+  test('clear removes stored and buffered counts', async () => {
+    stats.record({ count: 3, now: NOW });
+    await stats.flush(NOW);
+    stats.record({ count: 1, now: NOW });
+
+    await stats.clear();
+
+    expect(store[KEY]).toBeUndefined();
+    expect((await stats.getSummary(NOW)).allTime).toBe(0);
+  });
+});
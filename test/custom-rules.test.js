@@ -0,0 +1,75 @@
+import { describe, test, expect } from '@jest/globals';
+import { compileCustomRules } from '../core/custom-rules.js';
+import { buildBlockRule } from '../core/rule-translator.js';
+import { EXTENSION_CONFIG } from '../core/config.js';
+
+describe('compileCustomRules', () => {
+  test('compiles block and exception lines like the filter lists', () => {
+    const { rules, errors } = compileCustomRules([
+      '! My filters',
+      '[Adblock Plus 2.0]',
+      '',
+      '||ads.example.com^',
+      '/banner/*$image',
+      '@@||cdn.example.com^$script',
+      '||tracker.example^$redirect=noop.js',
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(rules).toEqual([
+      buildBlockRule('||ads.example.com^').rule,
+      buildBlockRule('/banner/*$image').rule,
+      expect.objectContaining({ action: { type: 'allow' }, condition: { requestDomains: ['cdn.example.com'], resourceTypes: ['script'] } }),
+      expect.objectContaining({ action: { type: 'redirect', redirect: { extensionPath: '/resources/noop.js' } } }),
+    ]);
+  });
+
+  test('reports every skipped line with its 1-based line number', () => {
+    const { rules, errors } = compileCustomRules([
+      '||ok.example^',
+      'example.com##.ad',
+      '||bad.example^$nonsense',
+      '||popup.example^$popup',
+      '@@||x.example^$elemhide',
+    ].join('\r\n'));
+
+    expect(rules).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 2, text: 'example.com##.ad', message: 'Cosmetic filters are not supported' },
+      { line: 3, text: '||bad.example^$nonsense', message: 'Invalid filter syntax' },
+      { line: 4, text: '||popup.example^$popup', message: 'Option $popup is not supported by declarativeNetRequest' },
+      { line: 5, text: '@@||x.example^$elemhide', message: 'Invalid filter syntax' },
+    ]);
+  });
+
+  test('drops duplicates and merges $removeparam rules with the same condition', () => {
+    const { rules, errors } = compileCustomRules([
+      '||ads.example^',
+      '||ads.example^',
+      '||shop.example^$removeparam=utm_source',
+      '||shop.example^$removeparam=utm_medium',
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(rules).toHaveLength(2);
+    expect(rules[1].action.redirect.transform.queryTransform.removeParams).toEqual(['utm_source', 'utm_medium']);
+  });
+
+  test('stops at the size of the reserved ID range', () => {
+    const { FIRST, LAST } = EXTENSION_CONFIG.DYNAMIC_RULE_IDS.CUSTOM_RULES;
+    const capacity = LAST - FIRST + 1;
+    const lines = Array.from({ length: capacity + 2 }, (_, i) => `||ads${i}.example^`);
+
+    const { rules, errors } = compileCustomRules(lines.join('\n'));
+
+    expect(rules).toHaveLength(capacity);
+    expect(errors.map(error => error.line)).toEqual([capacity + 1, capacity + 2]);
+    expect(errors[0].message).toMatch(/Custom rule limit reached/);
+  });
+
+  test('reserves IDs after the allowlist range', () => {
+    const { ALLOWLIST, CUSTOM_RULES } = EXTENSION_CONFIG.DYNAMIC_RULE_IDS;
+    expect(CUSTOM_RULES.FIRST).toBeGreaterThan(ALLOWLIST.LAST);
+    expect(CUSTOM_RULES.LAST).toBeLessThanOrEqual(EXTENSION_CONFIG.LIMITS.MAX_DYNAMIC_RULES);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseDomainRule,
+  coversOptions,
+  dedupeLines,
+  describeRemoval,
+  unifiedDiff,
+} from '../tools/dedupe-filters.mjs';
+
+describe('dedupe-filters', () => {
+  test('parseDomainRule normalizes options and the implicit third-party default', () => {
+    expect(parseDomainRule('||Example.com^')).toEqual({ host: 'example.com', options: ['third-party'] });
+    expect(parseDomainRule('||example.com^$script,3p')).toEqual({ host: 'example.com', options: ['script', 'third-party'] });
+    expect(parseDomainRule('||example.com/ads^')).toBeNull();
+  });
+
+  test('coversOptions only accepts children that match a subset of the parent', () => {
+    expect(coversOptions(['third-party'], ['third-party'])).toBe(true);
+    expect(coversOptions(['third-party'], ['script', 'third-party'])).toBe(true);
+    expect(coversOptions(['third-party'], ['domain=a.com', 'third-party'])).toBe(true);
+    // Other party, wider types, different actions or priorities are not covered
+    expect(coversOptions(['third-party'], ['first-party'])).toBe(false);
+    expect(coversOptions(['script', 'third-party'], ['image', 'script', 'third-party'])).toBe(false);
+    expect(coversOptions(['third-party'], ['document', 'third-party'])).toBe(false);
+    expect(coversOptions(['third-party'], ['important', 'third-party'])).toBe(false);
+    expect(coversOptions(['script', 'third-party'], ['third-party'])).toBe(false);
+  });
+
+  test('removes duplicates and subdomain rules covered by a parent domain', () => {
+    const lines = [
+      '! ads',
+      '||pagead2.googlesyndication.com^',
+      '||googlesyndication.com^',
+      '||googlesyndication.com^',
+      '||cdn.example.com^$important',
+      '||example.com^',
+      '||tracker.example.org^$script',
+      '||example.org^$image',
+      '@@||sub.googlesyndication.com^',
+    ];
+    const { outLines, removed, stats } = dedupeLines(lines);
+
+    expect(outLines).toEqual([
+      '! ads',
+      '||googlesyndication.com^',
+      '||cdn.example.com^$important',
+      '||example.com^',
+      '||tracker.example.org^$script',
+      '||example.org^$image',
+      '@@||sub.googlesyndication.com^',
+    ]);
+    expect(removed.map(describeRemoval)).toEqual([
+      '||pagead2.googlesyndication.com^ (line 2): covered by ||googlesyndication.com^ (line 3)',
+      '||googlesyndication.com^ (line 4): duplicate of ||googlesyndication.com^ (line 3)',
+    ]);
+    expect(stats.subdomainRedundant).toBe(1);
+    expect(stats.domainOnlyDuplicates).toBe(1);
+  });
+
+  test('a parent cancelled by $badfilter does not cover its subdomains', () => {
+    const lines = ['||example.com^', '||ads.example.com^', '||example.com^$badfilter'];
+    const { outLines, removed } = dedupeLines(lines);
+    expect(outLines).toEqual(lines);
+    expect(removed).toEqual([]);
+  });
+
+  test('unifiedDiff produces hunks that apply to the original list', () => {
+    const lines = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l'];
+    const diff = unifiedDiff(lines, [1, 10], { fromFile: 'a/list.txt', toFile: 'b/list.txt', context: 1 });
+    expect(diff).toBe([
+      '--- a/list.txt',
+      '+++ b/list.txt',
+      '@@ -1,3 +1,2 @@',
+      ' a',
+      '-b',
+      ' c',
+      '@@ -10,3 +9,2 @@',
+      ' j',
+      '-k',
+      ' l',
+      '',
+    ].join('\n'));
+    expect(unifiedDiff(lines, [])).toBe('');
+  });
+});
@@ -0,0 +1,85 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { FilterListManager } from '../core/filter-lists.js';
+
+const LISTS_CONFIG = {
+  lists: [
+    { id: 'ads', title: 'Ads', category: 'ads', source: 'ads.txt', output: 'ads.json', enabled: true },
+    { id: 'regional', title: 'Regional', category: 'regional', source: 'de.txt', output: 'de.json', enabled: false },
+  ],
+};
+
+describe('FilterListManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new FilterListManager();
+    global.fetch.mockResolvedValue({ ok: true, json: async () => LISTS_CONFIG });
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue(undefined);
+    chrome.declarativeNetRequest.getEnabledRulesets.mockResolvedValue(['ads']);
+    chrome.declarativeNetRequest.updateEnabledRulesets.mockResolvedValue(undefined);
+  });
+
+  test('getFilterLists merges the configuration with the enabled rulesets', async () => {
+    const lists = await manager.getFilterLists();
+    expect(lists).toEqual([
+      { id: 'ads', title: 'Ads', category: 'ads', path: 'filter_lists/ads.json', enabled: true },
+      { id: 'regional', title: 'Regional', category: 'regional', path: 'filter_lists/de.json', enabled: false },
+    ]);
+  });
+
+  test('falls back to the manifest rule resources without a configuration file', async () => {
+    global.fetch.mockResolvedValue({ ok: false });
+    const lists = await manager.getFilterLists();
+    expect(lists.map((l) => l.id)).toEqual(['pagy_ruleset_optimized']);
+  });
+
+  test('setFilterListEnabled updates the ruleset and persists the choice', async () => {
+    await manager.setFilterListEnabled('regional', true);
+
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).toHaveBeenCalledWith({
+      enableRulesetIds: ['regional'],
+    });
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ filterLists: { regional: true } });
+  });
+
+  test('setFilterListEnabled rejects unknown lists', async () => {
+    await expect(manager.setFilterListEnabled('nope', true)).rejects.toThrow('Unknown filter list');
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).not.toHaveBeenCalled();
+  });
+
+  test('restoreEnabledRulesets re-applies persisted choices that differ from the current state', async () => {
+    chrome.storage.local.get.mockResolvedValue({ filterLists: { ads: false, regional: true } });
+
+    await manager.restoreEnabledRulesets();
+
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).toHaveBeenCalledWith({
+      enableRulesetIds: ['regional'],
+      disableRulesetIds: ['ads'],
+    });
+  });
+
+  test('suspendRulesets turns every ruleset off and keeps the choices for resumeRulesets', async () => {
+    chrome.declarativeNetRequest.getEnabledRulesets.mockResolvedValue(['ads']);
+    await manager.suspendRulesets();
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).toHaveBeenCalledWith({ disableRulesetIds: ['ads'] });
+    expect(manager.isSuspended()).toBe(true);
+
+    // Choices made while suspended are stored and reported, but not applied yet
+    chrome.declarativeNetRequest.getEnabledRulesets.mockResolvedValue([]);
+    chrome.declarativeNetRequest.updateEnabledRulesets.mockClear();
+    await manager.setFilterListEnabled('regional', true);
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).not.toHaveBeenCalled();
+    chrome.storage.local.get.mockResolvedValue({ filterLists: { regional: true } });
+    const lists = await manager.getFilterLists();
+    expect(lists.map((l) => l.enabled)).toEqual([true, true]);
+
+    await manager.resumeRulesets();
+    expect(chrome.declarativeNetRequest.updateEnabledRulesets).toHaveBeenCalledWith({
+      enableRulesetIds: ['ads', 'regional'],
+      disableRulesetIds: [],
+    });
+    expect(manager.isSuspended()).toBe(false);
+  });
+});
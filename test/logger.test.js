@@ -1,5 +1,5 @@
 import { jest, describe, test, expect, beforeEach } from '@jest/globals';
-import { createLogger } from '../core/logger.js';
+import { createLogger, setLogLevel, loadLogLevel, saveLogLevel } from '../core/logger.js';
 
 describe('Logger', () => {
   beforeEach(() => {
@@ -50,4 +50,35 @@ describe('Logger', () => {
     logger.error('err', { e: true });
     expect(typeof console.error.mock.calls[0][0]).toBe('string');
   });
+
+  test('setLogLevel changes existing and new loggers; invalid levels fall back to WARN', () => {
+    const existing = createLogger('Existing');
+    setLogLevel(3);
+    expect(existing.level).toBe(3);
+    expect(createLogger('New').level).toBe(3);
+
+    setLogLevel('loud');
+    expect(existing.level).toBe(1);
+  });
+
+  test('loadLogLevel applies the stored level and follows later changes', async () => {
+    const logger = createLogger('Stored');
+    chrome.storage.local.get.mockResolvedValue({ logLevel: 2 });
+
+    await expect(loadLogLevel()).resolves.toBe(2);
+    expect(logger.level).toBe(2);
+
+    const onChanged = chrome.storage.onChanged.addListener.mock.calls.at(-1)[0];
+    onChanged({ logLevel: { newValue: 0 } }, 'local');
+    expect(logger.level).toBe(0);
+    setLogLevel(1);
+  });
+
+  test('saveLogLevel stores valid levels only', async () => {
+    chrome.storage.local.set.mockResolvedValue(undefined);
+    await saveLogLevel(3);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ logLevel: 3 });
+    await expect(saveLogLevel(7)).rejects.toThrow('Invalid log level');
+    setLogLevel(1);
+  });
 });
@@ -0,0 +1,659 @@
+import { describe, test, expect } from '@jest/globals';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  splitOptions,
+  buildBlockRule,
+  buildExceptionRule,
+  translateOptions,
+  abpToUrlFilter,
+  buildPatternCondition,
+  countConditionPaths,
+  compileList,
+  initiatorParty,
+  packDomainRules,
+  MAX_DOMAINS_PER_RULE,
+  detectListFormat,
+  parseHostsLine,
+  evaluateCondition,
+  preprocessList,
+  badfilterKey,
+  collectBadfilters,
+  provenancePath,
+  validateListConfig,
+  REDIRECT_RESOURCES,
+  mergeRemoveParamRules,
+  buildRuleResources,
+} from '../tools/precompile-filters.mjs';
+import { validateRuleStructure } from '../core/ruleValidator.js';
+import { EXTENSION_CONFIG } from '../core/config.js';
+
+describe('precompile-filters', () => {
+  describe('splitOptions', () => {
+    test('splits pattern and options at the last unescaped $', () => {
+      expect(splitOptions('||example.com^$script,Third-Party')).toEqual({
+        pattern: '||example.com^',
+        options: ['script', 'third-party'],
+      });
+    });
+
+    test('keeps escaped and trailing $ as part of the pattern', () => {
+      expect(splitOptions('/ads\\$/')).toEqual({ pattern: '/ads\\$/', options: [] });
+      expect(splitOptions('||example.com/price$')).toEqual({
+        pattern: '||example.com/price$',
+        options: [],
+      });
+    });
+  });
+
+  describe('abpToUrlFilter', () => {
+    test('keeps anchors, separators and wildcards DNR supports natively', () => {
+      expect(abpToUrlFilter('||ads.example.com/banner^')).toBe('||ads.example.com/banner^');
+      expect(abpToUrlFilter('|https://example.com/ad*.js|')).toBe('|https://example.com/ad*.js|');
+      expect(abpToUrlFilter('/banner/*/img^')).toBe('/banner/*/img^');
+    });
+
+    test('returns null for patterns DNR cannot express', () => {
+      expect(abpToUrlFilter('/ad[0-9]+\\.js/')).toBeNull();
+      expect(abpToUrlFilter('ads|tracking')).toBeNull();
+      expect(abpToUrlFilter('||*.example.com')).toBeNull();
+      expect(abpToUrlFilter('/werbung/bänner')).toBeNull();
+    });
+
+    test('converts internationalized hosts to punycode', () => {
+      expect(abpToUrlFilter('||例え.jp/ad')).toBe('||xn--r8jz45g.jp/ad');
+    });
+  });
+
+  describe('buildPatternCondition', () => {
+    test('prefers requestDomains, then urlFilter', () => {
+      expect(buildPatternCondition('||example.com^').condition).toEqual({
+        requestDomains: ['example.com'],
+      });
+      expect(buildPatternCondition('||example.com/ads/').condition).toEqual({
+        urlFilter: '||example.com/ads/',
+        isUrlFilterCaseSensitive: false,
+      });
+    });
+
+    test('uses the body of /.../ filters as regexFilter', () => {
+      expect(buildPatternCondition('/ad[0-9]+\\.js/').condition.regexFilter).toBe('ad[0-9]+\\.js');
+    });
+
+    test('falls back to an escaped regex for literal pipes', () => {
+      const { regexFilter } = buildPatternCondition('ads|tracking').condition;
+      expect(new RegExp(regexFilter).test('https://x.test/ads|tracking')).toBe(true);
+      expect(new RegExp(regexFilter).test('https://x.test/ads')).toBe(false);
+    });
+
+    test('rejects regex filters RE2 cannot compile', () => {
+      expect(buildPatternCondition('/ads(?=\\.js)/').error).toMatch(/RE2/);
+    });
+
+    test('converts internationalized hosts to punycode', () => {
+      expect(buildPatternCondition('||müller.de^').condition).toEqual({
+        requestDomains: ['xn--mller-kva.de'],
+      });
+      expect(buildPatternCondition('||bücher.example/ads/*').condition).toEqual({
+        urlFilter: '||xn--bcher-kva.example/ads/*',
+        isUrlFilterCaseSensitive: false,
+      });
+    });
+  });
+
+  describe('countConditionPaths', () => {
+    test('counts requestDomains, urlFilter and regexFilter rules', () => {
+      const rules = ['||a.com^', '||a.com/ads', '/ad[0-9]/', '||b.com^$script'].map(
+        (line) => buildBlockRule(line).rule
+      );
+      expect(countConditionPaths(rules)).toEqual({ requestDomains: 2, urlFilter: 1, regexFilter: 1 });
+    });
+  });
+
+  describe('translateOptions', () => {
+    test('keeps the default resource types and third-party restriction without options', () => {
+      const { condition } = translateOptions([]);
+      expect(condition.domainType).toBe('thirdParty');
+      expect(condition.resourceTypes).toContain('script');
+      expect(condition.resourceTypes).not.toContain('main_frame');
+    });
+
+    test('maps resource-type options to resourceTypes', () => {
+      const { condition } = translateOptions(['script', 'subdocument']);
+      expect(condition.resourceTypes).toEqual(['script', 'sub_frame']);
+    });
+
+    test('maps negated resource types to excludedResourceTypes', () => {
+      const { condition } = translateOptions(['~image', '~script']);
+      expect(condition.resourceTypes).toBeUndefined();
+      expect(condition.excludedResourceTypes).toEqual(['main_frame', 'image', 'script']);
+    });
+
+    test('maps party options to domainType', () => {
+      expect(translateOptions(['first-party']).condition.domainType).toBe('firstParty');
+      expect(translateOptions(['~third-party']).condition.domainType).toBe('firstParty');
+      expect(translateOptions(['third-party']).condition.domainType).toBe('thirdParty');
+      expect(translateOptions(['first-party', 'third-party']).condition.domainType).toBeUndefined();
+    });
+
+    test('maps $domain= to initiatorDomains and excludedInitiatorDomains', () => {
+      const { condition } = translateOptions(['domain=a.com|~b.a.com|c.org']);
+      expect(condition.initiatorDomains).toEqual(['a.com', 'c.org']);
+      expect(condition.excludedInitiatorDomains).toEqual(['b.a.com']);
+    });
+
+    test('rejects options DNR cannot express', () => {
+      expect(translateOptions(['popup']).error).toMatch(/popup/);
+      expect(translateOptions(['domain=example.*']).error).toBeDefined();
+      expect(translateOptions(['bogus']).error).toMatch(/Unknown filter option/);
+    });
+  });
+
+  describe('buildBlockRule', () => {
+    test('combines the pattern with translated options', () => {
+      const { rule } = buildBlockRule('||ads.example.com^$script,domain=news.example');
+      expect(rule.action).toEqual({ type: 'block' });
+      expect(rule.condition).toEqual({
+        requestDomains: ['ads.example.com'],
+        initiatorDomains: ['news.example'],
+        resourceTypes: ['script'],
+        domainType: 'thirdParty',
+      });
+    });
+
+    test('returns an error for unsupported rules instead of widening them', () => {
+      expect(buildBlockRule('||example.com^$popup').error).toBeDefined();
+    });
+
+    test('judges first- and third-party $domain= initiators by registrable domain', () => {
+      expect(initiatorParty({ requestDomains: ['cdn.shop.example.co.uk'], initiatorDomains: ['www.example.co.uk'] }))
+        .toBe('firstParty');
+      expect(initiatorParty({ requestDomains: ['cdn.example.co.uk'], initiatorDomains: ['other.co.uk'] }))
+        .toBe('thirdParty');
+      expect(initiatorParty({ requestDomains: ['cdn.example.co.uk'], initiatorDomains: ['co.uk'] })).toBeNull();
+    });
+
+    test('drops the implied third-party default for same-site initiators', () => {
+      const { rule } = buildBlockRule('||cdn.example.co.uk^$script,domain=www.example.co.uk');
+      expect(rule.condition.domainType).toBeUndefined();
+      expect(buildBlockRule('||cdn.example.co.uk^$third-party,domain=www.example.co.uk').error)
+        .toMatch(/never matches/);
+      expect(buildBlockRule('||cdn.example.co.uk^$first-party,domain=other.com').error).toMatch(/never matches/);
+    });
+  });
+
+  describe('priority tiers', () => {
+    const { DEFAULT_RULE, ALLOW_RULE, IMPORTANT_RULE } = EXTENSION_CONFIG.PRIORITIES;
+
+    test('ordinary block rules use the default priority', () => {
+      expect(buildBlockRule('||ads.example.com/banner').rule.priority).toBe(DEFAULT_RULE);
+    });
+
+    test('exceptions sit between block rules and the user allowlist', () => {
+      const { priority } = buildExceptionRule('@@||cdn.example.com^');
+      expect(priority).toBeGreaterThan(DEFAULT_RULE);
+      expect(priority).toBeLessThan(ALLOW_RULE);
+    });
+
+    test('$important block rules outrank the user allowlist', () => {
+      const { rule } = buildBlockRule('||malware.example^$important');
+      expect(rule.priority).toBe(IMPORTANT_RULE);
+      expect(rule.priority).toBeGreaterThan(ALLOW_RULE);
+      expect(rule.condition.requestDomains).toEqual(['malware.example']);
+    });
+
+    test('$important exceptions can lift $important block rules', () => {
+      expect(buildExceptionRule('@@||malware.example/ok.js$important').priority).toBe(IMPORTANT_RULE);
+    });
+  });
+
+  describe('redirect filters', () => {
+    test('compiles $redirect= into a redirect to the bundled surrogate', () => {
+      const { rule } = buildBlockRule('||google-analytics.com/analytics.js$script,redirect=google-analytics_analytics.js');
+      expect(rule.action).toEqual({
+        type: 'redirect',
+        redirect: { extensionPath: '/resources/google-analytics_analytics.js' },
+      });
+      expect(rule.condition.resourceTypes).toEqual(['script']);
+      expect(rule.priority).toBeGreaterThan(buildBlockRule('||google-analytics.com^$script').rule.priority);
+    });
+
+    test('resolves aliases, treats $redirect-rule like $redirect and infers the resource type', () => {
+      const { rule } = buildBlockRule('||ads.example/pixel$redirect-rule=1x1-transparent.gif');
+      expect(rule.action.redirect.extensionPath).toBe('/resources/1x1.gif');
+      expect(rule.condition.resourceTypes).toEqual(['image']);
+    });
+
+    test('maps every resource to a file in resources/', () => {
+      for (const { file } of Object.values(REDIRECT_RESOURCES)) {
+        expect(existsSync(new URL(`../resources/${file}`, import.meta.url))).toBe(true);
+      }
+    });
+
+    test('rejects unknown resources and redirect exceptions', () => {
+      expect(buildBlockRule('||example.com/a.js$redirect=nope.js').error).toMatch(/Unknown redirect resource/);
+      expect(buildBlockRule('||example.com/a.js$~redirect=noop.js').error).toBeDefined();
+      expect(buildExceptionRule('@@||example.com/a.js$redirect')).toBeNull();
+    });
+  });
+
+  describe('removeparam filters', () => {
+    test('compiles $removeparam= into a queryTransform redirect for navigations and subresources', () => {
+      const { rule } = buildBlockRule('||example.com^$removeparam=ref');
+      expect(rule.action).toEqual({
+        type: 'redirect',
+        redirect: { transform: { queryTransform: { removeParams: ['ref'] } } },
+      });
+      expect(rule.condition.requestDomains).toEqual(['example.com']);
+      expect(rule.condition.resourceTypes).toContain('main_frame');
+      expect(rule.condition.domainType).toBeUndefined();
+    });
+
+    test('lower-cases only the option name and keeps the parameter name as written', () => {
+      expect(splitOptions('||example.com^$RemoveParam=utm_Source,Domain=Shop.Example').options).toEqual([
+        'removeparam=utm_Source',
+        'domain=shop.example',
+      ]);
+      const { rule } = buildBlockRule('||example.com^$RemoveParam=utm_Source');
+      expect(rule.action.redirect.transform.queryTransform.removeParams).toEqual(['utm_Source']);
+    });
+
+    test('rejects parameter regexes and removeparam exceptions', () => {
+      expect(buildBlockRule('$removeparam=/^utm_/').error).toBeDefined();
+      expect(buildBlockRule('||example.com^$removeparam=/utm_/')).toEqual({
+        error: 'Regex values for the "removeparam" option are not supported: /utm_/',
+      });
+      const { rules, stats } = compileList(['$removeparam=/utm_/']);
+      expect(rules).toEqual([]);
+      expect(stats.unsupported).toBe(1);
+      expect(buildBlockRule('$removeparam').error).toBeDefined();
+      expect(buildExceptionRule('@@||example.com^$removeparam=ref')).toBeNull();
+    });
+
+    test('merges generic filters into one rule that only matches URLs carrying the parameters', () => {
+      const { rules } = compileList(['$removeparam=utm_source', '$removeparam=fbclid', '$removeparam=utm_source']);
+      expect(rules).toHaveLength(1);
+      expect(rules[0].action.redirect.transform.queryTransform.removeParams).toEqual(['utm_source', 'fbclid']);
+      const regex = new RegExp(rules[0].condition.regexFilter);
+      expect(regex.test('https://example.com/?a=1&fbclid=x')).toBe(true);
+      expect(regex.test('https://example.com/?utm_source')).toBe(true);
+      expect(regex.test('https://example.com/?not_fbclid=x')).toBe(false);
+      expect(validateRuleStructure(rules[0], 0)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('keeps rules with different conditions apart', () => {
+      const merged = mergeRemoveParamRules(
+        ['$removeparam=gclid', '||example.com^$removeparam=ref'].map((line, i) => ({
+          rule: buildBlockRule(line).rule,
+          source: { line: i + 1, text: line },
+        }))
+      );
+      expect(merged.map(({ source }) => source.line)).toEqual([1, 2]);
+    });
+  });
+
+  describe('header filters', () => {
+    test('compiles $csp= into an appended Content-Security-Policy on documents', () => {
+      const { rule } = buildBlockRule("||hostile.example^$csp=script-src 'none'");
+      expect(rule.action).toEqual({
+        type: 'modifyHeaders',
+        responseHeaders: [{ header: 'content-security-policy', operation: 'append', value: "script-src 'none'" }],
+      });
+      expect(rule.condition).toEqual({
+        requestDomains: ['hostile.example'],
+        resourceTypes: ['main_frame', 'sub_frame'],
+      });
+    });
+
+    test('keeps the case of $csp= policies', () => {
+      const { rule } = buildBlockRule("||hostile.example^$CSP=script-src 'nonce-AbC123'");
+      expect(rule.action.responseHeaders[0].value).toBe("script-src 'nonce-AbC123'");
+    });
+
+    test('compiles $permissions= into a Permissions-Policy header', () => {
+      const { rule } = buildBlockRule('||example.com^$permissions=geolocation=()|camera=()');
+      expect(rule.action.responseHeaders).toEqual([
+        { header: 'permissions-policy', operation: 'append', value: 'geolocation=(), camera=()' },
+      ]);
+    });
+
+    test('compiles $removeheader=request: into request header removal on third-party requests', () => {
+      const { rule } = buildBlockRule('*$third-party,removeheader=request:referer');
+      expect(rule.action).toEqual({
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: 'referer', operation: 'remove' }],
+      });
+      expect(rule.condition.domainType).toBe('thirdParty');
+      expect(validateRuleStructure({ ...rule, id: 1 }, 0).isValid).toBe(true);
+    });
+
+    test('does not imply third-party for $removeheader rules', () => {
+      const { rule } = buildBlockRule('||example.com^$removeheader=Refresh');
+      expect(rule.action.responseHeaders).toEqual([{ header: 'refresh', operation: 'remove' }]);
+      expect(rule.condition.domainType).toBeUndefined();
+      expect(buildBlockRule('||example.com^').rule.condition.domainType).toBe('thirdParty');
+    });
+
+    test('refuses to strip security headers, combine actions or compile header exceptions', () => {
+      expect(buildBlockRule('||example.com^$removeheader=content-security-policy').error).toMatch(/not allowed/);
+      expect(buildBlockRule('||example.com/a.js$csp=default-src,redirect=noop.js').error).toMatch(/more than one action/);
+      expect(buildExceptionRule("@@||example.com^$csp=script-src 'none'")).toBeNull();
+    });
+  });
+
+  describe('buildExceptionRule', () => {
+    test('compiles a domain exception into an allow rule above block priority', () => {
+      const rule = buildExceptionRule('@@||cdn.example.com^');
+      expect(rule.action).toEqual({ type: 'allow' });
+      expect(rule.priority).toBeGreaterThan(buildBlockRule('||cdn.example.com/ad').rule.priority);
+      expect(rule.condition.requestDomains).toEqual(['cdn.example.com']);
+      expect(rule.condition.resourceTypes).not.toContain('main_frame');
+      expect(rule.condition.domainType).toBeUndefined();
+    });
+
+    test('honors options on exceptions', () => {
+      const rule = buildExceptionRule('@@||cdn.example.com^$script,domain=site.example');
+      expect(rule.condition.resourceTypes).toEqual(['script']);
+      expect(rule.condition.initiatorDomains).toEqual(['site.example']);
+    });
+
+    test('compiles $document exceptions into page-level allowAllRequests rules', () => {
+      const rule = buildExceptionRule('@@||site.example^$document');
+      expect(rule.action).toEqual({ type: 'allowAllRequests' });
+      expect(rule.condition).toEqual({
+        requestDomains: ['site.example'],
+        resourceTypes: ['main_frame', 'sub_frame'],
+      });
+    });
+
+    test('compiles path exceptions into urlFilter allow rules', () => {
+      const rule = buildExceptionRule('@@||example.com/ads/player.js');
+      expect(rule.action.type).toBe('allow');
+      expect(rule.condition.urlFilter).toBe('||example.com/ads/player.js');
+    });
+
+    test('skips cosmetic-only exceptions and non-exception lines', () => {
+      expect(buildExceptionRule('@@||example.com^$elemhide')).toBeNull();
+      expect(buildExceptionRule('@@||example.com^$generichide,specifichide')).toBeNull();
+      expect(buildExceptionRule('||example.com^')).toBeNull();
+    });
+
+    test('produces rules that pass structural validation', () => {
+      const rules = [
+        buildExceptionRule('@@||example.com^'),
+        buildExceptionRule('@@||example.com^$document'),
+        buildBlockRule('||example.com/ads/*$~image,third-party').rule,
+        buildBlockRule('||example.com/gtm.js$redirect=googletagmanager_gtm.js').rule,
+      ].map((rule, i) => ({ ...rule, id: i + 1 }));
+      for (const [i, rule] of rules.entries()) {
+        expect(validateRuleStructure(rule, i)).toEqual({ isValid: true, errors: [] });
+      }
+    });
+  });
+
+  describe('compileList', () => {
+    test('assigns sequential IDs per list and deduplicates domain-only rules', () => {
+      const { rules, stats } = compileList([
+        '! comment',
+        '||a.com^',
+        '||a.com^',
+        '||b.com/ads',
+        '@@||b.com/ads/ok.js',
+        'example.com##.ad',
+      ]);
+      expect(rules.map((r) => r.id)).toEqual([1, 2, 3]);
+      expect(rules.map((r) => r.action.type)).toEqual(['allow', 'block', 'block']);
+      expect(stats.domainOnlyDuplicates).toBe(1);
+      expect(stats.cosmetic).toBe(1);
+    });
+
+    test('maps every rule ID to the first source line that produced it', () => {
+      const { provenance } = compileList(['! comment', '||b.com/ads', '||a.com^', '  ||a.com^', '@@||b.com/ads/ok.js']);
+      expect(provenance).toEqual({
+        1: { line: 5, text: '@@||b.com/ads/ok.js' },
+        2: { line: 3, text: '||a.com^' },
+        3: { line: 2, text: '||b.com/ads' },
+      });
+    });
+
+    test('keeps exception rules when the list exceeds the rule limit', () => {
+      const max = EXTENSION_CONFIG.LIMITS.MAX_RULES_COUNT;
+      const lines = Array.from({ length: max }, (_, i) => `/ads/slot-${i}/`);
+      lines.push('@@||b.com/ads/ok.js');
+      const { rules, provenance } = compileList(lines);
+      expect(rules).toHaveLength(max);
+      expect(rules[0].action.type).toBe('allow');
+      expect(provenance[rules[0].id].line).toBe(max + 1);
+      expect(rules.filter((r) => r.action.type === 'block')).toHaveLength(max - 1);
+    });
+  });
+
+  describe('hosts and plain domain lists', () => {
+    const HOSTS = [
+      '# Hosts file',
+      '127.0.0.1 localhost',
+      '::1 localhost ip6-localhost',
+      '255.255.255.255 broadcasthost',
+      '0.0.0.0 0.0.0.0',
+      '0.0.0.0 tracker.example ads.example # inline comment',
+      '0.0.0.0 Tracker.Example',
+      '127.0.0.1 metrics.example',
+    ];
+
+    test('parses hosts lines with several hostnames and inline comments', () => {
+      expect(parseHostsLine('0.0.0.0 a.example b.example # c')).toEqual(['a.example', 'b.example']);
+      expect(parseHostsLine('||a.example^')).toBeNull();
+      expect(parseHostsLine('a.example')).toBeNull();
+    });
+
+    test('detects the list format', () => {
+      expect(detectListFormat(HOSTS)).toBe('hosts');
+      expect(detectListFormat(['# Domains', 'a.example', 'b.example.', 'c.example # note'])).toBe('domains');
+      expect(detectListFormat(['[Adblock Plus 2.0]', 'a.example'])).toBe('abp');
+      expect(detectListFormat(['||a.example^', 'b.example/ads', 'c.example'])).toBe('abp');
+    });
+
+    test('compiles hosts entries into requestDomains rules and ignores localhost-style entries', () => {
+      const { rules, stats } = compileList(HOSTS, { format: 'hosts' });
+      expect(rules).toHaveLength(1);
+      expect(rules[0].condition.requestDomains).toEqual(['tracker.example', 'ads.example', 'metrics.example']);
+      expect(rules[0].condition.domainType).toBe('thirdParty');
+      expect(stats.domainOnlyDuplicates).toBe(1);
+      expect(stats.invalidDomains).toBe(5);
+    });
+
+    test('compiles plain domain lists into requestDomains rules', () => {
+      const { rules, provenance } = compileList(['# list', 'a.example', 'B.example.'], { format: 'domains' });
+      expect(rules[0].condition.requestDomains).toEqual(['a.example', 'b.example']);
+      expect(provenance[1].domains['b.example']).toEqual({ line: 3, text: 'B.example.' });
+    });
+
+    test('converts internationalized hosts and domains to punycode', () => {
+      expect(parseHostsLine('0.0.0.0 müller.de')).toEqual(['xn--mller-kva.de']);
+      expect(detectListFormat(['müller.de', 'bücher.example'])).toBe('domains');
+      const { rules } = compileList(['müller.de', 'bücher.example'], { format: 'domains' });
+      expect(rules[0].condition.requestDomains).toEqual(['xn--mller-kva.de', 'xn--bcher-kva.example']);
+    });
+
+    test('validateListConfig rejects unknown formats', () => {
+      const list = { id: 'x', title: 'X', source: 'x.txt', output: 'x.json' };
+      expect(validateListConfig({ lists: [{ ...list, format: 'hosts' }] })).toHaveLength(1);
+      expect(() => validateListConfig({ lists: [{ ...list, format: 'csv' }] })).toThrow(/Invalid format/);
+    });
+  });
+
+  describe('preprocessor', () => {
+    const FILTER_DIR = fileURLToPath(new URL('../filter_lists/', import.meta.url));
+    const file = (name) => path.join(FILTER_DIR, name);
+
+    test('evaluates !#if expressions for a Chromium MV3 environment', () => {
+      expect(evaluateCondition('env_chromium')).toBe(true);
+      expect(evaluateCondition('env_firefox')).toBe(false);
+      expect(evaluateCondition('!env_safari && (env_mv3 || env_firefox)')).toBe(true);
+      expect(evaluateCondition('unknown_token')).toBe(false);
+      expect(evaluateCondition('(env_chromium')).toBe(false);
+    });
+
+    test('drops inactive branches and supports nesting and !#else', async () => {
+      const { lines, stats } = await preprocessList(
+        [
+          '||a.com^',
+          '!#if env_firefox',
+          '||firefox-only.com^',
+          '!#else',
+          '!#if !env_mobile',
+          '||chromium-desktop.com^',
+          '!#endif',
+          '!#endif',
+        ],
+        { file: file('main.txt') }
+      );
+      expect(lines).toEqual(['||a.com^', '||chromium-desktop.com^']);
+      expect(stats).toMatchObject({ directives: 5, dropped: 1 });
+    });
+
+    test('inlines local includes and records where each line came from', async () => {
+      const files = { [file('sub/extra.txt')]: ['||extra.com^', '!#if env_safari', '||safari.com^', '!#endif'] };
+      const { lines, origins, stats } = await preprocessList(['||a.com^', '!#include sub/extra.txt'], {
+        file: file('main.txt'),
+        readLines: async (p) => files[p],
+      });
+      expect(lines).toEqual(['||a.com^', '||extra.com^']);
+      expect(origins).toEqual([
+        { file: 'main.txt', line: 1 },
+        { file: 'sub/extra.txt', line: 1 },
+      ]);
+      expect(stats).toMatchObject({ includes: 1, included: 1, dropped: 1 });
+
+      const { provenance } = compileList(lines, { origins });
+      expect(provenance[1].domains['extra.com']).toEqual({ file: 'sub/extra.txt', line: 1, text: '||extra.com^' });
+    });
+
+    test('skips includes in inactive branches', async () => {
+      const { stats } = await preprocessList(['!#if env_firefox', '!#include missing.txt', '!#endif'], {
+        file: file('main.txt'),
+        readLines: async () => {
+          throw new Error('should not be read');
+        },
+      });
+      expect(stats.includes).toBe(0);
+    });
+
+    test('rejects remote includes, paths outside filter_lists and cycles', async () => {
+      const readLines = async (p) => (p === file('a.txt') ? ['!#include b.txt'] : ['!#include a.txt']);
+      await expect(preprocessList(['!#include https://example.com/list.txt'], { file: file('main.txt') })).rejects.toThrow(
+        /relative local paths/
+      );
+      await expect(preprocessList(['!#include ../manifest.json'], { file: file('main.txt') })).rejects.toThrow(
+        /outside filter_lists/
+      );
+      await expect(preprocessList(['!#include b.txt'], { file: file('a.txt'), readLines })).rejects.toThrow(
+        'Include cycle detected: a.txt -> b.txt -> a.txt'
+      );
+    });
+  });
+
+  describe('badfilter', () => {
+    test('treats option order, equivalent spellings and domain order as the same filter', () => {
+      expect(badfilterKey('||ads.example^$script,third-party,domain=b.com|a.com')).toBe(
+        badfilterKey('||ads.example^$3p,domain=a.com|b.com,script,badfilter')
+      );
+      expect(badfilterKey('||ads.example^$first-party')).toBe(badfilterKey('||ads.example^$~third-party'));
+      expect(badfilterKey('||ads.example^$script')).not.toBe(badfilterKey('||ads.example^$image'));
+      expect(badfilterKey('@@||ads.example^')).not.toBe(badfilterKey('||ads.example^'));
+    });
+
+    test('cancels matching rules from another list and never compiles the badfilter line', () => {
+      const badfilters = collectBadfilters(
+        ['! comment', '||a.com^$badfilter', '||b.com/ads$third-party,script,badfilter'],
+        'other.txt'
+      );
+      expect([...badfilters.values()]).toEqual(['other.txt:2', 'other.txt:3']);
+
+      const { rules, stats, cancelledLines } = compileList(
+        ['||a.com^', '||b.com/ads$script,third-party', '||c.com^', '||d.com^$badfilter'],
+        { badfilters }
+      );
+      expect(rules.map((r) => r.condition.requestDomains)).toEqual([['c.com']]);
+      expect(stats.cancelled).toBe(2);
+      expect(stats.badfilters).toBe(1);
+      expect(cancelledLines[0]).toBe('||a.com^ (line 1, cancelled by other.txt:2)');
+    });
+
+    test('cancels hosts and plain domain entries like their "||host^" filters', () => {
+      const badfilters = collectBadfilters(['||ads.example^$badfilter'], 'other.txt');
+
+      const hosts = compileList(['0.0.0.0 ads.example keep.example'], { badfilters, format: 'hosts' });
+      expect(hosts.rules.map((r) => r.condition.requestDomains)).toEqual([['keep.example']]);
+      expect(hosts.stats.cancelled).toBe(1);
+      expect(hosts.cancelledLines).toEqual(['0.0.0.0 ads.example keep.example (line 1, cancelled by other.txt:1)']);
+
+      const domains = compileList(['ads.example', 'keep.example'], { badfilters, format: 'domains' });
+      expect(domains.rules.map((r) => r.condition.requestDomains)).toEqual([['keep.example']]);
+      expect(domains.stats.cancelled).toBe(1);
+    });
+
+    test('does not compile a badfilter line on its own', () => {
+      expect(buildBlockRule('||a.com^$badfilter').error).toBeDefined();
+    });
+  });
+
+  describe('packDomainRules', () => {
+    const entries = (lines) =>
+      lines.map((line, i) => ({ rule: buildBlockRule(line).rule, source: { line: i + 1, text: line } }));
+
+    test('packs rules that only differ in their domain and keeps a per-domain lookup', () => {
+      const packed = packDomainRules(
+        entries(['||a.com^$script', '||b.com/ads', '||c.com^$script', '||d.com^$image', '||a.com^$script'])
+      );
+      expect(packed.map(({ rule }) => rule.condition.requestDomains || rule.condition.urlFilter)).toEqual([
+        ['a.com', 'c.com'],
+        '||b.com/ads',
+        ['d.com'],
+      ]);
+      expect(packed[0].source).toEqual({
+        domains: {
+          'a.com': { line: 1, text: '||a.com^$script' },
+          'c.com': { line: 3, text: '||c.com^$script' },
+        },
+      });
+      expect(packed[2].source).toEqual({ line: 4, text: '||d.com^$image' });
+    });
+
+    test('starts a new rule after MAX_DOMAINS_PER_RULE domains', () => {
+      const lines = Array.from({ length: MAX_DOMAINS_PER_RULE + 1 }, (_, i) => `d${i}.example`);
+      const { rules, stats } = compileList(lines, { format: 'domains' });
+      expect(rules.map((r) => r.condition.requestDomains.length)).toEqual([MAX_DOMAINS_PER_RULE, 1]);
+      expect(stats.packedRulesSaved).toBe(MAX_DOMAINS_PER_RULE - 1);
+    });
+  });
+
+  describe('provenancePath', () => {
+    test('places the sidecar next to the compiled ruleset', () => {
+      expect(provenancePath('filter_precompiled.json')).toBe('filter_precompiled.sources.json');
+    });
+  });
+
+  describe('list configuration', () => {
+    const lists = [
+      { id: 'ads', title: 'Ads', source: 'ads.txt', output: 'ads.json', enabled: true },
+      { id: 'regional', title: 'Regional', source: 'de.txt', output: 'de.json', enabled: false },
+    ];
+
+    test('validateListConfig rejects duplicate or malformed entries', () => {
+      expect(validateListConfig({ lists })).toBe(lists);
+      expect(() => validateListConfig({ lists: [] })).toThrow();
+      expect(() => validateListConfig({ lists: [lists[0], lists[0]] })).toThrow(/Duplicate/);
+      expect(() => validateListConfig({ lists: [{ ...lists[0], id: '_reserved' }] })).toThrow(/Invalid ruleset id/);
+      expect(() => validateListConfig({ lists: [{ id: 'x', title: 'X', source: 'x.txt' }] })).toThrow(/output/);
+    });
+
+    test('buildRuleResources mirrors the lists in manifest format', () => {
+      expect(buildRuleResources(lists)).toEqual([
+        { id: 'ads', enabled: true, path: 'filter_lists/ads.json' },
+        { id: 'regional', enabled: false, path: 'filter_lists/de.json' },
+      ]);
+    });
+  });
+});
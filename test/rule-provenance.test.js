@@ -0,0 +1,91 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { RuleProvenance, getProvenancePath, formatRuleSource } from '../core/rule-provenance.js';
+import { filterListManager } from '../core/filter-lists.js';
+
+const SIDECAR = {
+  ruleset: 'pagy_ruleset_optimized',
+  source: 'filter_optimized.txt',
+  rules: {
+    1: { line: 10, text: '||adnxs.com^' },
+    2: { line: 3, text: '||extra.com^', file: 'sub/extra.txt' },
+    3: {
+      domains: {
+        'doubleclick.net': { line: 1, text: '||doubleclick.net^' },
+        'ads.example': { line: 7, text: '||ads.example^' },
+      },
+    },
+  },
+};
+
+describe('RuleProvenance', () => {
+  let provenance;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provenance = new RuleProvenance();
+    jest.spyOn(filterListManager, 'loadListConfig').mockResolvedValue([
+      { id: 'pagy_ruleset_optimized', path: 'filter_lists/filter_precompiled.json' },
+    ]);
+    global.fetch.mockResolvedValue({ ok: true, json: async () => SIDECAR });
+  });
+
+  test('getProvenancePath mirrors the build tool naming', () => {
+    expect(getProvenancePath('filter_lists/filter_precompiled.json')).toBe(
+      'filter_lists/filter_precompiled.sources.json'
+    );
+  });
+
+  test('lookup resolves a rule ID to its source line', async () => {
+    const source = await provenance.lookup('pagy_ruleset_optimized', 1);
+    expect(source).toEqual({
+      rulesetId: 'pagy_ruleset_optimized',
+      ruleId: 1,
+      list: 'filter_optimized.txt',
+      line: 10,
+      text: '||adnxs.com^',
+    });
+    expect(formatRuleSource(source)).toBe('"||adnxs.com^" (filter_optimized.txt:10)');
+    expect(global.fetch).toHaveBeenCalledWith(
+      'chrome-extension://test-extension-id/filter_lists/filter_precompiled.sources.json'
+    );
+  });
+
+  test('lookup reports the included file for lines pulled in via !#include', async () => {
+    const source = await provenance.lookup('pagy_ruleset_optimized', 2);
+    expect(formatRuleSource(source)).toBe('"||extra.com^" (sub/extra.txt:3)');
+  });
+
+  test('lookup attributes packed domain rules through the request URL', async () => {
+    const source = await provenance.lookup('pagy_ruleset_optimized', 3, 'https://stats.g.doubleclick.net/x.js');
+    expect(formatRuleSource(source)).toBe('"||doubleclick.net^" (filter_optimized.txt:1)');
+
+    const unknown = await provenance.lookup('pagy_ruleset_optimized', 3);
+    expect(unknown.domains).toEqual(['doubleclick.net', 'ads.example']);
+    expect(formatRuleSource(unknown)).toBe('one of 2 packed domains (filter_optimized.txt)');
+  });
+
+  test('loads each sidecar only once', async () => {
+    await provenance.lookup('pagy_ruleset_optimized', 1);
+    await provenance.lookup('pagy_ruleset_optimized', 2);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns null for dynamic rules, unknown rulesets and missing sidecars', async () => {
+    expect(await provenance.lookup('_dynamic', 1)).toBeNull();
+    expect(await provenance.lookup('unknown', 1)).toBeNull();
+    global.fetch.mockResolvedValue({ ok: false, status: 404 });
+    provenance.clearCache();
+    expect(await provenance.lookup('pagy_ruleset_optimized', 1)).toBeNull();
+  });
+
+  test('describeMatchedRules falls back to ruleset and rule ID', async () => {
+    const described = await provenance.describeMatchedRules([
+      { rule: { ruleId: 1, rulesetId: 'pagy_ruleset_optimized' }, timeStamp: 5 },
+      { rule: { ruleId: 3, rulesetId: '_dynamic' }, timeStamp: 6 },
+    ]);
+    expect(described.map((d) => d.description)).toEqual([
+      '"||adnxs.com^" (filter_optimized.txt:10)',
+      '_dynamic#3',
+    ]);
+  });
+});
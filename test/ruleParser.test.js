@@ -163,5 +163,38 @@ describe('Rule Parser', () => {
     test('should return null for a rule with a negated domain option', () => {
       expect(parseRule('||example.com^$~domain=example.net')).toBeNull();
     });
+
+    // Test 13: Rule with a valued redirect option
+    test('should parse a rule with a redirect option', () => {
+      const result = parseRule('||example.com/ga.js$script,redirect=noop.js');
+      expect(result.options).toEqual([
+        { type: 'filter', value: 'script', negated: false },
+        { type: 'redirect', value: 'noop.js', negated: false },
+      ]);
+      expect(parseRule('||example.com/ga.js$redirect=')).toBeNull();
+    });
+
+    // Test 14: Rule with a removeparam option
+    test('should parse a rule with a removeparam option', () => {
+      expect(parseRule('||example.com^$removeparam=fbclid').options).toEqual([
+        { type: 'removeparam', value: 'fbclid', negated: false },
+      ]);
+      expect(parseRule('||example.com^$removeparam=/^utm_/')).toBeNull();
+      expect(parseRule('||example.com^$removeparam=/utm_/')).toBeNull();
+    });
+
+    // Test 15: Internationalized domains in options are converted to punycode
+    test('should convert internationalized option domains to punycode', () => {
+      expect(parseRule('||ads.example^$domain=müller.de|~bücher.example').options).toEqual([
+        {
+          type: 'domain',
+          value: [
+            { name: 'xn--mller-kva.de', negated: false },
+            { name: 'xn--bcher-kva.example', negated: true },
+          ],
+          negated: false,
+        },
+      ]);
+    });
   });
 });
@@ -0,0 +1,46 @@
+import { describe, test, expect } from '@jest/globals';
+import { validateRuleStructure, validateModifyHeadersAction } from '../core/ruleValidator.js';
+
+describe('Rule Validator', () => {
+  describe('validateModifyHeadersAction', () => {
+    test('accepts append, set and remove operations', () => {
+      const action = {
+        type: 'modifyHeaders',
+        requestHeaders: [
+          { header: 'referer', operation: 'remove' },
+          { header: 'user-agent', operation: 'set', value: 'Pagy' },
+        ],
+        responseHeaders: [{ header: 'content-security-policy', operation: 'append', value: "script-src 'none'" }],
+      };
+      expect(validateModifyHeadersAction(action, 0)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('requires at least one header list', () => {
+      expect(validateModifyHeadersAction({ type: 'modifyHeaders' }, 0).isValid).toBe(false);
+      expect(validateModifyHeadersAction({ type: 'modifyHeaders', requestHeaders: [] }, 0).isValid).toBe(false);
+    });
+
+    test('rejects invalid headers, operations and values', () => {
+      const check = (info, field = 'responseHeaders') =>
+        validateModifyHeadersAction({ type: 'modifyHeaders', [field]: [info] }, 3).errors;
+
+      expect(check({ header: 'bad header', operation: 'remove' })[0]).toMatch(/invalid header/);
+      expect(check({ header: 'x-test', operation: 'drop' })[0]).toMatch(/invalid operation/);
+      expect(check({ header: 'x-test', operation: 'set' })[0]).toMatch(/needs a valid value/);
+      expect(check({ header: 'x-test', operation: 'remove', value: 'x' })[0]).toMatch(/must not set a value/);
+      expect(check({ header: 'referer', operation: 'append', value: 'x' }, 'requestHeaders')[0]).toMatch(
+        /cannot append to request header/
+      );
+    });
+
+    test('is applied by validateRuleStructure for modifyHeaders rules', () => {
+      const rule = {
+        id: 1,
+        priority: 1,
+        action: { type: 'modifyHeaders', requestHeaders: [{ header: 'cookie', operation: 'delete' }] },
+        condition: { urlFilter: '||example.com^' },
+      };
+      expect(validateRuleStructure(rule, 0).isValid).toBe(false);
+    });
+  });
+});
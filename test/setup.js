@@ -6,6 +6,13 @@ global.chrome = {
   runtime: {
     id: 'test-extension-id',
     getURL: jest.fn((path) => `chrome-extension://test-extension-id${path}`),
+    getManifest: jest.fn(() => ({
+      declarative_net_request: {
+        rule_resources: [
+          { id: 'pagy_ruleset_optimized', enabled: true, path: 'filter_lists/filter_precompiled.json' },
+        ],
+      },
+    })),
     onInstalled: {
       addListener: jest.fn(),
     },
@@ -30,6 +37,10 @@ global.chrome = {
         addListener: jest.fn(),
       },
     },
+    session: {
+      get: jest.fn(async () => ({})),
+      set: jest.fn(async () => {}),
+    },
   },
   tabs: {
     query: jest.fn(),
@@ -49,7 +60,20 @@ global.chrome = {
   declarativeNetRequest: {
     getDynamicRules: jest.fn(async () => []),
     updateDynamicRules: jest.fn(async () => {}),
+    getSessionRules: jest.fn(async () => []),
+    updateSessionRules: jest.fn(async () => {}),
     getMatchedRules: jest.fn(),
+    getEnabledRulesets: jest.fn(async () => ['pagy_ruleset_optimized']),
+    updateEnabledRulesets: jest.fn(async () => {}),
+    setExtensionActionOptions: jest.fn(async () => {}),
+  },
+  alarms: {
+    get: jest.fn(async () => undefined),
+    create: jest.fn(async () => {}),
+    clear: jest.fn(async () => true),
+    onAlarm: {
+      addListener: jest.fn(),
+    },
   },
   action: {
     setIcon: jest.fn(),
@@ -0,0 +1,25 @@
+import { describe, test, expect } from '@jest/globals';
+import { parsePublicSuffixList, renderModule } from '../tools/update-public-suffix-list.mjs';
+
+describe('update-public-suffix-list', () => {
+  test('parses rules, skips comments and converts IDN rules to punycode', () => {
+    const rules = parsePublicSuffixList([
+      '// ===BEGIN ICANN DOMAINS===',
+      'uk',
+      'co.uk',
+      '',
+      '*.ck',
+      '!www.ck',
+      '公司.cn',
+      'github.io extra words are ignored',
+      'CO.UK',
+    ].join('\n'));
+    expect(rules).toEqual(['uk', 'co.uk', '*.ck', '!www.ck', 'xn--55qx5d.cn', 'github.io']);
+  });
+
+  test('renders a module with one rule per line', () => {
+    const source = renderModule(['uk', 'co.uk'], 'public_suffix_list.dat');
+    expect(source).toContain('export const PUBLIC_SUFFIX_RULES = `\nuk\nco.uk\n`;');
+    expect(source).toContain('from public_suffix_list.dat');
+  });
+});
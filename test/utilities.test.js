@@ -1,7 +1,13 @@
 import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import {
   getDomainFromUrl,
   isValidDomain,
+  toASCIIDomain,
+  toUnicodeDomain,
+  parseDomainEntry,
   validateStringChars,
   debounce,
   throttle,
@@ -10,6 +16,7 @@ import {
   sanitizeInput,
   generateId,
 } from '../core/utilities.js';
+import { getRegistrableDomain, isSubdomainOf } from '../core/registrable-domain.js';
 
 // Mock EXTENSION_CONFIG
 jest.mock('../core/config.js', () => ({
@@ -96,6 +103,75 @@ describe('Utilities', () => {
       expect(isValidDomain('')).toBe(false);
       expect(isValidDomain(null)).toBe(false);
     });
+
+    test('should accept internationalized domains', () => {
+      expect(isValidDomain('müller.de')).toBe(true);
+      expect(isValidDomain('xn--mller-kva.de')).toBe(true);
+      expect(isValidDomain('müller .de')).toBe(false);
+    });
+  });
+
+  describe('getRegistrableDomain', () => {
+    test('should return eTLD+1 using the Public Suffix List', () => {
+      expect(getRegistrableDomain('www.shop.example.co.uk')).toBe('example.co.uk');
+      expect(getRegistrableDomain('checkout.shop.example.co.uk')).toBe('example.co.uk');
+      expect(getRegistrableDomain('example.com')).toBe('example.com');
+      expect(getRegistrableDomain('user.blog.github.io')).toBe('blog.github.io');
+    });
+
+    test('should honour wildcard and exception rules', () => {
+      expect(getRegistrableDomain('a.b.ck')).toBe('a.b.ck');
+      expect(getRegistrableDomain('www.ck')).toBe('www.ck');
+      expect(getRegistrableDomain('x.city.kawasaki.jp')).toBe('city.kawasaki.jp');
+    });
+
+    test('should return null for public suffixes and invalid hosts', () => {
+      expect(getRegistrableDomain('co.uk')).toBeNull();
+      expect(getRegistrableDomain('github.io')).toBeNull();
+      expect(getRegistrableDomain('localhost')).toBeNull();
+    });
+
+    test('should use the punycode form for internationalized domains', () => {
+      expect(getRegistrableDomain('www.müller.de')).toBe('xn--mller-kva.de');
+    });
+
+    test('isSubdomainOf should match the domain and its subdomains only', () => {
+      expect(isSubdomainOf('a.example.com', 'example.com')).toBe(true);
+      expect(isSubdomainOf('example.com', 'example.com')).toBe(true);
+      expect(isSubdomainOf('badexample.com', 'example.com')).toBe(false);
+      expect(isSubdomainOf('example.com', null)).toBe(false);
+    });
+
+    test('parseDomainEntry should accept plain and wildcard entries', () => {
+      expect(parseDomainEntry('Example.com')).toEqual({ entry: 'example.com', domain: 'example.com', wildcard: false });
+      expect(parseDomainEntry(' *.Corp.Example ')).toEqual({ entry: '*.corp.example', domain: 'corp.example', wildcard: true });
+      expect(parseDomainEntry('*.müller.de')).toEqual({ entry: '*.xn--mller-kva.de', domain: 'xn--mller-kva.de', wildcard: true });
+      expect(parseDomainEntry('*.com')).toBeNull();
+      expect(parseDomainEntry('corp.*.example')).toBeNull();
+      expect(parseDomainEntry('*')).toBeNull();
+      expect(parseDomainEntry(null)).toBeNull();
+    });
+  });
+
+  describe('internationalized domains', () => {
+    test('getDomainFromUrl should return the punycode form', () => {
+      expect(getDomainFromUrl('https://Müller.de/pfad')).toBe('xn--mller-kva.de');
+      expect(getDomainFromUrl('bücher.example')).toBe('xn--bcher-kva.example');
+    });
+
+    test('toASCIIDomain should convert Unicode labels to punycode', () => {
+      expect(toASCIIDomain('müller.de')).toBe('xn--mller-kva.de');
+      expect(toASCIIDomain('Example.COM')).toBe('example.com');
+      expect(toASCIIDomain('müller.de/pfad')).toBeNull();
+      expect(toASCIIDomain(null)).toBeNull();
+    });
+
+    test('toUnicodeDomain should decode punycode labels for display', () => {
+      expect(toUnicodeDomain('xn--mller-kva.de')).toBe('müller.de');
+      expect(toUnicodeDomain('www.xn--r8jz45g.xn--zckzah')).toBe('www.例え.テスト');
+      expect(toUnicodeDomain('example.com')).toBe('example.com');
+      expect(toUnicodeDomain('xn--!!.de')).toBe('xn--!!.de');
+    });
   });
 
   describe('validateStringChars', () => {
@@ -264,4 +340,28 @@ describe('Utilities', () => {
       expect(id).toMatch(/^\d+-[a-z0-9]+$/);
     });
   });
+
+  describe('content script imports', () => {
+    const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+    // Follows the static imports of a module, as the browser does
+    const collectImports = (file, seen = new Set()) => {
+      if (seen.has(file)) return seen;
+      seen.add(file);
+      const source = readFileSync(path.join(root, file), 'utf8');
+      for (const [, specifier] of source.matchAll(/^import [^;]*?from '([^']+)';/gm)) {
+        collectImports(path.posix.join(path.posix.dirname(file), specifier), seen);
+      }
+      return seen;
+    };
+
+    test('every module loaded by the content script is web accessible', () => {
+      const manifest = JSON.parse(readFileSync(path.join(root, 'manifest.json'), 'utf8'));
+      const accessible = manifest.web_accessible_resources.flatMap(entry => entry.resources);
+      const modules = [...collectImports('content/content.js')];
+
+      expect(modules).not.toContain('core/public-suffix-list.js');
+      expect(modules.filter(file => !accessible.includes(file))).toEqual([]);
+    });
+  });
 });
@@ -2,6 +2,15 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  splitOptions,
+  parseDomainOnlyFromDoublePipe,
+  normalizeOptions,
+  badfilterKey,
+  isBadfilter,
+  OPTION_RESOURCE_TYPES,
+  DEFAULT_RESOURCE_TYPES,
+} from './precompile-filters.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,32 +21,58 @@ const OUTPUT_FILE = path.join(projectRoot, 'filter_lists', 'filter_optimized.cle
 
 // Flags
 const IN_PLACE = process.argv.includes('--in-place') || process.argv.includes('--inplace');
+const DRY_RUN = process.argv.includes('--dry-run');
 const SHOW_STATS = process.argv.includes('--stats');
 
-function parseDomainOnlyFromDoublePipe(rule) {
-  if (!rule || !rule.startsWith('||')) return null;
-  let rest = rule.slice(2);
-  // Domain-only must not include a path
-  if (rest.includes('/')) return null;
-  // Drop trailing separators like ^ and stray ^ inside
-  rest = rest.replace(/\^+$/, '');
-  const host = rest.replace(/\^/g, '').replace(/^\.+/, '').trim();
+// Lines of unchanged context around each hunk of the --dry-run diff
+const DIFF_CONTEXT = 3;
+
+// Type options that select a subset of the types a rule without type options blocks
+function isNarrowingType(option) {
+  return DEFAULT_RESOURCE_TYPES.includes(OPTION_RESOURCE_TYPES[option]);
+}
+
+// Parses a "||domain^" filter with optional options; returns { host, options } or null.
+// Block rules without a party option are compiled third-party only, so that is made explicit.
+export function parseDomainRule(line) {
+  const { pattern, options } = splitOptions(line);
+  const host = parseDomainOnlyFromDoublePipe(pattern);
   if (!host) return null;
-  return host.toLowerCase();
+  const normalized = normalizeOptions(options);
+  if (!normalized.includes('third-party') && !normalized.includes('first-party')) {
+    normalized.push('third-party');
+    normalized.sort();
+  }
+  return { host, options: normalized };
 }
 
-async function main() {
-  const start = Date.now();
-  const raw = await fs.readFile(INPUT_FILE, 'utf8');
-  // Preserve original line endings (assume CRLF if present)
-  const hasCRLF = /\r\n/.test(raw);
-  const EOL = hasCRLF ? '\r\n' : '\n';
-  const lines = raw.split(/\r?\n/);
+// True if a parent-domain rule with parentOptions blocks every request the child rule blocks.
+// The child may only add $domain= (when the parent has none) or type options (when the parent
+// has none, since type options are OR'ed); everything else must match exactly.
+export function coversOptions(parentOptions, childOptions) {
+  if (!parentOptions.every((option) => childOptions.includes(option))) return false;
+  const parentHasDomains = parentOptions.some((option) => option.startsWith('domain='));
+  const parentHasTypes = parentOptions.some((option) => Object.hasOwn(OPTION_RESOURCE_TYPES, option));
+  return childOptions
+    .filter((option) => !parentOptions.includes(option))
+    .every((option) => (option.startsWith('domain=') && !parentHasDomains)
+      || (isNarrowingType(option) && !parentHasTypes));
+}
 
-  const seenDomains = new Set();
-  const domainCounts = new Map();
+// Parent domains of a host, broadest first: "a.b.example.com" -> ["com", "example.com", "b.example.com"]
+function parentDomains(host) {
+  const labels = host.split('.');
+  const parents = [];
+  for (let i = labels.length - 1; i >= 1; i--) {
+    parents.push(labels.slice(i).join('.'));
+  }
+  return parents;
+}
 
-  const outLines = [];
+// Removes duplicate domain rules and rules a parent-domain rule already covers (DNR
+// requestDomains match subdomains). Returns { outLines, removed, stats, domainCounts };
+// removed entries are { index, line, reason, coveredBy } with 0-based line indexes.
+export function dedupeLines(lines) {
   const stats = {
     totalLines: lines.length,
     empty: 0,
@@ -45,69 +80,175 @@ async function main() {
     metadata: 0,
     exceptions: 0,
     cosmetic: 0,
+    badfilters: 0,
     domainOnlyTotal: 0,
     domainOnlyDuplicates: 0,
+    subdomainRedundant: 0,
     kept: 0,
     removed: 0,
   };
 
-  for (const rawLine of lines) {
-    const line = (rawLine ?? '');
-    const trimmed = line.trim();
-
-    if (!trimmed) { stats.empty++; outLines.push(line); continue; }
-    if (trimmed.startsWith('!')) { stats.comments++; outLines.push(line); continue; }
-    if (trimmed.startsWith('[')) { stats.metadata++; outLines.push(line); continue; }
-    if (trimmed.startsWith('@@')) { stats.exceptions++; outLines.push(line); continue; }
-    if (trimmed.includes('##') || trimmed.includes('#@#') || trimmed.includes('#?#')) { stats.cosmetic++; outLines.push(line); continue; }
-
-    const domainOnly = parseDomainOnlyFromDoublePipe(trimmed);
-    if (domainOnly) {
-      stats.domainOnlyTotal++;
-      const prev = domainCounts.get(domainOnly) || 0;
-      domainCounts.set(domainOnly, prev + 1);
-      if (seenDomains.has(domainOnly)) {
-        stats.domainOnlyDuplicates++;
-        stats.removed++;
-        // skip duplicate domain-only entries
-        continue;
-      }
-      seenDomains.add(domainOnly);
-      outLines.push(line); // keep original formatting
-      stats.kept++;
+  // Filters cancelled by a $badfilter in the same list cannot cover anything
+  const cancelled = new Set(lines.filter((line) => isBadfilter(line.trim())).map((line) => badfilterKey(line)));
+
+  const domainRules = [];
+  const rulesByHost = new Map();
+  const domainCounts = new Map();
+
+  lines.forEach((rawLine, index) => {
+    const trimmed = (rawLine ?? '').trim();
+    if (!trimmed) { stats.empty++; return; }
+    if (trimmed.startsWith('!')) { stats.comments++; return; }
+    if (trimmed.startsWith('[')) { stats.metadata++; return; }
+    if (trimmed.startsWith('@@')) { stats.exceptions++; return; }
+    if (trimmed.includes('##') || trimmed.includes('#@#') || trimmed.includes('#?#')) { stats.cosmetic++; return; }
+    if (isBadfilter(trimmed)) { stats.badfilters++; return; }
+
+    const parsed = parseDomainRule(trimmed);
+    if (!parsed || cancelled.has(badfilterKey(trimmed))) return;
+
+    stats.domainOnlyTotal++;
+    domainCounts.set(parsed.host, (domainCounts.get(parsed.host) || 0) + 1);
+    const rule = { ...parsed, index, line: trimmed, key: parsed.options.join(',') };
+    domainRules.push(rule);
+    if (!rulesByHost.has(parsed.host)) rulesByHost.set(parsed.host, []);
+    rulesByHost.get(parsed.host).push(rule);
+  });
+
+  const removed = [];
+  for (const rule of domainRules) {
+    const duplicateOf = rulesByHost.get(rule.host).find((other) => other.key === rule.key);
+    if (duplicateOf !== rule) {
+      stats.domainOnlyDuplicates++;
+      removed.push({ index: rule.index, line: rule.line, reason: 'duplicate', coveredBy: duplicateOf });
       continue;
     }
 
-    // Non-domain-only lines are kept as-is
-    outLines.push(line);
-    stats.kept++;
+    let coveredBy = null;
+    for (const parent of parentDomains(rule.host)) {
+      coveredBy = (rulesByHost.get(parent) || []).find((other) => coversOptions(other.options, rule.options));
+      if (coveredBy) break;
+    }
+    if (coveredBy) {
+      stats.subdomainRedundant++;
+      removed.push({ index: rule.index, line: rule.line, reason: 'subdomain', coveredBy });
+    }
+  }
+
+  const removedIndexes = new Set(removed.map((entry) => entry.index));
+  const outLines = lines.filter((_, index) => !removedIndexes.has(index));
+  stats.removed = removed.length;
+  stats.kept = lines.length - stats.empty - stats.comments - stats.metadata - stats.exceptions - stats.cosmetic
+    - stats.badfilters - stats.removed;
+
+  return { outLines, removed, stats, domainCounts };
+}
+
+// Human-readable reason for a removed line, e.g.
+// "||ads.example.com^ (line 7): covered by ||example.com^ (line 3)"
+export function describeRemoval(entry) {
+  const where = `${entry.line} (line ${entry.index + 1})`;
+  const by = `${entry.coveredBy.line} (line ${entry.coveredBy.index + 1})`;
+  return entry.reason === 'duplicate' ? `${where}: duplicate of ${by}` : `${where}: covered by ${by}`;
+}
+
+// Unified diff for a list that only lost the lines at removedIndexes (0-based)
+export function unifiedDiff(lines, removedIndexes, { fromFile = 'a', toFile = 'b', context = DIFF_CONTEXT } = {}) {
+  const removedSorted = [...removedIndexes].sort((a, b) => a - b);
+  if (removedSorted.length === 0) return '';
+
+  // Group removals whose context windows touch into one hunk
+  const hunks = [];
+  for (const index of removedSorted) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= 2 * context + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  const removedSet = new Set(removedSorted);
+  let removedBefore = 0;
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(lines.length - 1, hunk.end + context);
+    const body = [];
+    let removedInHunk = 0;
+    for (let i = from; i <= to; i++) {
+      if (removedSet.has(i)) {
+        body.push(`-${lines[i]}`);
+        removedInHunk++;
+      } else {
+        body.push(` ${lines[i]}`);
+      }
+    }
+    const oldLength = to - from + 1;
+    const newLength = oldLength - removedInHunk;
+    const newStart = newLength === 0 ? from - removedBefore : from - removedBefore + 1;
+    out.push(`@@ -${from + 1},${oldLength} +${newStart},${newLength} @@`, ...body);
+    removedBefore += removedInHunk;
   }
+  return out.join('\n') + '\n';
+}
 
-  const outContent = outLines.join(EOL);
-  const target = IN_PLACE ? INPUT_FILE : OUTPUT_FILE;
-  await fs.writeFile(target, outContent, 'utf8');
+async function main() {
+  const start = Date.now();
+  const raw = await fs.readFile(INPUT_FILE, 'utf8');
+  // Preserve original line endings (assume CRLF if present)
+  const hasCRLF = /\r\n/.test(raw);
+  const EOL = hasCRLF ? '\r\n' : '\n';
+  const lines = raw.split(/\r?\n/);
 
+  const { outLines, removed, stats, domainCounts } = dedupeLines(lines);
   const ms = (Date.now() - start).toFixed(0);
-  const duplicates = [...domainCounts.entries()].filter(([, c]) => c > 1).sort((a, b) => b[1] - a[1]);
+  const relativeInput = path.relative(projectRoot, INPUT_FILE);
+
+  if (DRY_RUN) {
+    const diff = unifiedDiff(lines, removed.map((entry) => entry.index), {
+      fromFile: `a/${relativeInput}`,
+      toFile: `b/${relativeInput}`,
+    });
+    process.stdout.write(diff);
+  } else {
+    const target = IN_PLACE ? INPUT_FILE : OUTPUT_FILE;
+    await fs.writeFile(target, outLines.join(EOL), 'utf8');
+    console.log(`[dedupe-filters] Wrote cleaned file to ${path.relative(projectRoot, target)} in ${ms}ms`);
+  }
+
+  // Keep the diff on stdout clean so it can be piped into a patch file
+  const log = DRY_RUN ? console.error : console.log;
+  if (removed.length) {
+    log(`[dedupe-filters] ${DRY_RUN ? 'Would remove' : 'Removed'} ${removed.length} redundant rule(s):`);
+    for (const entry of removed) {
+      log(`  ${describeRemoval(entry)}`);
+    }
+  } else {
+    log('[dedupe-filters] No redundant rules found.');
+  }
 
-  console.log(`[dedupe-filters] Wrote cleaned file to ${path.relative(projectRoot, target)} in ${ms}ms`);
   if (SHOW_STATS) {
     const header = '[dedupe-filters][stats]';
-    console.log(`${header} totalLines=${stats.totalLines} kept=${stats.kept} removed=${stats.removed}`);
-    console.log(`${header} empty=${stats.empty} comments=${stats.comments} metadata=${stats.metadata} exceptions=${stats.exceptions} cosmetic=${stats.cosmetic}`);
-    console.log(`${header} domainOnly: total=${stats.domainOnlyTotal} duplicates=${stats.domainOnlyDuplicates} unique=${seenDomains.size}`);
+    const duplicates = [...domainCounts.entries()].filter(([, c]) => c > 1).sort((a, b) => b[1] - a[1]);
+    log(`${header} totalLines=${stats.totalLines} kept=${stats.kept} removed=${stats.removed}`);
+    log(`${header} empty=${stats.empty} comments=${stats.comments} metadata=${stats.metadata} exceptions=${stats.exceptions} cosmetic=${stats.cosmetic} badfilters=${stats.badfilters}`);
+    log(`${header} domainOnly: total=${stats.domainOnlyTotal} duplicates=${stats.domainOnlyDuplicates} subdomainRedundant=${stats.subdomainRedundant} unique=${domainCounts.size}`);
     if (duplicates.length) {
-      console.log(`${header} duplicate domain-only entries:`);
+      log(`${header} domains with more than one entry:`);
       for (const [name, count] of duplicates) {
-        console.log(`  ${name} x${count}`);
+        log(`  ${name} x${count}`);
       }
     } else {
-      console.log(`${header} no duplicate domain-only entries.`);
+      log(`${header} no duplicate domain entries.`);
     }
   }
 }
 
-main().catch((err) => {
-  console.error('[dedupe-filters] Failed:', err?.message || err);
-  process.exitCode = 1;
-});
+// Only run when executed directly, so tests can import the helpers
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error('[dedupe-filters] Failed:', err?.message || err);
+    process.exitCode = 1;
+  });
+}
@@ -3,257 +3,678 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { EXTENSION_CONFIG } from '../core/config.js';
+import { isValidDomain, toASCIIDomain } from '../core/utilities.js';
+import {
+  BLOCK_PRIORITY,
+  DEFAULT_RESOURCE_TYPES,
+  REDIRECT_RESOURCES,
+  splitOptions,
+  parseDomainOnlyFromDoublePipe,
+  buildBlockRule,
+  buildExceptionRule,
+  mergeRemoveParamRules,
+} from '../core/rule-translator.js';
+
+// The line translation lives in core/ so custom rules compile the same way in the browser
+export {
+  DEFAULT_RESOURCE_TYPES,
+  REDIRECT_RESOURCES,
+  OPTION_RESOURCE_TYPES,
+  splitOptions,
+  parseDomainOnlyFromDoublePipe,
+  isRegexPattern,
+  toASCIIPatternHost,
+  abpToUrlFilter,
+  abpToRegex,
+  buildPatternCondition,
+  translateOptions,
+  initiatorParty,
+  buildBlockRule,
+  buildExceptionRule,
+  mergeRemoveParamRules,
+} from '../core/rule-translator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, '..');
 
-const INPUT_FILE = path.join(projectRoot, 'filter_lists', 'filter_optimized.txt');
-const OUTPUT_FILE = path.join(projectRoot, 'filter_lists', 'filter_precompiled.json');
+const FILTER_DIR = path.join(projectRoot, 'filter_lists');
+const RESOURCES_DIR = path.join(projectRoot, 'resources');
+const LISTS_FILE = path.join(FILTER_DIR, 'lists.json');
+const MANIFEST_FILE = path.join(projectRoot, 'manifest.json');
 const SHOW_STATS = process.argv.includes('--stats');
+const MAX_REGEX_RULES = EXTENSION_CONFIG.LIMITS.MAX_REGEX_RULES;
 
-// RE2-safe escape for regex (used by Chrome DNR)
-function escapeRegex(str) {
-  // Escape characters that have special meaning in RE2/JS regex
-  // Canonical pattern from MDN: /[.*+?^${}()|[^\\]\\]/g
-  return str.replace(/[.*+?^${}()|[\\]\\]/g, '\\$&');
+// Supported list formats; "auto" detects the format from the list content
+const LIST_FORMATS = ['auto', 'abp', 'hosts', 'domains'];
+
+// Hosts-file line: a sink address followed by one or more hostnames, e.g. "0.0.0.0 tracker.example"
+const HOSTS_LINE = /^(?:[0-9.]+|[0-9a-f:]*:[0-9a-f:%.\w]*)\s+\S/i;
+const PLAIN_DOMAIN_LINE = /^[\w\u0080-\uffff-]+(?:\.[\w\u0080-\uffff-]+)+\.?$/i;
+
+// Strips a trailing "# comment" from hosts and plain domain lists
+function stripHashComment(line) {
+  const hash = line.indexOf('#');
+  return (hash === -1 ? line : line.slice(0, hash)).trim();
 }
 
-// Resource types to consider (exclude main_frame for safety/perf)
-const DEFAULT_RESOURCE_TYPES = [
-  'script',
-  'image',
-  'stylesheet',
-  'xmlhttprequest',
-  'font',
-  'media',
-  'sub_frame',
-  'websocket',
-  'ping',
-  'other',
-];
-
-// Returns a domain (string) if rule is a pure domain-only ABP pattern: "||domain.tld^"
-function parseDomainOnlyFromDoublePipe(rule) {
-  if (!rule.startsWith('||')) return null;
-  let rest = rule.slice(2);
-  // Drop trailing separators like ^
-  rest = rest.replace(/\^+$/, '');
-  // Domain-only must not include a path
-  if (rest.includes('/')) return null;
-  const host = rest.replace(/\^/g, '').replace(/^\.+/, '').trim();
-  if (!host) return null;
-  return host.toLowerCase();
+// Returns the hostnames of a hosts-file line (without the address), or null for other lines
+export function parseHostsLine(line) {
+  const entry = stripHashComment(line);
+  if (!HOSTS_LINE.test(entry)) return null;
+  return entry.split(/\s+/).slice(1).map((host) => toASCIIDomain(host) || host.toLowerCase());
 }
 
-function buildRegexForDomainRule(rule) {
-  // Handle patterns like: ||domain.com^ or ||domain.com/path^ or ||sub.domain.tld^
-  // ABP semantics: || matches beginning of domain name, including subdomains
-  // We'll translate to RE2 regex for DNR: ^https?://([a-z0-9-]+\.)*domain\.tld(:\d+)?(/|$)
+// Returns the domain of a one-domain-per-line entry, or null for other lines
+export function parsePlainDomainLine(line) {
+  const entry = stripHashComment(line);
+  if (!PLAIN_DOMAIN_LINE.test(entry)) return null;
+  const domain = entry.replace(/\.$/, '');
+  return toASCIIDomain(domain) || domain.toLowerCase();
+}
 
-  // Strip leading '||'
-  let rest = rule.slice(2);
+// Detects whether a list is a hosts file, a plain domain list or ABP syntax.
+// Hosts/domain lists must consist (almost) entirely of such lines; anything else is ABP.
+export function detectListFormat(lines) {
+  let total = 0;
+  let hosts = 0;
+  let domains = 0;
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+    if (line.startsWith('[')) return 'abp';
+    total++;
+    if (parseHostsLine(line)) hosts++;
+    else if (parsePlainDomainLine(line)) domains++;
+  }
+  if (total === 0) return 'abp';
+  if (hosts / total >= 0.9) return 'hosts';
+  if (domains / total >= 0.9) return 'domains';
+  return 'abp';
+}
 
-  // Split into host and optional path based on first '/' occurrence
-  let hostPart = rest;
-  let pathPart = '';
+// Upper bound for requestDomains per packed rule, to keep single rules reviewable
+export const MAX_DOMAINS_PER_RULE = 1000;
+
+// Packs rules that only differ in their single requestDomains entry into shared rules.
+// The source of a packed rule becomes { domains: { [domain]: source } } so matches can
+// still be attributed to the filter line of the individual domain.
+export function packDomainRules(entries) {
+  const output = [];
+  const groups = new Map();
+  for (const entry of entries) {
+    const { requestDomains, ...rest } = entry.rule.condition;
+    if (!requestDomains || requestDomains.length !== 1 || rest.urlFilter || rest.regexFilter) {
+      output.push(entry);
+      continue;
+    }
+    const key = JSON.stringify([entry.rule.priority, entry.rule.action, rest]);
+    let group = groups.get(key);
+    if (!group || group.rule.condition.requestDomains.length >= MAX_DOMAINS_PER_RULE) {
+      group = { rule: { ...entry.rule, condition: { requestDomains: [], ...rest } }, domains: {} };
+      groups.set(key, group);
+      output.push(group);
+    }
+    const [domain] = requestDomains;
+    if (!Object.hasOwn(group.domains, domain)) {
+      group.rule.condition.requestDomains.push(domain);
+      group.domains[domain] = entry.source;
+    }
+  }
 
-  const slashIdx = rest.indexOf('/');
-  if (slashIdx !== -1) {
-    hostPart = rest.slice(0, slashIdx);
-    pathPart = rest.slice(slashIdx); // includes '/'
+  return output.map((entry) => {
+    if (!entry.domains) return entry;
+    const domainSources = Object.values(entry.domains);
+    return {
+      rule: entry.rule,
+      source: domainSources.length === 1 ? domainSources[0] : { domains: entry.domains },
+    };
+  });
+}
+
+// Counts which matching path each compiled rule takes, to keep an eye on the regex budget
+export function countConditionPaths(rules) {
+  const paths = { requestDomains: 0, urlFilter: 0, regexFilter: 0 };
+  for (const { condition } of rules) {
+    if (condition.regexFilter) paths.regexFilter++;
+    else if (condition.urlFilter) paths.urlFilter++;
+    else if (condition.requestDomains) paths.requestDomains++;
   }
+  return paths;
+}
 
-  // Remove trailing '^' from host or path if present (separator in ABP)
-  hostPart = hostPart.replace(/\^+$/, '');
-  pathPart = pathPart.replace(/\^+$/, '');
-
-  // Host part may still contain a '^' separator; drop it
-  hostPart = hostPart.replace(/\^/g, '');
-
-  // Safety: trim any leading dots
-  hostPart = hostPart.replace(/^\.+/, '').trim();
-  if (!hostPart) return null;
-
-  // Escape host for regex dots
-  const escapedHost = escapeRegex(hostPart);
-
-  // Build host regex to allow subdomains: ([a-z0-9-]+\.)*host
-  const hostRegex = `([a-z0-9-]+\\.)*${escapedHost}`;
-
-  // Path part handling
-  let pathRegex = '';
-  if (pathPart) {
-    // Convert ABP wildcards '*' to '.*'
-    let p = pathPart
-      .replace(/\^/g, '')
-      .replace(/\*/g, '.*');
-    // Escape remaining regex chars except the '.*' we just produced
-    // Do a two-step: temporarily protect '.*'
-    p = p.replace(/\.\*/g, '__WILDCARD__');
-    p = escapeRegex(p);
-    p = p.replace(/__WILDCARD__/g, '.*');
-    // Ensure it starts with '/'
-    if (!p.startsWith('/')) p = '/' + p;
-    pathRegex = p;
-  } else {
-    pathRegex = '(/|$)'; // end or path start
+// Environment the !#if directives are evaluated against; unknown tokens are false
+const PREPROCESSOR_ENV = {
+  true: true,
+  false: false,
+  env_chromium: true,
+  env_chrome: true,
+  env_mv3: true,
+  env_edge: false,
+  env_firefox: false,
+  env_safari: false,
+  env_mobile: false,
+  ext_ublock: false,
+  ext_abp: false,
+  adguard: false,
+  cap_html_filtering: false,
+  cap_user_stylesheet: false,
+};
+
+// Evaluates a !#if expression (tokens combined with !, &&, || and parentheses).
+// Malformed expressions evaluate to false, like in uBlock Origin.
+export function evaluateCondition(expression, env = PREPROCESSOR_ENV) {
+  const tokens = expression.match(/&&|\|\||[!()]|[\w-]+|\S/g) || [];
+  let pos = 0;
+
+  const parseOr = () => {
+    let value = parseAnd();
+    while (tokens[pos] === '||') {
+      pos++;
+      value = parseAnd() || value;
+    }
+    return value;
+  };
+  const parseAnd = () => {
+    let value = parseUnary();
+    while (tokens[pos] === '&&') {
+      pos++;
+      value = parseUnary() && value;
+    }
+    return value;
+  };
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (token === '!') return !parseUnary();
+    if (token === '(') {
+      const value = parseOr();
+      if (tokens[pos++] !== ')') throw new Error('Unbalanced parentheses');
+      return value;
+    }
+    if (!token || !/^[\w-]+$/.test(token)) throw new Error(`Unexpected token: ${token}`);
+    return env[token] === true;
+  };
+
+  try {
+    const value = parseOr();
+    return pos === tokens.length && value;
+  } catch (_) {
+    return false;
   }
+}
 
-  // Schemes restriction: http and https only
-  const regex = `^https?:\\/\\/${hostRegex}(?::\\d+)?${pathRegex}`;
-  return regex;
+async function readListLines(file) {
+  return (await fs.readFile(file, 'utf8')).split(/\r?\n/);
 }
 
-function abpToRegex(rule) {
-  rule = rule.trim();
-  if (!rule || rule.startsWith('!') || rule.startsWith('[')) return null; // comments and metadata
-  if (rule.includes('##') || rule.includes('#@#') || rule.includes('#?#')) return null; // cosmetic filters unsupported in DNR
+// Resolves !#if/!#else/!#endif blocks for a Chromium MV3 environment and inlines
+// !#include files (relative to the including file, never outside filter_lists/).
+// Returns { lines, origins, stats }; origins[i] = { file, line } points at the source of lines[i].
+export async function preprocessList(lines, { file, readLines = readListLines } = {}) {
+  const out = [];
+  const origins = [];
+  const stats = { directives: 0, dropped: 0, included: 0, includes: 0 };
+
+  const visit = async (fileLines, filePath, chain) => {
+    const displayName = path.relative(FILTER_DIR, filePath).split(path.sep).join('/');
+    // One entry per open !#if: whether its current branch is active
+    const conditions = [];
+    const active = () => conditions.every(Boolean);
+
+    for (const [index, rawLine] of fileLines.entries()) {
+      const line = rawLine.trim();
+      if (line.startsWith('!#')) {
+        stats.directives++;
+        const [directive, ...rest] = line.slice(2).split(/\s+/);
+        const argument = rest.join(' ');
+        if (directive === 'if') {
+          conditions.push(evaluateCondition(argument));
+        } else if (directive === 'else' && conditions.length) {
+          conditions.push(!conditions.pop());
+        } else if (directive === 'endif' && conditions.length) {
+          conditions.pop();
+        } else if (directive === 'include' && active()) {
+          await include(argument, filePath, chain);
+        }
+        continue;
+      }
+      if (!active()) {
+        if (line) stats.dropped++;
+        continue;
+      }
+      out.push(rawLine);
+      origins.push({ file: displayName, line: index + 1 });
+      if (chain.length > 1 && line) stats.included++;
+    }
+  };
+
+  const include = async (target, fromFile, chain) => {
+    if (!target || /^[a-z][a-z0-9+.-]*:/i.test(target) || path.isAbsolute(target)) {
+      throw new Error(`Only relative local paths can be included: "${target}" in ${fromFile}`);
+    }
+    const resolved = path.resolve(path.dirname(fromFile), target);
+    if (path.relative(FILTER_DIR, resolved).startsWith('..')) {
+      throw new Error(`Included file is outside filter_lists/: "${target}" in ${fromFile}`);
+    }
+    if (chain.includes(resolved)) {
+      const cycle = [...chain, resolved].map((f) => path.relative(FILTER_DIR, f)).join(' -> ');
+      throw new Error(`Include cycle detected: ${cycle}`);
+    }
+    stats.includes++;
+    await visit(await readLines(resolved), resolved, [...chain, resolved]);
+  };
 
-  // Exception rules ("@@") are allow rules; we skip them here because our baseline is blocking rules only.
-  if (rule.startsWith('@@')) return null;
+  const rootFile = path.resolve(file || path.join(FILTER_DIR, 'list.txt'));
+  await visit(lines, rootFile, [rootFile]);
+  return { lines: out, origins, stats };
+}
 
-  // Domain-style rule
-  if (rule.startsWith('||')) {
-    return buildRegexForDomainRule(rule);
+// Option spellings that mean the same thing, so "$badfilter" lines match regardless of style
+const EQUIVALENT_OPTIONS = {
+  '~third-party': 'first-party',
+  '~first-party': 'third-party',
+  '3p': 'third-party',
+  '1p': 'first-party',
+  frame: 'subdocument',
+  xhr: 'xmlhttprequest',
+  css: 'stylesheet',
+  doc: 'document',
+};
+
+// Canonical, sorted option list: option order, duplicate options, domain order and
+// equivalent spellings do not matter; the $badfilter option itself is dropped
+export function normalizeOptions(options) {
+  const normalized = new Set();
+  for (const option of options) {
+    if (option === 'badfilter') continue;
+    if (option.startsWith('domain=')) {
+      normalized.add(`domain=${option.slice('domain='.length).split('|').sort().join('|')}`);
+    } else {
+      normalized.add(EQUIVALENT_OPTIONS[option] || option);
+    }
   }
+  return [...normalized].sort();
+}
 
-  // Exact scheme-anchor like |http:// or |https://
-  if (rule.startsWith('|http://') || rule.startsWith('|https://')) {
-    let r = rule.slice(1); // drop leading '|'
-    // Basic ABP translations
-    r = r.replace(/\^/g, '');
-    r = r.replace(/\*/g, '.*');
-    // Escape other regex characters while preserving wildcards
-    r = r.replace(/\.\*/g, '__WILDCARD__');
-    r = escapeRegex(r);
-    r = r.replace(/__WILDCARD__/g, '.*');
-    // Anchor at start
-    return `^${r}`;
-  }
+// Canonical form of a filter for $badfilter matching
+export function badfilterKey(line) {
+  const { pattern, options } = splitOptions(line.trim());
+  const normalized = normalizeOptions(options);
+  return normalized.length ? `${pattern}$${normalized.join(',')}` : pattern;
+}
 
-  // Fallback: convert basic wildcards; allow matching anywhere in URL
-  let r = rule
-    .replace(/\^/g, '')
-    .replace(/\*/g, '.*');
-  r = r.replace(/\.\*/g, '__WILDCARD__');
-  r = escapeRegex(r);
-  r = r.replace(/__WILDCARD__/g, '.*');
-  return r ? r : null;
+// True for lines carrying the $badfilter option
+export function isBadfilter(line) {
+  return splitOptions(line.trim()).options.includes('badfilter');
 }
 
-async function main() {
-  const start = Date.now();
-  const txt = await fs.readFile(INPUT_FILE, 'utf8');
-  const lines = txt.split(/\r?\n/);
+// Collects the filters cancelled by "$badfilter" lines of one list.
+// Returns a Map of badfilterKey -> "origin:line" for the --stats output.
+export function collectBadfilters(lines, origin, { origins } = {}) {
+  const badfilters = new Map();
+  for (const [index, rawLine] of lines.entries()) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!') || line.startsWith('[')) continue;
+    const where = origins ? `${origins[index].file}:${origins[index].line}` : `${origin}:${index + 1}`;
+    if (isBadfilter(line)) badfilters.set(badfilterKey(line), where);
+  }
+  return badfilters;
+}
 
-  const domainSet = new Set();
+// Sidecar file next to a compiled ruleset that maps rule IDs back to source lines
+export function provenancePath(output) {
+  return output.replace(/\.json$/i, '') + '.sources.json';
+}
+
+// Compiles the lines of one filter list into DNR rules; IDs start at 1 for every ruleset.
+// `provenance` maps every emitted rule ID to the first source line (1-based) that produced it.
+// `badfilters` (see collectBadfilters) holds filters cancelled by any configured list.
+// `origins` (see preprocessList) replaces the line index when lines come from several files.
+// Hosts files and plain domain lists (`format`) feed the same requestDomains fast path.
+export function compileList(lines, { badfilters = new Map(), origins = null, format = 'abp' } = {}) {
+  const domainSources = new Map();
   const domainCounts = new Map();
-  const regexRules = [];
+  const blockRules = [];
+  const removeParamRules = [];
+  const unsupportedLines = [];
+  const cancelledLines = [];
+  const exceptionRules = [];
+  const exceptionKeys = new Set();
   const stats = {
     totalLines: lines.length,
     empty: 0,
     comments: 0,
     metadata: 0,
     exceptions: 0,
+    exceptionRules: 0,
+    exceptionsSkipped: 0,
     cosmetic: 0,
     domainOnlyTotal: 0,
     domainOnlyUnique: 0,
     domainOnlyDuplicates: 0,
-    regexCount: 0,
+    unsupported: 0,
+    redirects: 0,
+    removeParams: 0,
+    removeParamRules: 0,
+    modifyHeaders: 0,
+    badfilters: 0,
+    cancelled: 0,
+    invalidDomains: 0,
+    packedRulesSaved: 0,
   };
   let id = 1;
 
-  for (const rawLine of lines) {
+  // True if a $badfilter line cancelled `filter`; the cancelled line is listed for --stats
+  const isCancelled = (filter, line, source) => {
+    const cancelledBy = badfilters.size > 0 ? badfilters.get(badfilterKey(filter)) : null;
+    if (!cancelledBy) return false;
+    stats.cancelled++;
+    cancelledLines.push(`${line} (line ${source.line}, cancelled by ${cancelledBy})`);
+    return true;
+  };
+
+  for (const [index, rawLine] of lines.entries()) {
     const line = rawLine.trim();
+    const source = origins ? { ...origins[index], text: line } : { line: index + 1, text: line };
     if (!line) { stats.empty++; continue; }
 
-    // Skip comments, metadata, cosmetic filters and exception rules early
+    if (format === 'hosts' || format === 'domains') {
+      if (line.startsWith('#') || line.startsWith('!')) { stats.comments++; continue; }
+      const hosts = format === 'hosts' ? parseHostsLine(line) : parsePlainDomainLine(line);
+      if (!hosts) {
+        stats.unsupported++;
+        unsupportedLines.push(`${line} (not a ${format} entry)`);
+        continue;
+      }
+      for (const host of [].concat(hosts)) {
+        // Same rules as the runtime: localhost, sink addresses and single labels are ignored
+        if (!isValidDomain(host)) { stats.invalidDomains++; continue; }
+        // An entry blocks like "||host^", so "||host^$badfilter" cancels it
+        if (isCancelled(`||${host}^`, line, source)) continue;
+        stats.domainOnlyTotal++;
+        if (!domainSources.has(host)) domainSources.set(host, source);
+        domainCounts.set(host, (domainCounts.get(host) || 0) + 1);
+      }
+      continue;
+    }
+
+    // Skip comments, metadata and cosmetic filters early
     if (line.startsWith('!')) { stats.comments++; continue; }
     if (line.startsWith('[')) { stats.metadata++; continue; }
-    if (line.startsWith('@@')) { stats.exceptions++; continue; }
     if (line.includes('##') || line.includes('#@#') || line.includes('#?#')) { stats.cosmetic++; continue; }
 
-    // If it's a pure domain-only rule (e.g., ||example.com^), use requestDomains
-    const domainOnly = parseDomainOnlyFromDoublePipe(line);
+    // $badfilter lines only cancel other filters, they never compile themselves
+    if (isBadfilter(line)) { stats.badfilters++; continue; }
+    if (isCancelled(line, line, source)) continue;
+
+    // Exception rules become allow / allowAllRequests rules
+    if (line.startsWith('@@')) {
+      stats.exceptions++;
+      const rule = buildExceptionRule(line);
+      if (!rule) { stats.exceptionsSkipped++; continue; }
+      const key = JSON.stringify([rule.priority, rule.action, rule.condition]);
+      if (!exceptionKeys.has(key)) {
+        exceptionKeys.add(key);
+        exceptionRules.push({ rule, source });
+      }
+      continue;
+    }
+
+    // If it's a pure domain-only rule without options (e.g., ||example.com^), use requestDomains
+    const { options } = splitOptions(line);
+    const domainOnly = options.length === 0 ? parseDomainOnlyFromDoublePipe(line) : null;
     if (domainOnly) {
       stats.domainOnlyTotal++;
-      domainSet.add(domainOnly);
+      if (!domainSources.has(domainOnly)) domainSources.set(domainOnly, source);
       domainCounts.set(domainOnly, (domainCounts.get(domainOnly) || 0) + 1);
       continue;
     }
 
-    // Fallback to regex conversion for all other patterns
-    const regex = abpToRegex(line);
-    if (!regex) continue;
+    // Everything else is translated pattern + options
+    const { rule, error } = buildBlockRule(line);
+    if (error) {
+      stats.unsupported++;
+      unsupportedLines.push(`${line} (${error})`);
+      continue;
+    }
 
-    regexRules.push({
-      id: 0, // assigned later
-      priority: 1,
-      action: { type: 'block' },
-      condition: {
-        regexFilter: regex,
-        isUrlFilterCaseSensitive: false,
-        resourceTypes: DEFAULT_RESOURCE_TYPES,
-        domainType: 'thirdParty',
-      }
-    });
-    stats.regexCount++;
+    if (rule.action.redirect?.transform) {
+      removeParamRules.push({ rule, source });
+      continue;
+    }
+    if (rule.action.type === 'redirect') stats.redirects++;
+    if (rule.action.type === 'modifyHeaders') stats.modifyHeaders++;
+    blockRules.push({ rule, source });
   }
 
+  const mergedRemoveParamRules = mergeRemoveParamRules(removeParamRules);
+  stats.removeParams = removeParamRules.length;
+  stats.removeParamRules = mergedRemoveParamRules.length;
+
   const rules = [];
+  const sources = [];
 
   // Domain-only rules (fast path): block third-party requests to these domains
-  for (const domain of domainSet) {
-    rules.push({
-      id: id++,
-      priority: 1,
+  const domainRules = [...domainSources].map(([domain, source]) => ({
+    rule: {
+      id: 0, // assigned later
+      priority: BLOCK_PRIORITY,
       action: { type: 'block' },
       condition: {
         requestDomains: [domain],
         resourceTypes: DEFAULT_RESOURCE_TYPES,
         domainType: 'thirdParty',
-      }
-    });
-  }
-  stats.domainOnlyUnique = domainSet.size;
+      },
+    },
+    source,
+  }));
+  stats.domainOnlyUnique = domainSources.size;
   stats.domainOnlyDuplicates = stats.domainOnlyTotal - stats.domainOnlyUnique;
 
-  // Regex rules (path-specific or other patterns)
-  for (const r of regexRules) {
-    r.id = id++;
-    rules.push(r);
+  // Exception rules (allow / allowAllRequests) come first, so the rule cap below never drops
+  // them while keeping the blocks they undo; then domain-only rules, pattern rules (path-specific
+  // patterns or rules with options) and merged $removeparam transforms. Rules that only differ
+  // in their domain are packed into shared requestDomains rules.
+  const unpacked = [...exceptionRules, ...domainRules, ...blockRules, ...mergedRemoveParamRules];
+  const packed = packDomainRules(unpacked);
+  for (const { rule, source } of packed) {
+    rule.id = id++;
+    rules.push(rule);
+    sources.push(source);
   }
+  stats.exceptionRules = exceptionRules.length;
+  stats.packedRulesSaved = unpacked.length - packed.length;
 
   // Cap rules to limit defined in config (default ~30k)
   const MAX_RULES = EXTENSION_CONFIG.LIMITS.MAX_RULES_COUNT;
   const finalRules = rules.slice(0, MAX_RULES);
+  const provenance = {};
+  finalRules.forEach((rule, i) => {
+    provenance[rule.id] = sources[i];
+  });
+
+  return {
+    rules: finalRules,
+    provenance,
+    stats,
+    domainCounts,
+    unsupportedLines,
+    cancelledLines,
+    format,
+    counts: {
+      domains: domainSources.size,
+      patterns: blockRules.length + mergedRemoveParamRules.length,
+      exceptions: exceptionRules.length,
+    },
+  };
+}
+
+// Validates the list configuration; every entry becomes one static ruleset
+export function validateListConfig(config) {
+  const lists = Array.isArray(config?.lists) ? config.lists : null;
+  if (!lists || lists.length === 0) {
+    throw new Error('lists.json must contain a non-empty "lists" array');
+  }
+  const seen = new Set();
+  for (const list of lists) {
+    for (const field of ['id', 'title', 'source', 'output']) {
+      if (typeof list?.[field] !== 'string' || !list[field]) {
+        throw new Error(`List entry is missing "${field}": ${JSON.stringify(list)}`);
+      }
+    }
+    if (list.format !== undefined && !LIST_FORMATS.includes(list.format)) {
+      throw new Error(`Invalid format "${list.format}" for list ${list.id}; expected one of ${LIST_FORMATS.join(', ')}`);
+    }
+    // Chrome reserves ruleset IDs starting with "_"
+    if (!/^[A-Za-z0-9][\w-]*$/.test(list.id)) {
+      throw new Error(`Invalid ruleset id: ${list.id}`);
+    }
+    if (seen.has(list.id)) {
+      throw new Error(`Duplicate ruleset id: ${list.id}`);
+    }
+    seen.add(list.id);
+  }
+  return lists;
+}
+
+// Builds the manifest's declarative_net_request.rule_resources for the configured lists
+export function buildRuleResources(lists) {
+  return lists.map((list) => ({
+    id: list.id,
+    enabled: list.enabled !== false,
+    path: `filter_lists/${list.output}`,
+  }));
+}
 
+// Rewrites manifest.json so its rule_resources match lists.json, keeping the file's formatting
+async function syncManifest(lists) {
+  const raw = await fs.readFile(MANIFEST_FILE, 'utf8');
+  const manifest = JSON.parse(raw);
+  const ruleResources = buildRuleResources(lists);
+  if (JSON.stringify(manifest.declarative_net_request?.rule_resources) === JSON.stringify(ruleResources)) {
+    return false;
+  }
+  manifest.declarative_net_request = { ...manifest.declarative_net_request, rule_resources: ruleResources };
+  const EOL = raw.endsWith('\n') ? '\n' : '';
+  await fs.writeFile(MANIFEST_FILE, JSON.stringify(manifest, null, 4) + EOL, 'utf8');
+  return true;
+}
+
+function printStats(list, result) {
+  const { stats, domainCounts, unsupportedLines, cancelledLines } = result;
+  const duplicates = [...domainCounts.entries()].filter(([, c]) => c > 1).sort((a, b) => b[1] - a[1]);
+  const header = `[precompile-filters][stats][${list.id}]`;
+  console.log(`${header} totalLines=${stats.totalLines} empty=${stats.empty} comments=${stats.comments} metadata=${stats.metadata} exceptions=${stats.exceptions} cosmetic=${stats.cosmetic}`);
+  const pre = result.preprocess;
+  if (pre) {
+    console.log(`${header} preprocessor: directives=${pre.directives} dropped=${pre.dropped} includes=${pre.includes} included=${pre.included}`);
+  }
+  console.log(`${header} format=${result.format} invalidDomains=${stats.invalidDomains}`);
+  console.log(`${header} domainOnly: total=${stats.domainOnlyTotal} unique=${stats.domainOnlyUnique} duplicates=${stats.domainOnlyDuplicates}`);
+  console.log(`${header} packing: rules saved=${stats.packedRulesSaved} (max ${MAX_DOMAINS_PER_RULE} domains per rule)`);
+  console.log(`${header} patternRules=${result.counts.patterns} redirects=${stats.redirects} modifyHeaders=${stats.modifyHeaders} unsupported=${stats.unsupported}`);
+  for (const entry of unsupportedLines) {
+    console.log(`  unsupported: ${entry}`);
+  }
+  console.log(`${header} badfilter: lines=${stats.badfilters} cancelled=${stats.cancelled}`);
+  for (const entry of cancelledLines) {
+    console.log(`  cancelled: ${entry}`);
+  }
+  console.log(`${header} removeparam: filters=${stats.removeParams} rules=${stats.removeParamRules}`);
+  console.log(`${header} exceptions: rules=${stats.exceptionRules} skipped=${stats.exceptionsSkipped}`);
+  if (duplicates.length) {
+    console.log(`${header} duplicate domain-only entries:`);
+    for (const [name, count] of duplicates) {
+      console.log(`  ${name} x${count}`);
+    }
+  } else {
+    console.log(`${header} no duplicate domain-only entries.`);
+  }
+}
+
+// Fails the build early if a surrogate referenced by REDIRECT_RESOURCES is missing
+async function verifyRedirectResources() {
+  for (const { file } of Object.values(REDIRECT_RESOURCES)) {
+    await fs.access(path.join(RESOURCES_DIR, file)).catch(() => {
+      throw new Error(`Missing redirect resource: resources/${file}`);
+    });
+  }
+}
+
+async function main() {
+  const start = Date.now();
+  const lists = validateListConfig(JSON.parse(await fs.readFile(LISTS_FILE, 'utf8')));
+  await verifyRedirectResources();
   const PRETTY = process.argv.includes('--pretty');
-  const json = PRETTY ? JSON.stringify(finalRules, null, 2) + '\n' : JSON.stringify(finalRules);
-  await fs.writeFile(OUTPUT_FILE, json, 'utf8');
 
-  const ms = (Date.now() - start).toFixed(0);
-  console.log(`[precompile-filters] Wrote ${finalRules.length} rules to ${path.relative(projectRoot, OUTPUT_FILE)} in ${ms}ms (domains: ${domainSet.size}, regex: ${regexRules.length})`);
-
-  if (SHOW_STATS) {
-    const duplicates = [...domainCounts.entries()].filter(([, c]) => c > 1).sort((a, b) => b[1] - a[1]);
-    const header = '[precompile-filters][stats]';
-    console.log(`${header} totalLines=${stats.totalLines} empty=${stats.empty} comments=${stats.comments} metadata=${stats.metadata} exceptions=${stats.exceptions} cosmetic=${stats.cosmetic}`);
-    console.log(`${header} domainOnly: total=${stats.domainOnlyTotal} unique=${stats.domainOnlyUnique} duplicates=${stats.domainOnlyDuplicates}`);
-    console.log(`${header} regexCount=${stats.regexCount}`);
-    if (duplicates.length) {
-      console.log(`${header} duplicate domain-only entries:`);
-      for (const [name, count] of duplicates) {
-        console.log(`  ${name} x${count}`);
-      }
-    } else {
-      console.log(`${header} no duplicate domain-only entries.`);
+  let enabledRules = 0;
+  let totalRegex = 0;
+
+  // First pass: read every list and collect $badfilter entries, which cancel rules in all lists
+  const sources = new Map();
+  const badfilters = new Map();
+  for (const list of lists) {
+    const inputFile = path.join(FILTER_DIR, list.source);
+    const preprocessed = await preprocessList(await readListLines(inputFile), { file: inputFile });
+    sources.set(list.id, preprocessed);
+    for (const [key, origin] of collectBadfilters(preprocessed.lines, list.source, preprocessed)) {
+      if (!badfilters.has(key)) badfilters.set(key, origin);
     }
   }
+
+  for (const list of lists) {
+    const listStart = Date.now();
+    const outputFile = path.join(FILTER_DIR, list.output);
+    const { lines, origins, stats: preprocessStats } = sources.get(list.id);
+    const format = !list.format || list.format === 'auto' ? detectListFormat(lines) : list.format;
+    const result = compileList(lines, { badfilters, origins, format });
+    result.preprocess = preprocessStats;
+
+    const json = PRETTY ? JSON.stringify(result.rules, null, 2) + '\n' : JSON.stringify(result.rules);
+    await fs.writeFile(outputFile, json, 'utf8');
+
+    // Entries only name their file when it was pulled in via !#include
+    const compact = ({ file, ...entry }) => (file && file !== list.source ? { ...entry, file } : entry);
+    const provenance = Object.fromEntries(
+      Object.entries(result.provenance).map(([ruleId, entry]) => [
+        ruleId,
+        entry.domains
+          ? { domains: Object.fromEntries(Object.entries(entry.domains).map(([d, e]) => [d, compact(e)])) }
+          : compact(entry),
+      ])
+    );
+    const sidecar = { ruleset: list.id, source: list.source, rules: provenance };
+    const sidecarFile = path.join(FILTER_DIR, provenancePath(list.output));
+    await fs.writeFile(sidecarFile, PRETTY ? JSON.stringify(sidecar, null, 2) + '\n' : JSON.stringify(sidecar), 'utf8');
+
+    const paths = countConditionPaths(result.rules);
+    totalRegex += paths.regexFilter;
+    if (list.enabled !== false) enabledRules += result.rules.length;
+
+    const ms = (Date.now() - listStart).toFixed(0);
+    const { domains, patterns, exceptions } = result.counts;
+    console.log(`[precompile-filters] ${list.id}: Wrote ${result.rules.length} rules to ${path.relative(projectRoot, outputFile)} in ${ms}ms (domains: ${domains}, patterns: ${patterns}, exceptions: ${exceptions})`);
+    console.log(`[precompile-filters] ${list.id}: Paths: requestDomains=${paths.requestDomains} urlFilter=${paths.urlFilter} regexFilter=${paths.regexFilter}`);
+
+    if (SHOW_STATS) printStats(list, result);
+  }
+
+  const manifestChanged = await syncManifest(lists);
+  const ms = (Date.now() - start).toFixed(0);
+  console.log(`[precompile-filters] Compiled ${lists.length} lists in ${ms}ms (enabled by default: ${enabledRules} rules, regex budget ${totalRegex}/${MAX_REGEX_RULES})${manifestChanged ? '; updated manifest.json rule_resources' : ''}`);
+
+  if (totalRegex > MAX_REGEX_RULES) {
+    console.warn(`[precompile-filters] Warning: ${totalRegex} regex rules exceed Chrome's limit of ${MAX_REGEX_RULES}; rulesets will fail to load.`);
+  }
+  if (enabledRules > EXTENSION_CONFIG.LIMITS.MAX_RULES_COUNT) {
+    console.warn(`[precompile-filters] Warning: default-enabled lists contain ${enabledRules} rules, above the guaranteed static rule limit of ${EXTENSION_CONFIG.LIMITS.MAX_RULES_COUNT}.`);
+  }
 }
 
-main().catch((err) => {
-  console.error('[precompile-filters] Failed:', err?.message || err);
-  process.exitCode = 1;
-});
+// Only run when executed directly, so tests can import the translation helpers
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error('[precompile-filters] Failed:', err?.message || err);
+    process.exitCode = 1;
+  });
+}
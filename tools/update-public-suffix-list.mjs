@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { domainToASCII, fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const PSL_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT_FILE = path.join(projectRoot, 'core', 'public-suffix-list.js');
+
+// Flags: --input <file> builds from a local copy instead of downloading the list
+const inputIndex = process.argv.indexOf('--input');
+const INPUT_FILE = inputIndex !== -1 ? process.argv[inputIndex + 1] : null;
+
+// Converts one list rule to ASCII, keeping the "*." wildcard and "!" exception markers
+function toASCIIRule(rule) {
+  const prefix = rule.startsWith('!') ? '!' : rule.startsWith('*.') ? '*.' : '';
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  return ascii ? prefix + ascii : null;
+}
+
+// Parses public_suffix_list.dat: one rule per line, "//" comments, only the first word counts.
+// Both the ICANN and the PRIVATE section are kept, so e.g. github.io subdomains are separate sites.
+export function parsePublicSuffixList(text) {
+  const rules = new Set();
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim().split(/\s/)[0];
+    if (!line || line.startsWith('//')) continue;
+    const rule = toASCIIRule(line.toLowerCase());
+    if (rule) rules.add(rule);
+  }
+  return [...rules];
+}
+
+// Renders the generated core module
+export function renderModule(rules, source) {
+  return `/**
+ * @file Public Suffix List snapshot for registrable-domain (eTLD+1) lookups.
+ * Generated by tools/update-public-suffix-list.mjs from ${source} - do not edit by hand.
+ * The list is published by Mozilla under the Mozilla Public License 2.0 (https://mozilla.org/MPL/2.0/).
+ * @version 11.5
+ */
+
+/**
+ * Public suffix rules in ASCII (punycode) form, one per line.
+ * "*.x" marks a wildcard rule and "!x" an exception rule.
+ * @const {string}
+ */
+export const PUBLIC_SUFFIX_RULES = \`
+${rules.join('\n')}
+\`;
+`;
+}
+
+async function main() {
+  const start = Date.now();
+  let text;
+  if (INPUT_FILE) {
+    text = await fs.readFile(path.resolve(INPUT_FILE), 'utf8');
+  } else {
+    const response = await fetch(PSL_URL);
+    if (!response.ok) throw new Error(`Download failed: HTTP ${response.status}`);
+    text = await response.text();
+  }
+
+  const rules = parsePublicSuffixList(text);
+  if (rules.length < 1000) throw new Error(`Only ${rules.length} rules found, refusing to overwrite the snapshot`);
+
+  const source = INPUT_FILE ? path.basename(INPUT_FILE) : PSL_URL;
+  await fs.writeFile(OUTPUT_FILE, renderModule(rules, source), 'utf8');
+  const ms = (Date.now() - start).toFixed(0);
+  console.log(`[update-public-suffix-list] Wrote ${rules.length} rules to ${path.relative(projectRoot, OUTPUT_FILE)} in ${ms}ms`);
+}
+
+// Only run when executed directly, so tests can import the helpers
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error('[update-public-suffix-list] Failed:', err?.message || err);
+    process.exitCode = 1;
+  });
+}